@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Command-line entry point: reads a Discord package without a browser and writes the same summary JSON (and
+ * messages-by-channel CSV) as the app's export buttons, for batch processing and scripts.
+ *
+ *   discord-analyzer summarize <package.zip|folder> [--out summary.json] [--csv channels.csv]
+ *                              [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--tz Europe/Berlin] [--verbose]
+ *
+ * Without --out the JSON goes to stdout. Problems found while reading are listed on stderr; the exit code is 1
+ * when the package could not be opened, when any file was malformed or unreadable, or when the package holds no
+ * message at all. A --since/--until window without messages is only a warning, so scripts can loop over months.
+ */
+
+import { openAsBlob } from 'node:fs';
+import { readdir, stat, writeFile } from 'node:fs/promises';
+import { join, relative, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import { consoleLogger, readExport, resummarize, silentLogger } from '../src/parser/discordExportParser.js';
+import { fileListSource, zipSource } from '../src/parser/exportSource.js';
+import { DIAGNOSTIC_KINDS } from '../src/parser/diagnostics.js';
+import { DEFAULT_TIME_ZONE, isValidTimeZone, startOfZonedDay } from '../src/utils/dateUtils.js';
+import { CHANNEL_CSV_HEADERS, channelCsvRows, summaryExport, toCsv } from '../src/utils/exportData.js';
+
+const USAGE = `Usage: discord-analyzer summarize <package.zip|folder> [options]
+
+Options:
+  --out <file>         write the summary JSON here (default: stdout)
+  --csv <file>         also write the messages-by-channel table as CSV
+  --since <date>       only count messages from this day on (YYYY-MM-DD)
+  --until <date>       only count messages up to and including this day (YYYY-MM-DD)
+  --tz <zone>          IANA time zone for days, hours and --since/--until (default: UTC)
+  --verbose            show parser logs and every unrecognised file
+  -h, --help           show this help`;
+
+/** Issue kinds that mean data was lost, as opposed to data the package simply does not have. */
+const FAILURE_KINDS = new Set(['malformed-json', 'read-error']);
+
+class UsageError extends Error {}
+
+function nextDayKey(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string' },
+      csv: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      tz: { type: 'string', default: DEFAULT_TIME_ZONE },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) return { help: true };
+  const [command, input, ...rest] = positionals;
+  if (command !== 'summarize') throw new UsageError(command ? `Unknown command: ${command}` : 'No command given.');
+  if (!input) throw new UsageError('No package given.');
+  if (rest.length) throw new UsageError(`Unexpected argument: ${rest[0]}`);
+  if (!isValidTimeZone(values.tz)) throw new UsageError(`Unknown time zone: ${values.tz}`);
+
+  const since = values.since != null ? startOfZonedDay(values.since, values.tz) : undefined;
+  if (since === null) throw new UsageError(`--since is not a YYYY-MM-DD date: ${values.since}`);
+  const untilDay = values.until != null ? startOfZonedDay(values.until, values.tz) : undefined;
+  if (untilDay === null) throw new UsageError(`--until is not a YYYY-MM-DD date: ${values.until}`);
+  const until = untilDay && startOfZonedDay(nextDayKey(values.until), values.tz);
+  if (since && until && since >= until) throw new UsageError('--since is after --until.');
+
+  return { input, out: values.out, csv: values.csv, since, until, timeZone: values.tz, verbose: values.verbose };
+}
+
+/** Every file under an extracted package, as { file, path } with paths relative to the package root. */
+async function collectFolder(root) {
+  const out = [];
+  async function walk(dir) {
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      const full = join(dir, entry.name);
+      if (entry.isDirectory()) await walk(full);
+      else if (entry.isFile()) out.push({ file: await openAsBlob(full), path: relative(root, full).split(sep).join('/') });
+    }
+  }
+  await walk(root);
+  return out;
+}
+
+function printDiagnostics(diagnostics, verbose) {
+  const lines = [];
+  for (const kind of DIAGNOSTIC_KINDS) {
+    const issues = diagnostics.issues.filter((i) => i.kind === kind.id);
+    if (!issues.length) continue;
+    lines.push(`${kind.label}: ${issues.length}`);
+    if (kind.id === 'unrecognised-file' && !verbose) continue;
+    for (const issue of issues) {
+      const details = [issue.stage, issue.error, issue.messages != null ? `${issue.messages} message${issue.messages === 1 ? '' : 's'}` : null].filter(Boolean);
+      lines.push(`  ${issue.path} (${details.join(', ')})`);
+    }
+  }
+  if (lines.length) process.stderr.write(`${lines.join('\n')}\n`);
+}
+
+function createProgress(verbose) {
+  if (verbose || !process.stderr.isTTY) return undefined;
+  return (percent, message) => process.stderr.write(`\r\x1b[K${percent}% ${message}`);
+}
+
+async function summarize({ input, out, csv, since, until, timeZone, verbose }) {
+  // stdout is kept for the JSON: parser logs go to stderr, and only with --verbose.
+  const logger = verbose ? { debug: consoleLogger.error, error: consoleLogger.error } : silentLogger;
+  const onProgress = createProgress(verbose);
+  const source = (await stat(input)).isDirectory() ? fileListSource(await collectFolder(input)) : await zipSource(await openAsBlob(input));
+  // Read and summarized in two steps so an empty --since/--until window can be told from an empty package.
+  const raw = await readExport(source, { onProgress, logger });
+  const data = resummarize(raw, { timeZone, since, until });
+  if (onProgress) process.stderr.write('\r\x1b[K');
+
+  const json = JSON.stringify(summaryExport(data), null, 2);
+  if (out) await writeFile(out, json);
+  else process.stdout.write(`${json}\n`);
+  if (csv) await writeFile(csv, toCsv(channelCsvRows(data), CHANNEL_CSV_HEADERS));
+
+  const diagnostics = data.diagnostics ?? { issues: [] };
+  printDiagnostics(diagnostics, verbose);
+  const failures = diagnostics.issues.filter((i) => FAILURE_KINDS.has(i.kind)).length;
+  if (failures) process.stderr.write(`${failures} file${failures === 1 ? '' : 's'} could not be read.\n`);
+  const messageCount = data.messages.length;
+  if (!raw.messages.length) process.stderr.write('No messages found in the package.\n');
+  else if (!messageCount) process.stderr.write('Warning: no messages between --since and --until.\n');
+  else if (out) process.stderr.write(`${messageCount.toLocaleString('en-US')} messages summarized (${data.format?.label ?? 'unknown format'}).\n`);
+  return failures || !raw.messages.length ? 1 : 0;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  try {
+    return await summarize(options);
+  } catch (err) {
+    process.stderr.write(`\nCould not read ${options.input}: ${err?.message ?? err}\n`);
+    return 1;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
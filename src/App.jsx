@@ -1,12 +1,23 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import LoadScreen from './components/LoadScreen';
 import Layout from './components/Layout';
 import Overview from './views/Overview';
 import Messages from './views/Messages';
+import Activity from './views/Activity';
+import DMs from './views/DMs';
+import Servers from './views/Servers';
+import Sharing from './views/Sharing';
 import RandomMessage from './views/RandomMessage';
 import Insights from './views/Insights';
 import Vocabulary from './views/Vocabulary';
 import Timeline from './views/Timeline';
+import Compare from './views/Compare';
+import Transcript from './views/Transcript';
+import ImportReport from './views/ImportReport';
+import { parseInWorker } from './parser/parseInWorker';
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from './utils/dateUtils';
+import { DEFAULT_STOPWORD_SETTINGS, parseCustomStopwords, sameStopwordSettings } from './utils/tokenizer';
+import { STOPWORD_LANGUAGES } from './utils/stopwords';
 import './App.css';
 
 const PASSWORD_HASH = '259d4d1b1b40dacd66fcff8de35d21b54e838d43b1919c4188cead41f2c188e8';
@@ -18,13 +29,47 @@ async function sha256(str) {
     .join('');
 }
 
+const TIME_ZONE_STORAGE_KEY = 'discord-analyzer-timezone';
+
+function readStoredTimeZone() {
+  try {
+    const stored = localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+    return isValidTimeZone(stored) ? stored : DEFAULT_TIME_ZONE;
+  } catch {
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+const STOPWORDS_STORAGE_KEY = 'discord-analyzer-stopwords';
+
+function readStoredStopwords() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STOPWORDS_STORAGE_KEY) ?? 'null');
+    // Ids from another version of the app that no longer have a list fall back to detection.
+    const languages = Array.isArray(stored?.languages) ? stored.languages.filter((id) => STOPWORD_LANGUAGES.some((l) => l.id === id)) : [];
+    return {
+      languages: languages.length ? languages : 'auto',
+      custom: parseCustomStopwords((stored?.custom ?? []).join(' ')),
+    };
+  } catch {
+    return DEFAULT_STOPWORD_SETTINGS;
+  }
+}
+
 const VIEWS = {
   overview: Overview,
   messages: Messages,
+  activity: Activity,
+  dms: DMs,
+  servers: Servers,
+  sharing: Sharing,
   random: RandomMessage,
   insights: Insights,
   vocabulary: Vocabulary,
   timeline: Timeline,
+  compare: Compare,
+  transcript: Transcript,
+  import: ImportReport,
 };
 
 export default function App() {
@@ -33,9 +78,47 @@ export default function App() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [view, setView] = useState('overview');
+  const [viewParams, setViewParams] = useState(null);
   const [passwordInput, setPasswordInput] = useState('');
   const [passwordError, setPasswordError] = useState('');
   const [passwordSubmitting, setPasswordSubmitting] = useState(false);
+  const [timeZone, setTimeZone] = useState(readStoredTimeZone);
+  const [stopwords, setStopwords] = useState(readStoredStopwords);
+  const [resummarizing, setResummarizing] = useState(false);
+
+  const handleTimeZoneChange = useCallback((tz) => {
+    if (!isValidTimeZone(tz)) return;
+    setTimeZone(tz);
+    try {
+      localStorage.setItem(TIME_ZONE_STORAGE_KEY, tz);
+    } catch (_) {}
+  }, []);
+
+  const handleStopwordsChange = useCallback((next) => {
+    setStopwords(next);
+    try {
+      localStorage.setItem(STOPWORDS_STORAGE_KEY, JSON.stringify(next));
+    } catch (_) {}
+  }, []);
+
+  // Data summarized with other settings (zone or stopwords changed, or a saved export reopened) is re-summarized in the worker.
+  useEffect(() => {
+    if (!data?.stats) return undefined;
+    if ((data.timeZone ?? DEFAULT_TIME_ZONE) === timeZone && sameStopwordSettings(data.stopwords, stopwords)) return undefined;
+    const controller = new AbortController();
+    setResummarizing(true);
+    parseInWorker({ type: 'summarize', data, options: { timeZone, stopwords } }, { signal: controller.signal })
+      .then((next) => {
+        setData(next);
+        setResummarizing(false);
+      })
+      .catch((err) => {
+        if (err?.name === 'AbortError') return;
+        console.error('[Discord Analyzer] Could not re-summarize for', timeZone, stopwords, err);
+        setResummarizing(false);
+      });
+    return () => controller.abort();
+  }, [data, timeZone, stopwords]);
 
   const handlePasswordSubmit = useCallback(
     async (e) => {
@@ -76,11 +159,21 @@ export default function App() {
     setError(null);
   }, []);
 
+  /** Switch view, optionally with parameters for it (e.g. { channelId, messageId } for the transcript). */
+  const navigate = useCallback((nextView, params = null) => {
+    setView(nextView);
+    setViewParams(params);
+  }, []);
+
   const handleStartLoad = useCallback(() => {
     setLoading(true);
     setError(null);
   }, []);
 
+  const handleCancelLoad = useCallback(() => {
+    setLoading(false);
+  }, []);
+
   const hasData = data && !data.error && data.stats;
 
   if (!unlocked) {
@@ -120,8 +213,11 @@ export default function App() {
       <LoadScreen
         onLoad={handleLoad}
         onStartLoad={handleStartLoad}
+        onCancelLoad={handleCancelLoad}
         loading={loading}
         error={error}
+        timeZone={timeZone}
+        stopwords={stopwords}
       />
     );
   }
@@ -132,10 +228,15 @@ export default function App() {
     <Layout
       data={data}
       currentView={view}
-      onViewChange={setView}
+      onViewChange={navigate}
       onLoadNew={() => setData(null)}
+      timeZone={timeZone}
+      onTimeZoneChange={handleTimeZoneChange}
+      stopwords={stopwords}
+      onStopwordsChange={handleStopwordsChange}
+      resummarizing={resummarizing}
     >
-      <ViewComponent data={data} />
+      <ViewComponent data={data} params={viewParams} onNavigate={navigate} />
     </Layout>
   );
 }
@@ -0,0 +1,37 @@
+import React from 'react';
+import { GRANULARITIES, ROLLING_WINDOWS } from '../utils/timeSeries';
+import './AggregationControl.css';
+
+/**
+ * Granularity switch (day … year) and rolling-average picker shown above a time chart.
+ * @param {{ granularity: string, rolling: number, onChange: (next: { granularity: string, rolling: number }) => void }} props
+ */
+export default function AggregationControl({ granularity, rolling, onChange }) {
+  const unit = GRANULARITIES.find((g) => g.id === granularity)?.label.toLowerCase() ?? 'period';
+  return (
+    <div className="aggregation-control">
+      <div className="aggregation-buttons" role="group" aria-label="Group by">
+        {GRANULARITIES.map((g) => (
+          <button
+            key={g.id}
+            type="button"
+            className={`aggregation-btn ${granularity === g.id ? 'aggregation-btn-active' : ''}`}
+            onClick={() => onChange({ granularity: g.id, rolling })}
+          >
+            {g.label}
+          </button>
+        ))}
+      </div>
+      <label className="aggregation-rolling">
+        <span>Rolling average</span>
+        <select value={rolling} onChange={(e) => onChange({ granularity, rolling: Number(e.target.value) })}>
+          {ROLLING_WINDOWS.map((n) => (
+            <option key={n} value={n}>
+              {n === 0 ? 'Off' : `${n} ${unit}s`}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import { LLM_PROVIDERS, defaultLlmSettings, getProviderPreset, isLocalEndpoint } from '../utils/llmProviders';
+import './AiProviderSettings.css';
+
+function urlHost(baseUrl) {
+  try {
+    return new URL(baseUrl).host;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Provider, base URL, model and API key for the AI overview. Edits stay local until Save, so a half-typed
+ * URL is never used for a request. The API key belongs to the host it was entered for: switching provider or
+ * pointing the base URL at another host clears it, so a key is never sent to a server it was not meant for.
+ */
+export default function AiProviderSettings({ settings, onSave }) {
+  const [draft, setDraft] = useState(settings);
+  useEffect(() => setDraft(settings), [settings]);
+
+  const preset = getProviderPreset(draft.provider);
+  const local = isLocalEndpoint(draft.baseUrl);
+  const dirty = JSON.stringify(draft) !== JSON.stringify(settings);
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const changeBaseUrl = (baseUrl) =>
+    setDraft((d) => (urlHost(baseUrl) === urlHost(d.baseUrl) ? { ...d, baseUrl } : { ...d, baseUrl, apiKey: '' }));
+
+  return (
+    <div className="ai-provider-settings">
+      <div className="ai-provider-row">
+        <label className="ai-provider-field">
+          <span className="ai-provider-label">Provider</span>
+          <select
+            className="ai-provider-input"
+            value={draft.provider}
+            onChange={(e) => setDraft(defaultLlmSettings(e.target.value))}
+          >
+            {LLM_PROVIDERS.map((p) => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="ai-provider-field ai-provider-field-wide">
+          <span className="ai-provider-label">Base URL</span>
+          <input
+            type="url"
+            className="ai-provider-input"
+            placeholder="http://localhost:11434/v1"
+            value={draft.baseUrl}
+            onChange={(e) => changeBaseUrl(e.target.value)}
+          />
+        </label>
+        <label className="ai-provider-field">
+          <span className="ai-provider-label">Model</span>
+          <input
+            type="text"
+            className="ai-provider-input"
+            placeholder="e.g. llama3.1"
+            value={draft.model}
+            onChange={(e) => update({ model: e.target.value })}
+          />
+        </label>
+        <label className="ai-provider-field">
+          <span className="ai-provider-label">API key{preset.needsKey ? '' : ' (optional)'}</span>
+          <input
+            type="password"
+            className="ai-provider-input"
+            value={draft.apiKey}
+            onChange={(e) => update({ apiKey: e.target.value })}
+            autoComplete="off"
+          />
+        </label>
+        <button type="button" className="overview-btn overview-btn-save" onClick={() => onSave(draft)} disabled={!dirty}>
+          Save
+        </button>
+      </div>
+      {draft.baseUrl && (
+        <p className={`ai-provider-destination${local ? ' local' : ''}`}>
+          {local
+            ? 'Local endpoint: excerpts stay on this machine or your network. The server must allow requests from this page (CORS), e.g. OLLAMA_ORIGINS for Ollama.'
+            : `Excerpts will be sent to ${urlHost(draft.baseUrl) ?? 'this server'}, outside your network.`}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React, { useState } from 'react';
+import { emojiImageUrl, emojiLabel } from '../utils/emoji';
+import './EmojiIcon.css';
+
+/** One emoji from the stats: the CDN image for custom emoji with an id, the character for Unicode, else :name:. */
+export default function EmojiIcon({ emoji, size = 28, className = '' }) {
+  const [failed, setFailed] = useState(false);
+  const url = emojiImageUrl(emoji);
+  if (url && !failed) {
+    return (
+      <img
+        src={url}
+        alt={emojiLabel(emoji)}
+        width={size}
+        height={size}
+        loading="lazy"
+        className={`emoji-icon ${className}`}
+        onError={() => setFailed(true)}
+      />
+    );
+  }
+  if (emoji?.unicode) {
+    return (
+      <span className={`emoji-icon emoji-icon-unicode ${className}`} style={{ fontSize: size * 0.85 }}>
+        {emoji.name}
+      </span>
+    );
+  }
+  return <span className={`emoji-icon emoji-icon-text ${className}`}>{emojiLabel(emoji)}</span>;
+}
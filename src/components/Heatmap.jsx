@@ -0,0 +1,53 @@
+import React from 'react';
+import './Heatmap.css';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FULL_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** Busiest cell of a 7×24 grid, or null when it is empty. */
+export function findPeakCell(grid) {
+  let best = null;
+  (grid ?? []).forEach((row, day) =>
+    row.forEach((count, hour) => {
+      if (count > 0 && (!best || count > best.count)) best = { day, hour, count, dayName: FULL_DAY_NAMES[day] };
+    })
+  );
+  return best;
+}
+
+/**
+ * Hour-of-day × day-of-week heatmap.
+ * @param {{ grid: number[][], unit?: string }} props  grid[weekday][hour], weekday 0 = Sunday
+ */
+export default function Heatmap({ grid, unit = 'messages' }) {
+  const rows = grid ?? [];
+  const max = Math.max(1, ...rows.flat());
+  return (
+    <div className="heatmap7x24-wrap">
+      <div className="heatmap7x24-grid">
+        <span />
+        {Array.from({ length: 24 }, (_, h) => (
+          <span key={h} className="heatmap7x24-hour">{h % 3 === 0 ? `${h}:00` : ''}</span>
+        ))}
+        {rows.map((row, day) => (
+          <React.Fragment key={day}>
+            <span className="heatmap7x24-day">{DAY_NAMES[day]}</span>
+            {row.map((count, hour) => (
+              <div
+                key={hour}
+                className="heatmap7x24-cell"
+                style={{ ['--intensity']: count / max }}
+                title={`${FULL_DAY_NAMES[day]} ${hour}:00–${hour}:59 — ${count.toLocaleString()} ${unit}`}
+              />
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+      <div className="heatmap7x24-legend">
+        <span>0</span>
+        <span className="heatmap7x24-legend-scale" />
+        <span>{max.toLocaleString()}</span>
+      </div>
+    </div>
+  );
+}
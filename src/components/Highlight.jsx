@@ -0,0 +1,15 @@
+import React from 'react';
+import { splitHighlights } from '../utils/searchQuery';
+import './Highlight.css';
+
+/** Text with the hits of the current search query wrapped in <mark>. */
+export default function Highlight({ text, highlighter }) {
+  if (!highlighter) return <>{text}</>;
+  return (
+    <>
+      {splitHighlights(text, highlighter).map((seg, i) =>
+        seg.hit ? <mark key={i} className="search-hit">{seg.text}</mark> : <React.Fragment key={i}>{seg.text}</React.Fragment>
+      )}
+    </>
+  );
+}
@@ -1,45 +1,139 @@
-import React from 'react';
-import { downloadJson, downloadCsv } from '../utils/exportData';
+import React, { useMemo, useState } from 'react';
+import { CHANNEL_CSV_HEADERS, channelCsvRows, downloadCsv, downloadJson, summaryExport } from '../utils/exportData';
+import { DEFAULT_TIME_ZONE, getBrowserTimeZone, listTimeZones } from '../utils/dateUtils';
+import { DEFAULT_STOPWORD_SETTINGS, parseCustomStopwords } from '../utils/tokenizer';
+import { STOPWORD_LANGUAGES } from '../utils/stopwords';
 import './Layout.css';
 
 const NAV = [
   { id: 'overview', label: 'Overview', icon: '📊' },
   { id: 'messages', label: 'Activity graphs', icon: '📈' },
+  { id: 'activity', label: 'Time patterns', icon: '🕒' },
+  { id: 'dms', label: 'Direct messages', icon: '✉️' },
+  { id: 'servers', label: 'Servers', icon: '🏠' },
+  { id: 'sharing', label: 'Mentions & links', icon: '🔗' },
   { id: 'random', label: 'Message lookup', icon: '🔍' },
+  { id: 'transcript', label: 'Conversations', icon: '💬' },
   { id: 'insights', label: 'Insights', icon: '💡' },
   { id: 'vocabulary', label: 'Vocabulary', icon: '📖' },
   { id: 'timeline', label: 'Timeline', icon: '📅' },
+  { id: 'compare', label: 'Compare exports', icon: '⚖️' },
+  { id: 'import', label: 'Import report', icon: '🧾' },
 ];
 
+/** Stopword languages (auto-detected or picked) and the custom word list; the custom list applies on demand. */
+function StopwordSettings({ stopwords = DEFAULT_STOPWORD_SETTINGS, detected, onStopwordsChange }) {
+  const [customText, setCustomText] = useState(() => (stopwords.custom ?? []).join(', '));
+  const auto = !Array.isArray(stopwords.languages);
+  const active = auto ? detected ?? [] : stopwords.languages;
+  const custom = parseCustomStopwords(customText);
+  const customChanged = custom.join(' ') !== (stopwords.custom ?? []).join(' ');
 
-export default function Layout({ data, currentView, onViewChange, onLoadNew, onExport, onRegenerate, children }) {
+  const toggleLanguage = (id) => {
+    const next = active.includes(id) ? active.filter((l) => l !== id) : [...active, id];
+    onStopwordsChange?.({ ...stopwords, languages: next.length ? next : 'auto' });
+  };
+
+  return (
+    <>
+      <span className="settings-label">Stopwords (left out of word counts)</span>
+      <label className="settings-check">
+        <input
+          type="checkbox"
+          checked={auto}
+          onChange={(e) => onStopwordsChange?.({ ...stopwords, languages: e.target.checked ? 'auto' : active.length ? active : ['en'] })}
+        />
+        Detect languages automatically
+      </label>
+      <div className="settings-languages">
+        {STOPWORD_LANGUAGES.map((l) => (
+          <label key={l.id} className="settings-check">
+            <input type="checkbox" checked={active.includes(l.id)} disabled={auto} onChange={() => toggleLanguage(l.id)} />
+            {l.label}
+          </label>
+        ))}
+      </div>
+      <textarea
+        className="settings-textarea"
+        rows={3}
+        placeholder="Your own stopwords, e.g. lol, yeah, ok"
+        value={customText}
+        onChange={(e) => setCustomText(e.target.value)}
+        aria-label="Custom stopwords"
+      />
+      {customChanged && (
+        <button type="button" className="sidebar-btn" onClick={() => onStopwordsChange?.({ ...stopwords, custom })}>
+          Apply {custom.length} custom stopword{custom.length !== 1 ? 's' : ''}
+        </button>
+      )}
+    </>
+  );
+}
+
+function SettingsPopover({ timeZone, onTimeZoneChange, stopwords, detectedLanguages, onStopwordsChange, resummarizing }) {
+  const zones = useMemo(() => {
+    const list = listTimeZones();
+    return list.includes(timeZone) ? list : [timeZone, ...list];
+  }, [timeZone]);
+  const browserZone = getBrowserTimeZone();
+
+  return (
+    <div className="settings-popover" role="dialog" aria-label="Settings">
+      <label className="settings-label" htmlFor="settings-timezone">Time zone</label>
+      <select
+        id="settings-timezone"
+        className="settings-select"
+        value={timeZone}
+        onChange={(e) => onTimeZoneChange?.(e.target.value)}
+      >
+        {zones.map((z) => (
+          <option key={z} value={z}>{z}</option>
+        ))}
+      </select>
+      <div className="settings-quick">
+        {browserZone !== timeZone && (
+          <button type="button" className="sidebar-btn" onClick={() => onTimeZoneChange?.(browserZone)}>
+            Use my zone ({browserZone})
+          </button>
+        )}
+        {timeZone !== DEFAULT_TIME_ZONE && (
+          <button type="button" className="sidebar-btn" onClick={() => onTimeZoneChange?.(DEFAULT_TIME_ZONE)}>
+            Use UTC
+          </button>
+        )}
+      </div>
+      <p className="settings-hint">Days, hours and weekdays in every chart are counted in this zone.</p>
+      <StopwordSettings stopwords={stopwords} detected={detectedLanguages} onStopwordsChange={onStopwordsChange} />
+      {resummarizing && <p className="settings-hint">Recalculating charts…</p>}
+    </div>
+  );
+}
+
+export default function Layout({
+  data,
+  currentView,
+  onViewChange,
+  onLoadNew,
+  onExport,
+  onRegenerate,
+  timeZone = DEFAULT_TIME_ZONE,
+  onTimeZoneChange,
+  stopwords,
+  onStopwordsChange,
+  resummarizing,
+  children,
+}) {
   const hasData = data && !data.error && data.stats;
+  const [settingsOpen, setSettingsOpen] = useState(false);
 
   const handleExportJson = () => {
     if (!hasData) return;
-    downloadJson(
-      {
-        stats: data.stats,
-        channels: data.stats.byChannel,
-        guilds: data.stats.byGuild,
-        byDay: data.stats.byDay,
-        byHour: data.stats.byHour,
-        byDayOfWeek: data.stats.byDayOfWeek,
-        topWords: data.stats.topWords,
-      },
-      'discord-summary.json'
-    );
+    downloadJson(summaryExport(data), 'discord-summary.json');
   };
 
   const handleExportCsv = () => {
     if (!hasData || !data.stats.byChannel?.length) return;
-    const headers = ['channelName', 'guildName', 'count'];
-    const rows = data.stats.byChannel.map((c) => ({
-      channelName: c.channelName ?? c.channelId,
-      guildName: c.guildName ?? '',
-      count: c.count,
-    }));
-    downloadCsv(rows, headers, 'discord-messages-by-channel.csv');
+    downloadCsv(channelCsvRows(data), CHANNEL_CSV_HEADERS, 'discord-messages-by-channel.csv');
   };
 
   return (
@@ -64,7 +158,28 @@ export default function Layout({ data, currentView, onViewChange, onLoadNew, onE
             <button type="button" className="btn-secondary topbar-btn" onClick={onRegenerate ?? onLoadNew}>
               Regenerate Data
             </button>
-            <button type="button" className="topbar-settings" aria-label="Settings" title="Settings">⚙</button>
+            <div className="settings-anchor">
+              <button
+                type="button"
+                className={`topbar-settings ${settingsOpen ? 'active' : ''}`}
+                aria-label="Settings"
+                aria-expanded={settingsOpen}
+                title="Settings"
+                onClick={() => setSettingsOpen((o) => !o)}
+              >
+                ⚙
+              </button>
+              {settingsOpen && (
+                <SettingsPopover
+                  timeZone={timeZone}
+                  onTimeZoneChange={onTimeZoneChange}
+                  stopwords={stopwords}
+                  detectedLanguages={data.stopwords?.resolved}
+                  onStopwordsChange={onStopwordsChange}
+                  resummarizing={resummarizing}
+                />
+              )}
+            </div>
           </div>
         </header>
       )}
@@ -1,33 +1,61 @@
-import React, { useCallback, useRef, useState } from 'react';
-import { parseZip, parseFileList, parseDirectoryHandle } from '../parser/discordExportParser';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { collectDirectoryFiles } from '../parser/exportSource';
+import { parseInWorker, toFilePairs } from '../parser/parseInWorker';
+import { saveExport, listExports, loadExport, deleteExport, formatBytes } from '../utils/exportCache';
 import './LoadScreen.css';
 
-export default function LoadScreen({ onLoad, onStartLoad, loading, error }) {
+export default function LoadScreen({ onLoad, onStartLoad, onCancelLoad, loading, error, timeZone, stopwords }) {
   const fileInputRef = useRef(null);
   const folderInputRef = useRef(null);
+  const abortRef = useRef(null);
   const [progress, setProgress] = useState(0);
   const [progressMessage, setProgressMessage] = useState('');
+  const [recentExports, setRecentExports] = useState([]);
 
+  useEffect(() => {
+    listExports()
+      .then(setRecentExports)
+      .catch((e) => console.error('[Discord Analyzer] Could not list saved exports', e));
+  }, []);
+
+  /** Hand the summary to the app; freshly parsed exports (with a source) are also cached in IndexedDB. */
   const handleResult = useCallback(
-    (data) => {
+    (data, source) => {
       setProgress(100);
       setProgressMessage('Done');
+      if (source && data?.stats) {
+        saveExport(data, source).catch((e) => console.error('[Discord Analyzer] Could not save export', e));
+      }
       onLoad(data);
     },
     [onLoad]
   );
 
   const handleError = useCallback((err) => {
+    if (err?.name === 'AbortError') {
+      console.log('[Discord Analyzer] Parsing cancelled');
+      onCancelLoad?.();
+      return;
+    }
     console.error('[Discord Analyzer]', err);
     onLoad({ error: err.message });
-  }, [onLoad]);
+  }, [onLoad, onCancelLoad]);
 
+  /** Reset progress and return an AbortSignal for the new parse (cancels any previous one). */
   const startLoad = useCallback(() => {
+    abortRef.current?.abort();
+    abortRef.current = new AbortController();
     setProgress(0);
     setProgressMessage('');
     onStartLoad?.();
+    return abortRef.current.signal;
   }, [onStartLoad]);
 
+  const cancelLoad = useCallback(() => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+  }, []);
+
   const onProgress = useCallback((percent, message) => {
     setProgress(Math.min(100, Math.max(0, percent)));
     setProgressMessage(message || '');
@@ -35,33 +63,54 @@ export default function LoadScreen({ onLoad, onStartLoad, loading, error }) {
 
   const processZip = useCallback(
     async (file) => {
-      startLoad();
+      const signal = startLoad();
       try {
         console.log('[Discord Analyzer] Loading ZIP:', file?.name);
-        const data = await parseZip(file, { onProgress });
+        const data = await parseInWorker({ type: 'zip', file, options: { timeZone, stopwords } }, { onProgress, signal });
         console.log('[Discord Analyzer] ZIP parsed, messages:', data?.stats?.totalMessages);
-        handleResult(data);
+        handleResult(data, { name: file.name, size: file.size, lastModified: file.lastModified });
       } catch (e) {
         handleError(e);
       }
     },
-    [handleResult, handleError, startLoad, onProgress]
+    [handleResult, handleError, startLoad, onProgress, timeZone, stopwords]
   );
 
   const processFolder = useCallback(
     async (filesOrPairs) => {
-      startLoad();
+      const signal = startLoad();
       try {
-        const count = Array.isArray(filesOrPairs) ? filesOrPairs.length : filesOrPairs?.length ?? 0;
-        console.log('[Discord Analyzer] Loading folder: ', count, 'items (File[] or { file, path }[])');
-        const data = await parseFileList(filesOrPairs, { onProgress });
+        const files = toFilePairs(filesOrPairs);
+        console.log('[Discord Analyzer] Loading folder: ', files.length, 'items');
+        const data = await parseInWorker({ type: 'files', files, options: { timeZone, stopwords } }, { onProgress, signal });
         console.log('[Discord Analyzer] Folder parsed, messages:', data?.stats?.totalMessages);
-        handleResult(data);
+        handleResult(data, folderSource(files));
+      } catch (e) {
+        handleError(e);
+      }
+    },
+    [handleResult, handleError, startLoad, onProgress, timeZone, stopwords]
+  );
+
+  /** Several packages at once: parsed one by one in the worker, then merged into one dataset. */
+  const processMany = useCallback(
+    async (sources) => {
+      const signal = startLoad();
+      try {
+        console.log('[Discord Analyzer] Merging', sources.length, 'exports:', sources.map((s) => s.name).join(', '));
+        const data = await parseInWorker({ type: 'many', sources, options: { timeZone, stopwords } }, { onProgress, signal });
+        console.log('[Discord Analyzer] Exports merged, messages:', data?.stats?.totalMessages);
+        const parts = sources.map((s) => (s.kind === 'zip' ? { size: s.file.size, lastModified: s.file.lastModified } : folderSource(s.files)));
+        handleResult(data, {
+          name: sources.map((s) => s.name).join(' + '),
+          size: parts.reduce((sum, p) => sum + p.size, 0),
+          lastModified: Math.max(...parts.map((p) => p.lastModified ?? 0)),
+        });
       } catch (e) {
         handleError(e);
       }
     },
-    [handleResult, handleError, startLoad, onProgress]
+    [handleResult, handleError, startLoad, onProgress, timeZone, stopwords]
   );
 
   const onDrop = useCallback(
@@ -70,6 +119,24 @@ export default function LoadScreen({ onLoad, onStartLoad, loading, error }) {
       e.stopPropagation();
       const items = e.dataTransfer?.items;
       const files = e.dataTransfer?.files;
+      if (items?.length > 1) {
+        // Entries and files must be taken synchronously, before the drop event ends.
+        const pending = [];
+        for (const item of Array.from(items)) {
+          if (item.kind !== 'file') continue;
+          const entry = item.webkitGetAsEntry?.();
+          const file = item.getAsFile();
+          if (entry?.isDirectory) {
+            pending.push(readDirectoryEntry(entry).then((pairs) => ({ kind: 'files', files: pairs, name: entry.name })));
+          } else if (file?.name?.toLowerCase().endsWith('.zip')) {
+            pending.push(Promise.resolve({ kind: 'zip', file, name: file.name }));
+          }
+        }
+        if (pending.length > 1) {
+          Promise.all(pending).then(processMany).catch(handleError);
+          return;
+        }
+      }
       if (items?.length) {
         const item = items[0];
         if (item.kind === 'file') {
@@ -97,7 +164,7 @@ export default function LoadScreen({ onLoad, onStartLoad, loading, error }) {
         else handleError(new Error('Drop a ZIP file or select a folder via the button.'));
       }
     },
-    [processZip, processFolder, handleError]
+    [processZip, processFolder, processMany, handleError]
   );
 
   const onDragOver = useCallback((e) => {
@@ -108,15 +175,22 @@ export default function LoadScreen({ onLoad, onStartLoad, loading, error }) {
 
   const onSelectFile = useCallback(
     (e) => {
-      const file = e.target.files?.[0];
-      if (file?.name?.toLowerCase().endsWith('.zip')) {
+      const selected = Array.from(e.target.files ?? []);
+      const file = selected[0];
+      if (selected.length > 1) {
+        if (selected.every((f) => f.name?.toLowerCase().endsWith('.zip'))) {
+          processMany(selected.map((f) => ({ kind: 'zip', file: f, name: f.name })));
+        } else {
+          handleError(new Error('Please select only Discord export ZIP files.'));
+        }
+      } else if (file?.name?.toLowerCase().endsWith('.zip')) {
         processZip(file);
       } else if (file) {
         handleError(new Error('Please select the Discord export ZIP file.'));
       }
       e.target.value = '';
     },
-    [processZip, handleError]
+    [processZip, processMany, handleError]
   );
 
   const onSelectFolder = useCallback(
@@ -135,16 +209,49 @@ export default function LoadScreen({ onLoad, onStartLoad, loading, error }) {
       folderInputRef.current?.click();
       return;
     }
-    startLoad();
+    let dirHandle;
     try {
-      const dirHandle = await window.showDirectoryPicker();
-      setProgressMessage('Reading folder…');
-      const data = await parseDirectoryHandle(dirHandle, '', { onProgress });
-      handleResult(data);
+      dirHandle = await window.showDirectoryPicker();
     } catch (e) {
       if (e.name !== 'AbortError') handleError(e);
+      return;
     }
-  }, [handleResult, handleError, startLoad, onProgress]);
+    const signal = startLoad();
+    try {
+      setProgressMessage('Reading folder…');
+      const files = await collectDirectoryFiles(dirHandle);
+      const data = await parseInWorker({ type: 'files', files, options: { timeZone, stopwords } }, { onProgress, signal });
+      handleResult(data, { ...folderSource(files), name: dirHandle.name });
+    } catch (e) {
+      handleError(e);
+    }
+  }, [handleResult, handleError, startLoad, onProgress, timeZone, stopwords]);
+
+  const openRecent = useCallback(
+    async (id) => {
+      startLoad();
+      setProgressMessage('Opening saved export…');
+      try {
+        const data = await loadExport(id, {
+          rebuild: (stale) => parseInWorker({ type: 'summarize', data: stale, options: { timeZone, stopwords } }, { onProgress }),
+        });
+        if (!data) throw new Error('This saved export could not be found. Load the ZIP again.');
+        handleResult(data);
+      } catch (e) {
+        handleError(e);
+      }
+    },
+    [handleResult, handleError, startLoad, onProgress, timeZone, stopwords]
+  );
+
+  const removeRecent = useCallback(async (id) => {
+    try {
+      await deleteExport(id);
+      setRecentExports((list) => list.filter((r) => r.id !== id));
+    } catch (e) {
+      console.error('[Discord Analyzer] Could not delete saved export', e);
+    }
+  }, []);
 
   return (
     <div
@@ -164,19 +271,23 @@ export default function LoadScreen({ onLoad, onStartLoad, loading, error }) {
             <div className="load-progress-bar" role="progressbar" aria-valuenow={progress} aria-valuemin={0} aria-valuemax={100} aria-label="Loading progress">
               <div className="load-progress-fill" style={{ width: `${progress}%` }} />
             </div>
+            <button type="button" className="btn-secondary load-cancel-btn" onClick={cancelLoad}>
+              Cancel
+            </button>
           </div>
         )}
         <div className="load-options">
           <div className="load-option">
             <span className="load-option-label">1. Drag & drop your export ZIP here</span>
-            <p className="load-option-hint">or drop an unzipped folder (if your browser supports it)</p>
+            <p className="load-option-hint">or drop an unzipped folder (if your browser supports it). Drop several ZIPs/folders to merge them into one deduplicated dataset.</p>
           </div>
           <div className="load-option">
-            <span className="load-option-label">2. Select ZIP file</span>
+            <span className="load-option-label">2. Select ZIP file(s)</span>
             <input
               ref={fileInputRef}
               type="file"
               accept=".zip"
+              multiple
               onChange={onSelectFile}
               className="load-input"
             />
@@ -210,11 +321,48 @@ export default function LoadScreen({ onLoad, onStartLoad, loading, error }) {
             </button>
           </div>
         </div>
+        {recentExports.length > 0 && (
+          <div className="load-recent">
+            <span className="load-option-label">Recent exports</span>
+            <ul className="load-recent-list">
+              {recentExports.map((r) => (
+                <li key={r.id} className="load-recent-item">
+                  <button type="button" className="load-recent-open" onClick={() => openRecent(r.id)} disabled={loading}>
+                    <span className="load-recent-name">{r.name}</span>
+                    <span className="load-recent-meta">
+                      {formatBytes(r.size)} · {(r.messageCount ?? 0).toLocaleString()} messages · loaded {new Date(r.loadedAt).toLocaleString()}
+                    </span>
+                  </button>
+                  <button
+                    type="button"
+                    className="load-recent-delete"
+                    onClick={() => removeRecent(r.id)}
+                    aria-label={`Delete saved export ${r.name}`}
+                    title="Delete saved export"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
+/** Name, total size and newest modification time of a loaded folder, for the recent exports list and its cache key. */
+function folderSource(files) {
+  const first = files[0]?.path ?? '';
+  const root = first.includes('/') ? first.split('/')[0] : '';
+  return {
+    name: root && root.toLowerCase() !== 'messages' ? root : 'Unzipped folder',
+    size: files.reduce((sum, f) => sum + (f.file?.size ?? 0), 0),
+    lastModified: files.reduce((latest, f) => Math.max(latest, f.file?.lastModified ?? 0), 0),
+  };
+}
+
 /**
  * Read directory from drag-drop (DataTransferItem.webkitGetAsEntry).
  * Returns { file, path }[] so we never mutate File.webkitRelativePath (read-only in browsers).
@@ -0,0 +1,147 @@
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+const OVERSCAN_PX = 600;
+
+/** First index whose row ends below y (offsets[i] is the top of row i, offsets[n] the total height). */
+function findIndexAt(offsets, y) {
+  let lo = 0;
+  let hi = offsets.length - 2;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return Math.max(0, lo);
+}
+
+/**
+ * Windowed list for rows of varying height: only rows near the viewport are mounted. Heights start from
+ * estimateSize and are replaced by measured sizes (ResizeObserver, so late-loading images are picked up).
+ * getKey must return a string. Ref exposes scrollToIndex(index, align?: 'start' | 'center').
+ */
+const VirtualList = forwardRef(function VirtualList({ items, estimateSize, renderItem, getKey, className, style }, ref) {
+  const containerRef = useRef(null);
+  const measured = useRef(new Map());
+  const observed = useRef(new Set());
+  const pendingScroll = useRef(null);
+  const frame = useRef(0);
+  const [version, setVersion] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, height: 600 });
+
+  const offsets = useMemo(() => {
+    const out = new Float64Array(items.length + 1);
+    for (let i = 0; i < items.length; i++) {
+      const key = getKey(items[i], i);
+      out[i + 1] = out[i] + (measured.current.get(key) ?? estimateSize(items[i]));
+    }
+    return out;
+  }, [items, version, estimateSize, getKey]); // version bumps whenever a measured height changes
+
+  const observer = useMemo(() => {
+    if (typeof ResizeObserver === 'undefined') return null;
+    return new ResizeObserver((entries) => {
+      let changed = false;
+      for (const entry of entries) {
+        const key = entry.target.dataset.vkey;
+        const h = entry.target.offsetHeight;
+        if (key != null && h > 0 && measured.current.get(key) !== h) {
+          measured.current.set(key, h);
+          changed = true;
+        }
+      }
+      if (changed && !frame.current) {
+        frame.current = requestAnimationFrame(() => {
+          frame.current = 0;
+          setVersion((v) => v + 1);
+        });
+      }
+    });
+  }, []);
+
+  useEffect(
+    () => () => {
+      observer?.disconnect();
+      observed.current.clear();
+      if (frame.current) cancelAnimationFrame(frame.current);
+    },
+    [observer]
+  );
+
+  const rowRef = useCallback(
+    (el) => {
+      if (el && observer && !observed.current.has(el)) {
+        observer.observe(el);
+        observed.current.add(el);
+      }
+    },
+    [observer]
+  );
+
+  // Stop observing rows that scrolled out and were unmounted.
+  useLayoutEffect(() => {
+    for (const el of observed.current) {
+      if (!el.isConnected) {
+        observer?.unobserve(el);
+        observed.current.delete(el);
+      }
+    }
+  });
+
+  const onScroll = useCallback(() => {
+    const el = containerRef.current;
+    if (el) setViewport({ top: el.scrollTop, height: el.clientHeight });
+  }, []);
+
+  useLayoutEffect(() => {
+    onScroll();
+  }, [onScroll]);
+
+  const applyScroll = useCallback(() => {
+    const el = containerRef.current;
+    const target = pendingScroll.current;
+    if (!el || !target || target.index >= items.length) return;
+    const top = offsets[target.index];
+    const rowHeight = offsets[target.index + 1] - top;
+    el.scrollTop = target.align === 'center' ? Math.max(0, top - (el.clientHeight - rowHeight) / 2) : top;
+    onScroll();
+  }, [items.length, offsets, onScroll]);
+
+  // Rows measured after a jump shift the offsets; re-apply the jump a few times until they settle.
+  useLayoutEffect(() => {
+    if (!pendingScroll.current) return;
+    applyScroll();
+    pendingScroll.current.tries -= 1;
+    if (pendingScroll.current.tries <= 0) pendingScroll.current = null;
+  }, [applyScroll]);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      scrollToIndex(index, align = 'start') {
+        pendingScroll.current = { index, align, tries: 4 };
+        applyScroll();
+      },
+    }),
+    [applyScroll]
+  );
+
+  const start = items.length ? findIndexAt(offsets, Math.max(0, viewport.top - OVERSCAN_PX)) : 0;
+  const endY = viewport.top + viewport.height + OVERSCAN_PX;
+  const rows = [];
+  for (let i = start; i < items.length && offsets[i] < endY; i++) {
+    const key = getKey(items[i], i);
+    rows.push(
+      <div key={key} ref={rowRef} data-vkey={key} style={{ position: 'absolute', top: offsets[i], left: 0, right: 0 }}>
+        {renderItem(items[i], i)}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={containerRef} className={className} style={{ overflowY: 'auto', position: 'relative', ...style }} onScroll={onScroll}>
+      <div style={{ height: offsets[items.length], position: 'relative' }}>{rows}</div>
+    </div>
+  );
+});
+
+export default VirtualList;
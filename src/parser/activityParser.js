@@ -0,0 +1,196 @@
+/**
+ * Streaming parser for activity/analytics/events-*.json and activity/reporting/* —
+ * newline-delimited JSON, one event per line, often hundreds of MB per file.
+ * Lines are parsed one at a time and folded into counts, so the raw text is never held in memory.
+ */
+
+import { getLocalDateKey } from '../utils/dateUtils.js';
+
+/** Known event types → label and category. Anything else is counted under its raw name in "other". */
+const EVENT_TYPES = {
+  app_opened: { label: 'App opened', category: 'app' },
+  session_start: { label: 'Session started', category: 'app' },
+  app_background: { label: 'App backgrounded', category: 'app' },
+  notification_clicked: { label: 'Notification clicked', category: 'app' },
+  send_message: { label: 'Message sent', category: 'messaging' },
+  message_edited: { label: 'Message edited', category: 'messaging' },
+  message_deleted: { label: 'Message deleted', category: 'messaging' },
+  channel_opened: { label: 'Channel opened', category: 'messaging' },
+  dm_list_viewed: { label: 'DM list viewed', category: 'messaging' },
+  join_voice_channel: { label: 'Voice joined', category: 'voice' },
+  leave_voice_channel: { label: 'Voice left', category: 'voice' },
+  join_call: { label: 'Call joined', category: 'voice' },
+  start_speaking: { label: 'Started speaking', category: 'voice' },
+  video_stream_started: { label: 'Stream started', category: 'voice' },
+  add_reaction: { label: 'Reaction added', category: 'reactions' },
+  remove_reaction: { label: 'Reaction removed', category: 'reactions' },
+  application_command_used: { label: 'Slash command used', category: 'commands' },
+  slash_command_used: { label: 'Slash command used', category: 'commands' },
+  launch_game: { label: 'Game launched', category: 'games' },
+  game_opened: { label: 'Game opened', category: 'games' },
+  activity_updated: { label: 'Activity updated', category: 'games' },
+  guild_joined: { label: 'Server joined', category: 'servers' },
+  create_guild: { label: 'Server created', category: 'servers' },
+  leave_guild: { label: 'Server left', category: 'servers' },
+  accepted_instant_invite: { label: 'Invite accepted', category: 'servers' },
+  guild_viewed: { label: 'Server viewed', category: 'servers' },
+};
+
+export const ACTIVITY_CATEGORIES = {
+  app: 'App usage',
+  messaging: 'Messaging',
+  voice: 'Voice & video',
+  reactions: 'Reactions',
+  commands: 'Slash commands',
+  games: 'Games',
+  servers: 'Servers',
+  other: 'Other',
+};
+
+/** True for paths that hold newline-delimited activity events. */
+export function isActivityEventFile(path) {
+  const p = path.replace(/\\/g, '/').toLowerCase();
+  return /(^|\/)activity\/(analytics|reporting)\/[^/]+\.json$/.test(p);
+}
+
+/** Exported timestamps are sometimes double-quoted strings ("\"2021-01-01T00:00:00Z\""). */
+function parseEventTimestamp(raw) {
+  if (raw == null) return null;
+  const d = new Date(typeof raw === 'string' ? raw.replace(/^"+|"+$/g, '') : raw);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/** Events are kept per 15-minute UTC slot so daily buckets can be rebuilt for any time zone. */
+const SLOT_MS = 15 * 60 * 1000;
+
+/**
+ * Create an accumulator that receives text chunks of NDJSON and folds them into an activity model.
+ */
+export function createActivityAccumulator() {
+  const byType = new Map();
+  const slots = new Map();
+  const guildJoins = new Map();
+  let totalEvents = 0;
+  let malformedLines = 0;
+  let fileMalformedLines = 0;
+  let firstEventAt = null;
+  let lastEventAt = null;
+  let pending = '';
+
+  function addEvent(ev) {
+    const type = ev?.event_type;
+    if (!type) return;
+    const ts = parseEventTimestamp(ev.timestamp ?? ev.client_track_timestamp);
+    const known = EVENT_TYPES[type];
+    const category = known?.category ?? 'other';
+    if (!byType.has(type)) {
+      byType.set(type, { type, label: known?.label ?? type, category, count: 0, firstAt: null, lastAt: null });
+    }
+    const t = byType.get(type);
+    t.count += 1;
+    totalEvents += 1;
+    if (ts) {
+      if (!t.firstAt || ts < t.firstAt) t.firstAt = ts;
+      if (!t.lastAt || ts > t.lastAt) t.lastAt = ts;
+      if (!firstEventAt || ts < firstEventAt) firstEventAt = ts;
+      if (!lastEventAt || ts > lastEventAt) lastEventAt = ts;
+      const slotKey = Math.floor(ts.getTime() / SLOT_MS);
+      if (!slots.has(slotKey)) slots.set(slotKey, { slot: slotKey, count: 0 });
+      const slot = slots.get(slotKey);
+      slot.count += 1;
+      slot[category] = (slot[category] || 0) + 1;
+      if (type === 'guild_joined' && ev.guild_id) {
+        const prev = guildJoins.get(String(ev.guild_id));
+        if (!prev || ts < prev) guildJoins.set(String(ev.guild_id), ts);
+      }
+    }
+  }
+
+  function addLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    try {
+      addEvent(JSON.parse(trimmed));
+    } catch (_) {
+      malformedLines += 1;
+      fileMalformedLines += 1;
+    }
+  }
+
+  return {
+    /** Feed the next chunk of text; complete lines are parsed immediately. */
+    pushText(chunk) {
+      const text = pending + chunk;
+      let start = 0;
+      let nl = text.indexOf('\n');
+      while (nl !== -1) {
+        addLine(text.slice(start, nl));
+        start = nl + 1;
+        nl = text.indexOf('\n', start);
+      }
+      pending = text.slice(start);
+    },
+    /** Flush the trailing line of the current file. Returns how many of its lines were not valid JSON. */
+    endFile() {
+      if (pending) addLine(pending);
+      pending = '';
+      const malformed = fileMalformedLines;
+      fileMalformedLines = 0;
+      return malformed;
+    },
+    result() {
+      const categories = new Map();
+      for (const t of byType.values()) {
+        categories.set(t.category, (categories.get(t.category) || 0) + t.count);
+      }
+      return {
+        totalEvents,
+        malformedLines,
+        firstEventAt,
+        lastEventAt,
+        byType: [...byType.values()].sort((a, b) => b.count - a.count),
+        byCategory: [...categories.entries()]
+          .map(([category, count]) => ({ category, label: ACTIVITY_CATEGORIES[category] ?? category, count }))
+          .sort((a, b) => b.count - a.count),
+        timeline: [...slots.values()].sort((a, b) => a.slot - b.slot),
+        guildJoins: Object.fromEntries(guildJoins),
+      };
+    },
+  };
+}
+
+/**
+ * Daily event counts (total and per category) in a time zone, from the accumulator's 15-minute timeline.
+ * @param {{ timeline?: { slot: number, count: number }[] }|null} activity
+ * @param {string} timeZone
+ * @returns {{ date: string, count: number }[]}
+ */
+export function bucketActivityByDay(activity, timeZone) {
+  const byDay = new Map();
+  for (const slot of activity?.timeline ?? []) {
+    const dayKey = getLocalDateKey(slot.slot * SLOT_MS, timeZone);
+    if (!dayKey) continue;
+    if (!byDay.has(dayKey)) byDay.set(dayKey, { date: dayKey, count: 0 });
+    const day = byDay.get(dayKey);
+    for (const [k, v] of Object.entries(slot)) {
+      if (k !== 'slot') day[k] = (day[k] || 0) + v;
+    }
+  }
+  return [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Stream decoded text (e.g. a ZIP entry's textStream()) through the accumulator without joining it into one string.
+ * @param {ReadableStream<string>} textStream
+ * @param {ReturnType<typeof createActivityAccumulator>} acc
+ * @returns {Promise<number>} malformed lines in this file
+ */
+export async function streamText(textStream, acc) {
+  const reader = textStream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    acc.pushText(value);
+  }
+  return acc.endFile();
+}
@@ -0,0 +1,72 @@
+/**
+ * Structured record of what went wrong while reading an export, shown in the Import report view instead of
+ * being swallowed. Each issue names the file, the stage that read it, the error, the file size and how many
+ * messages were still recovered from it.
+ */
+
+export const DIAGNOSTIC_KINDS = [
+  { id: 'malformed-json', label: 'Malformed JSON', hint: 'The file is not valid JSON; messages before the error were kept.' },
+  { id: 'read-error', label: 'Unreadable files', hint: 'The file could not be read or inflated.' },
+  { id: 'missing-metadata', label: 'Channels without metadata', hint: 'No channel.json was found, so names and servers are unknown.' },
+  { id: 'invalid-timestamp', label: 'Invalid timestamps', hint: 'Messages without a valid date are left out of every statistic.' },
+  { id: 'unrecognised-file', label: 'Unrecognised files', hint: 'Files in messages/, servers/ or activity/ that the analyzer does not read.' },
+];
+
+/**
+ * @typedef {object} DiagnosticIssue
+ * @property {'malformed-json'|'read-error'|'missing-metadata'|'invalid-timestamp'|'unrecognised-file'} kind
+ * @property {string} path  file (or channel folder) inside the export
+ * @property {string} stage  which reader hit it: metadata, messages, account, activity, servers, index, scan
+ * @property {string|null} error
+ * @property {number|null} bytes  uncompressed size of the file
+ * @property {number|null} messages  messages recovered from the file (or affected, for invalid timestamps)
+ * @property {string} [source]  export name, when several were merged
+ */
+
+export function createDiagnostics() {
+  const issues = [];
+  let filesRead = 0;
+  let bytesRead = 0;
+
+  return {
+    /** Count a file the parser opened, whatever came of it. */
+    read(bytes) {
+      filesRead += 1;
+      bytesRead += bytes || 0;
+    },
+
+    /** @param {Omit<DiagnosticIssue, 'error'|'bytes'|'messages'> & Partial<DiagnosticIssue>} issue */
+    add({ kind, path, stage, error = null, bytes = null, messages = null }) {
+      issues.push({ kind, path, stage, error, bytes, messages });
+    },
+
+    /** A read that threw: JSON syntax errors count as malformed JSON, anything else as unreadable. */
+    fail({ path, stage, error, bytes = null, messages = null }) {
+      issues.push({
+        kind: error instanceof SyntaxError ? 'malformed-json' : 'read-error',
+        path,
+        stage,
+        error: error?.message ?? String(error),
+        bytes,
+        messages,
+      });
+    },
+
+    /** @returns {{ filesRead: number, bytesRead: number, issues: DiagnosticIssue[] }} */
+    finish() {
+      return { filesRead, bytesRead, issues };
+    },
+  };
+}
+
+/** Diagnostics of several exports as one report; each issue records the export it came from. */
+export function mergeDiagnostics(named) {
+  const merged = { filesRead: 0, bytesRead: 0, issues: [] };
+  for (const { name, diagnostics } of named) {
+    if (!diagnostics) continue;
+    merged.filesRead += diagnostics.filesRead;
+    merged.bytesRead += diagnostics.bytesRead;
+    for (const issue of diagnostics.issues) merged.issues.push({ ...issue, source: name });
+  }
+  return merged;
+}
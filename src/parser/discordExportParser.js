@@ -2,85 +2,220 @@
  * Parses Discord data export (ZIP or folder).
  * Discord export structure (from support docs):
  * - messages/ : folders named by Channel ID; each has channel metadata JSON + messages transcript JSON
- *   - Message fields: ID, Timestamp, Contents, Attachments
+ *   - Message fields: ID, Timestamp, Contents, Attachments (messages.json, or messages.csv in older exports)
  *   - Channel metadata: Guild ID, Channel ID, Channel Name (or User IDs for DMs)
- * - activity/, account/, servers/ : optional JSON data
+ * - activity/analytics/, activity/reporting/ : newline-delimited JSON event logs (streamed, see activityParser)
+ * - servers/ : index.json plus <id>/guild.json and audit-log.json per guild (see serversParser)
+ * - account/ : optional JSON data (user.json)
+ * Which package generation it is (folder naming, CSV or JSON transcripts, index.json shape) is detected up
+ * front; field names come from that generation's adapter in ./formats.
+ * ZIPs, folders and directory handles are all wrapped as an ExportSource (./exportSource) and read by one core,
+ * readExport, which only ever asks for a file's text by path.
  */
 
-import JSZip from 'jszip';
-import { getLocalDateKey } from '../utils/dateUtils';
+import { DEFAULT_TIME_ZONE, getZonedParts } from '../utils/dateUtils.js';
+import { emptyHourWeekdayGrid } from '../utils/channelStats.js';
+import { resolveStopwords, tokenizeClauses } from '../utils/tokenizer.js';
+import { createEmojiCounter, extractEmojis } from '../utils/emoji.js';
+import { createShareAccumulator } from '../utils/messageEntities.js';
+import { createPhraseAccumulator } from '../utils/ngrams.js';
+import { createVocabularyAccumulator } from '../utils/vocabularyGrowth.js';
+import { createToneAccumulator, scoreTone } from '../utils/sentiment.js';
+import { parseMessagesCsvStream } from './messagesCsv.js';
+import { bucketActivityByDay, createActivityAccumulator, isActivityEventFile, streamText } from './activityParser.js';
+import { classifyServerFile, createGuildCatalogue } from './serversParser.js';
+import { collectDirectoryFiles, fileListSource, zipSource } from './exportSource.js';
+import { parseJsonStream } from './jsonStream.js';
+import { createDiagnostics, mergeDiagnostics } from './diagnostics.js';
+import { describeLayout, detectExportFormat } from './formats/index.js';
 
 const CHANNEL_META_NAMES = ['channel.json', 'metadata.json'];
 const MESSAGE_FILE_NAMES = ['messages.json', 'channel.json']; // some exports use channel.json for messages
+const MESSAGE_CSV_NAME = 'messages.csv'; // older exports ship the transcript as CSV
+/** Top-level folders of a package; a file directly inside one of them is never a single-channel transcript. */
+const PACKAGE_SECTIONS = ['messages', 'account', 'servers', 'activity'];
 
-/** Shift all timestamps by this many hours (export times were 5h late; subtract 5 to correct). */
-const TZ_OFFSET_HOURS = -5;
-const TZ_OFFSET_MS = TZ_OFFSET_HOURS * 60 * 60 * 1000;
-
-function normalizeMessage(msg) {
-  const id = msg.ID ?? msg.id;
-  const ts = msg.Timestamp ?? msg.timestamp ?? msg.date;
-  const contents = msg.Contents ?? msg.content ?? msg.contents ?? '';
-  const attachments = msg.Attachments ?? msg.attachments ?? [];
-  const arr = Array.isArray(attachments) ? attachments : (attachments ? [attachments] : []);
-  const rawDate = ts ? new Date(ts) : null;
-  const timestamp = rawDate && !isNaN(rawDate.getTime()) ? new Date(rawDate.getTime() + TZ_OFFSET_MS) : null;
-  return {
-    id,
-    timestamp,
-    contents: String(contents ?? ''),
-    attachments: arr,
-    channelId: null,
-    guildId: null,
-    channelName: null,
-    guildName: null,
-  };
+/**
+ * Where the parser's progress notes (debug) and the errors it recovers from (error) go; both take console.log
+ * style arguments. Pass one as options.logger to redirect or silence them.
+ * @typedef {{ debug: (...args: any[]) => void, error: (...args: any[]) => void }} ParserLogger
+ */
+
+/** @type {ParserLogger} the default: the browser or Node console */
+export const consoleLogger = {
+  debug: (...args) => console.log('[Discord Analyzer]', ...args),
+  error: (...args) => console.error('[Discord Analyzer]', ...args),
+};
+
+/** @type {ParserLogger} */
+export const silentLogger = { debug() {}, error() {} };
+
+function isCsvTranscript(path) {
+  return path.toLowerCase().split('/').pop() === MESSAGE_CSV_NAME;
 }
 
-function isMessageArray(data) {
-  if (!Array.isArray(data) || data.length === 0) return false;
-  const first = data[0];
-  if (!first || typeof first !== 'object') return false;
-  const hasContent = 'Contents' in first || 'content' in first || 'contents' in first;
-  const hasTime = 'Timestamp' in first || 'timestamp' in first || 'date' in first;
-  return hasContent || hasTime;
+async function collectText(textStream) {
+  const parts = [];
+  const reader = textStream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+  }
+  return parts.join('');
 }
 
-function isChannelMeta(data) {
-  if (!data || typeof data !== 'object') return false;
-  return (
-    'Channel ID' in data ||
-    'channel_id' in data ||
-    'Channel Id' in data ||
-    'channelId' in data ||
-    ('Guild ID' in data && 'Channel Name' in data) ||
-    ('Guild ID' in data && 'channel_name' in data) ||
-    ('User IDs' in data && ('Channel ID' in data || 'channel_id' in data))
-  );
+/**
+ * Pass each message of a transcript file to onMessage as it streams in: messages.csv record by record, everything
+ * else as JSON parsed one array element at a time. Files that are not a message array (channel metadata) yield
+ * nothing.
+ * @param {string} path
+ * @param {ReadableStream<string>} textStream
+ * @param {(msg: object) => void} onMessage
+ * @param {import('./formats').ExportFormat} format
+ * @returns {Promise<boolean>} whether the file was a transcript
+ */
+async function readTranscript(path, textStream, onMessage, format) {
+  let first = true;
+  if (isCsvTranscript(path)) {
+    await parseMessagesCsvStream(textStream, (msg) => {
+      if (first && !format.isMessage(msg)) return false;
+      first = false;
+      onMessage(msg);
+    });
+    return true;
+  }
+  let isTranscript = true;
+  const value = await parseJsonStream(textStream, (msg) => {
+    if (first && !format.isMessage(msg)) {
+      isTranscript = false;
+      return false;
+    }
+    first = false;
+    onMessage(msg);
+  });
+  return isTranscript && value === undefined;
 }
 
-function normalizeChannelMeta(data) {
-  const recipients = data.Recipients ?? data.recipients ?? data['User IDs'];
-  const firstRecipient = Array.isArray(recipients) ? recipients[0] : typeof recipients === 'object' ? recipients : null;
-  const channelId = data['Channel ID'] ?? data.channel_id ?? data.ChannelId ?? data.channelId ?? null;
-  const dmName = data.Name ?? data.name ?? data.display_name ?? (firstRecipient && (firstRecipient.username ?? firstRecipient.name ?? firstRecipient.global_name));
-  const avatarUrl = data.icon_url ?? data.avatar ?? data.avatar_url ?? (firstRecipient && (firstRecipient.avatar ?? firstRecipient.avatar_url));
-  const avatarFull =
-    avatarUrl &&
-    (avatarUrl.startsWith('http')
-      ? avatarUrl
-      : channelId
-        ? `https://cdn.discordapp.com/avatars/${channelId}/${avatarUrl}.png`
-        : null);
-  return {
-    guildId: data['Guild ID'] ?? data.guild_id ?? data.GuildId ?? null,
-    channelId,
-    channelName: data['Channel Name'] ?? data.channel_name ?? data.ChannelName ?? dmName ?? 'Unknown',
-    guildName: data['Guild Name'] ?? data.guild_name ?? data.GuildName ?? null,
-    userIds: data['User IDs'] ?? data.user_ids ?? null,
-    avatarUrl: avatarFull || null,
-    recipients: Array.isArray(recipients) ? recipients : firstRecipient ? [firstRecipient] : null,
-  };
+function malformedLinesError(count) {
+  return count === 1 ? '1 line is not valid JSON' : `${count} lines are not valid JSON`;
+}
+
+/** Transcripts live in messages/<channel>/; flat folder layouts are recognised by the file name. */
+function isTranscriptPath(path) {
+  return /(^|\/)messages\/[^/]+\//i.test(path) || /(^|\/)messages\.(json|csv)$/i.test(path);
+}
+
+/**
+ * Read one transcript into result.messages and record what could not be recovered: a read error (with the
+ * messages read before it), a channel without metadata, messages whose timestamp does not parse. Errors in
+ * channel metadata files (also tried as transcripts) were already reported by the metadata pass.
+ * @param {{ path: string, channelPath: string, bytes: number, isMeta: boolean, openText: () => ReadableStream<string> }} file
+ * @param {object|undefined} meta  normalized channel metadata for the folder
+ * @returns {Promise<boolean>} false when the file turned out not to be a transcript
+ */
+async function readChannelTranscript({ path, channelPath, bytes, isMeta, openText }, meta, result, diagnostics, format, logger) {
+  let recovered = 0;
+  let invalidTimestamps = 0;
+  let firstInvalid;
+  let isTranscript = true;
+  const reported = !isMeta && isTranscriptPath(path);
+  if (reported) diagnostics.read(bytes);
+  try {
+    isTranscript = await readTranscript(path, openText(), (msg) => {
+      const m = channelMessage(format.normalizeMessage(msg), meta ?? {}, channelPath, result.channelIdToName, format);
+      if (!m.timestamp) {
+        if (invalidTimestamps === 0) firstInvalid = msg.Timestamp ?? msg.timestamp ?? msg.date;
+        invalidTimestamps += 1;
+      }
+      result.messages.push(m);
+      recovered += 1;
+    }, format);
+  } catch (e) {
+    logger.error('message parse failed', path, e?.message);
+    if (reported) diagnostics.fail({ path, stage: 'messages', error: e, bytes, messages: recovered });
+  }
+  if (recovered > 0 && !meta) {
+    diagnostics.add({ kind: 'missing-metadata', path: channelPath, stage: 'messages', messages: recovered });
+  }
+  if (invalidTimestamps > 0) {
+    diagnostics.add({
+      kind: 'invalid-timestamp',
+      path,
+      stage: 'messages',
+      error: firstInvalid == null ? 'Timestamp missing' : `Unparseable timestamp, e.g. "${String(firstInvalid).slice(0, 40)}"`,
+      bytes,
+      messages: invalidTimestamps,
+    });
+  }
+  return isTranscript;
+}
+
+/**
+ * Files under messages/, servers/ or activity/ that no reader picks up. account/ is not checked: it also
+ * holds avatars and application data the analyzer has no use for.
+ */
+function isUnrecognisedFile(path) {
+  const p = path.replace(/\\/g, '/').toLowerCase();
+  const match = p.match(/(?:^|\/)(messages|servers|activity)\/(.+)$/);
+  if (!match) return false;
+  const [, section, rest] = match;
+  if (section === 'messages') return !(rest === 'index.json' || (rest.includes('/') && (rest.endsWith('.json') || isCsvTranscript(rest))));
+  if (section === 'servers') return !classifyServerFile(p);
+  return !isActivityEventFile(p);
+}
+
+/**
+ * Identify the package generation (see ./formats) from the paths, index.json and the first channel.json and JSON
+ * transcript. Sample read errors are left to the passes that read those files properly.
+ * @param {import('./exportSource.js').ExportSource} source
+ * @param {any} index  parsed messages/index.json, or null
+ * @param {ParserLogger} logger
+ */
+async function detectFormat(source, index, logger) {
+  const layout = describeLayout(source.files.map((f) => f.path));
+  layout.index = index;
+  const channelFile = source.files.find((f) => /(^|\/)messages\/[^/]+\/channel\.json$/i.test(f.path));
+  const transcriptFile = source.files.find((f) => /(^|\/)messages\/[^/]+\/messages\.json$/i.test(f.path));
+  try {
+    if (channelFile) layout.sampleChannel = JSON.parse(await collectText(source.openText(channelFile.path)));
+  } catch (_) {}
+  try {
+    if (transcriptFile) {
+      await parseJsonStream(source.openText(transcriptFile.path), (record) => {
+        layout.sampleMessage = record;
+        return false;
+      });
+    }
+  } catch (_) {}
+  const format = detectExportFormat(layout);
+  logger.debug('format:', format.id, layout.channelFolders.length, 'channel folders', layout.transcripts);
+  return format;
+}
+
+function isIndexPath(path) {
+  const p = path.replace(/\\/g, '/').toLowerCase();
+  return p === 'messages/index.json' || p.endsWith('/messages/index.json');
+}
+
+/** Normalized message with its channel and guild filled in from the channel metadata. */
+function channelMessage(m, meta, channelPath, channelIdToName, format) {
+  m.channelId = meta.channelId ?? format.channelIdFromFolder(channelPath.split('/').pop());
+  m.guildId = meta.guildId;
+  if (!meta.guildId) {
+    m.channelName = (meta.channelName && !looksLikeId(meta.channelName)) ? meta.channelName : (channelIdToName[meta.channelId ?? m.channelId] ?? null);
+  } else {
+    m.channelName = meta.channelName ?? m.channelId;
+  }
+  m.guildName = meta.guildName;
+  m.avatarUrl = meta.avatarUrl ?? null;
+  return m;
+}
+
+function addServerFile(catalogue, serverFile, data) {
+  if (serverFile.kind === 'index') catalogue.addIndex(data);
+  else if (serverFile.kind === 'guild') catalogue.addGuild(serverFile.guildId, data);
+  else catalogue.addAuditLog(serverFile.guildId, data);
 }
 
 function looksLikeId(str) {
@@ -89,179 +224,434 @@ function looksLikeId(str) {
   return /^[c~]?\d{15,}$/.test(s) || (s.length > 16 && /^\d+$/.test(s));
 }
 
+/**
+ * Parse a package from any loader (see ./exportSource): a ZIP, a folder's files, or an in-memory source in tests.
+ * @param {import('./exportSource.js').ExportSource} source
+ * @param {{ onProgress?: (percent: number, message: string) => void, logger?: ParserLogger, timeZone?: string, stopwords?: object, since?: Date, until?: Date }} options
+ */
+export async function parseExport(source, options = {}) {
+  return buildSummary(await readExport(source, options), options);
+}
+
 /**
  * Parse ZIP file (Discord export).
  * @param {File} zipFile
- * @param {{ onProgress?: (percent: number, message: string) => void }} options
+ * @param {{ onProgress?: (percent: number, message: string) => void, logger?: ParserLogger, timeZone?: string, stopwords?: object, since?: Date, until?: Date }} options
  * @returns {Promise<{ messages: any[], channels: any[], guilds: any[], activity: any, account: any }>}
  */
 export async function parseZip(zipFile, options = {}) {
-  const { onProgress } = options;
-  const report = (p, msg) => { try { onProgress?.(p, msg); } catch (_) {} };
+  return parseExport(await zipSource(zipFile), options);
+}
 
-  report(0, 'Opening ZIP…');
-  const zip = await JSZip.loadAsync(zipFile);
-  const files = [];
-  zip.forEach((path, entry) => {
-    if (!entry.dir) files.push({ path, entry });
-  });
-  report(5, 'Scanning files…');
-
-  const readText = async (entry) => {
-    const blob = await entry.async('blob');
-    return await new Promise((resolve, reject) => {
-      const r = new FileReader();
-      r.onload = () => resolve(r.result);
-      r.onerror = reject;
-      r.readAsText(blob);
-    });
-  };
+/**
+ * Parse from a list of files (e.g. from folder input or drag-drop with webkitRelativePath).
+ * Accepts: File[] (with webkitRelativePath set by browser) or { file: File, path: string }[].
+ * Expects file paths like "messages/CHANNEL_ID/messages.json" (or messages.csv) or "messages/CHANNEL_ID/channel.json".
+ * @param {Array} fileList
+ * @param {{ onProgress?: (percent: number, message: string) => void, logger?: ParserLogger, timeZone?: string, stopwords?: object, since?: Date, until?: Date }} options
+ */
+export async function parseFileList(fileList, options = {}) {
+  return parseExport(fileListSource(fileList), options);
+}
 
+/**
+ * Parse from FileSystemDirectoryHandle (e.g. from showDirectoryPicker).
+ * Passes { file, path }[] to parseFileList so we never mutate File.webkitRelativePath (read-only).
+ */
+export async function parseDirectoryHandle(dirHandle, basePath = '', options = {}) {
+  return parseFileList(await collectDirectoryFiles(dirHandle, basePath), options);
+}
+
+/**
+ * The channel folder a transcript or metadata file belongs to: messages/<channel>/ anywhere in the path (a folder
+ * picked above the package root adds a prefix), or the parent folder when a single channel folder was picked.
+ */
+function channelPathOf(path) {
+  const parts = path.split('/').filter(Boolean);
+  if (parts.length >= 3 && parts[0].toLowerCase() === 'messages') return parts.slice(0, -1).join('/');
+  const i = path.toLowerCase().indexOf('messages/');
+  if (i >= 0) {
+    const segs = path.slice(i).split('/').filter(Boolean);
+    return segs.length >= 3 ? segs.slice(0, -1).join('/') : null;
+  }
+  if (parts.length === 2 && !PACKAGE_SECTIONS.includes(parts[0].toLowerCase())) return parts[0];
+  return null;
+}
+
+/**
+ * Read a package into the raw parse result (before buildSummary; resummarize turns it into a summary). Everything
+ * is read through source.openText, so ZIPs, folders and test fixtures go through the same steps: index.json and
+ * format detection, channel metadata, transcripts, account, activity, servers, then index names.
+ * @param {import('./exportSource.js').ExportSource} source
+ * @param {{ onProgress?: (percent: number, message: string) => void, logger?: ParserLogger }} options
+ */
+export async function readExport(source, options = {}) {
+  const { onProgress, logger = consoleLogger } = options;
+  const report = (p, msg) => { try { onProgress?.(p, msg); } catch (_) {} };
+  const { files } = source;
+  const readText = (path) => collectText(source.openText(path));
+
+  report(0, 'Scanning files…');
+  logger.debug('readExport: files', files.length);
+  const diagnostics = createDiagnostics();
   const result = {
     messages: [],
     channels: [],
-    channelMetaByPath: {},
     channelIdToName: {},
     guilds: new Map(),
     activity: null,
     account: null,
   };
+  const channelMetaByPath = {};
 
-  const messageFiles = [];
-  const metaFiles = [];
+  // index.json is read first: its shape is part of format detection. Names are applied after the metadata.
+  const indexFile = files.find(({ path }) => isIndexPath(path) || path.toLowerCase() === 'index.json');
+  let indexData = null;
+  if (indexFile) {
+    try {
+      diagnostics.read(indexFile.size);
+      indexData = JSON.parse(await readText(indexFile.path));
+    } catch (e) {
+      diagnostics.fail({ path: indexFile.path, stage: 'index', error: e, bytes: indexFile.size });
+    }
+  }
+  const format = await detectFormat(source, indexData, logger);
+  result.format = { id: format.id, label: format.label };
 
-  for (const { path } of files) {
-    const lower = path.toLowerCase();
-    if (!lower.endsWith('.json')) continue;
-    const parts = path.split('/');
-    if (parts[0] === 'messages' && parts.length >= 3) {
-      const channelPath = parts.slice(0, -1).join('/');
-      const name = parts[parts.length - 1];
-      const isMetaName = CHANNEL_META_NAMES.some((n) => name.toLowerCase() === n.toLowerCase());
-      if (isMetaName) {
-        metaFiles.push({ path, channelPath });
-      }
-      messageFiles.push({ path, channelPath });
+  const metaFiles = [];
+  const messageFiles = [];
+  for (const { path, size } of files) {
+    if (isUnrecognisedFile(path)) {
+      diagnostics.add({ kind: 'unrecognised-file', path, stage: 'scan', bytes: size });
+      continue;
+    }
+    if (!path.toLowerCase().endsWith('.json') && !isCsvTranscript(path)) continue;
+    const channelPath = channelPathOf(path);
+    if (!channelPath) continue;
+    const isMeta = CHANNEL_META_NAMES.includes(path.split('/').pop().toLowerCase());
+    if (isMeta) metaFiles.push({ path, size, channelPath });
+    messageFiles.push({ path, size, channelPath, isMeta });
+  }
+  if (messageFiles.length === 0) {
+    for (const { path, size } of files) {
+      const parts = path.split('/').filter(Boolean);
+      const name = (parts[parts.length - 1] || '').toLowerCase();
+      if (name !== 'messages.json' && name !== MESSAGE_CSV_NAME) continue;
+      const channelPath = parts.length >= 2 ? parts.slice(0, -1).join('/') : (parts[0] || 'unknown');
+      messageFiles.push({ path, size, channelPath, isMeta: false });
     }
+    logger.debug('readExport: fallback (any file named messages.json / messages.csv):', messageFiles.length, 'candidates');
   }
-  debug('parseZip: metaFiles', metaFiles.length, 'messageFiles', messageFiles.length);
+  logger.debug('readExport: metaFiles', metaFiles.length, 'messageFiles', messageFiles.length);
 
-  for (const { path, channelPath } of metaFiles) {
+  for (let i = 0; i < metaFiles.length; i++) {
+    const { path, size, channelPath } = metaFiles[i];
     try {
-      const entry = zip.file(path);
-      if (!entry) continue;
-      const text = await readText(entry);
-      const data = JSON.parse(text);
-      if (isChannelMeta(data)) {
-        const meta = normalizeChannelMeta(data);
-        result.channelMetaByPath[channelPath] = meta;
+      diagnostics.read(size);
+      const data = JSON.parse(await readText(path));
+      if (format.isChannelMeta(data)) {
+        const meta = format.normalizeChannelMeta(data);
+        channelMetaByPath[channelPath] = meta;
+        if (meta.channelId) channelMetaByPath[meta.channelId] = meta;
+        const lastSegment = channelPath.split('/').pop();
+        if (lastSegment && lastSegment !== channelPath) channelMetaByPath[lastSegment] = meta;
         result.channels.push({ ...meta, path: channelPath });
         if (meta.guildId && meta.guildName) {
           result.guilds.set(meta.guildId, { id: meta.guildId, name: meta.guildName });
         }
         if (!meta.guildId && meta.channelId && meta.channelName && !looksLikeId(meta.channelName) && meta.channelName !== 'Unknown') {
           result.channelIdToName[meta.channelId] = meta.channelName;
-          const pathId = channelPath.split('/').pop();
-          if (pathId && pathId !== meta.channelId) result.channelIdToName[pathId] = meta.channelName;
+          if (lastSegment && lastSegment !== meta.channelId) result.channelIdToName[lastSegment] = meta.channelName;
         }
       }
-    } catch (_) {}
+    } catch (e) {
+      logger.error('readExport: meta parse failed', channelPath, e?.message);
+      diagnostics.fail({ path, stage: 'metadata', error: e, bytes: size });
+    }
+    if ((i + 1) % 10 === 0) report(Math.floor((10 * (i + 1)) / metaFiles.length), 'Reading metadata…');
   }
   report(10, 'Reading messages…');
 
-  const totalMsgFiles = messageFiles.length;
+  function getMeta(channelPath) {
+    const last = channelPath.split('/').pop();
+    return (
+      channelMetaByPath[channelPath] ||
+      channelMetaByPath[last] ||
+      (last ? channelMetaByPath['messages/' + last] : undefined)
+    );
+  }
+
   for (let i = 0; i < messageFiles.length; i++) {
-    const { path, channelPath } = messageFiles[i];
-    try {
-      const entry = zip.file(path);
-      if (!entry) continue;
-      const text = await readText(entry);
-      const data = JSON.parse(text);
-      if (!isMessageArray(data)) continue;
-      const meta = result.channelMetaByPath[channelPath] || {};
-      for (const msg of data) {
-        const m = normalizeMessage(msg);
-        m.channelId = meta.channelId ?? channelPath.split('/').pop();
-        m.guildId = meta.guildId;
-        if (!meta.guildId) {
-          m.channelName = (meta.channelName && !looksLikeId(meta.channelName)) ? meta.channelName : (result.channelIdToName[meta.channelId ?? m.channelId] ?? null);
-        } else {
-          m.channelName = meta.channelName ?? m.channelId;
-        }
-        m.guildName = meta.guildName;
-        m.avatarUrl = meta.avatarUrl ?? null;
-        result.messages.push(m);
-      }
-      if ((i + 1) % 5 === 0 || i === messageFiles.length - 1) {
-        report(10 + Math.floor((70 * (i + 1)) / totalMsgFiles), 'Reading messages…');
-      }
-    } catch (_) {}
+    const { path, size, channelPath, isMeta } = messageFiles[i];
+    const file = { path, channelPath, bytes: size, isMeta, openText: () => source.openText(path) };
+    const isTranscript = await readChannelTranscript(file, getMeta(channelPath), result, diagnostics, format, logger);
+    // Candidates outside a channel folder (single-channel folders, the fallback) are not flagged.
+    if (!isTranscript && !isMeta && /(^|\/)messages\/[^/]+\//i.test(path)) {
+      diagnostics.add({ kind: 'unrecognised-file', path, stage: 'messages', bytes: size });
+    }
+    if ((i + 1) % 5 === 0 || i === messageFiles.length - 1) {
+      report(10 + Math.floor((70 * (i + 1)) / messageFiles.length), 'Reading messages…');
+    }
   }
   report(80, 'Building stats…');
 
-  for (const { path } of files) {
-    if (path.startsWith('account/') && path.toLowerCase().endsWith('.json')) {
+  const accountFiles = files.filter(({ path }) => path.toLowerCase().startsWith('account/') && path.toLowerCase().endsWith('.json'));
+  const accountFile = accountFiles.find(({ path }) => path.toLowerCase() === 'account/user.json') ?? accountFiles[0];
+  if (accountFile) {
+    try {
+      diagnostics.read(accountFile.size);
+      result.account = JSON.parse(await readText(accountFile.path));
+    } catch (e) {
+      diagnostics.fail({ path: accountFile.path, stage: 'account', error: e, bytes: accountFile.size });
+    }
+  }
+
+  const activityFiles = files.filter(({ path }) => isActivityEventFile(path));
+  if (activityFiles.length > 0) {
+    report(85, 'Reading activity…');
+    const acc = createActivityAccumulator();
+    for (const { path, size } of activityFiles) {
       try {
-        const entry = zip.file(path);
-        if (entry) {
-          const text = await readText(entry);
-          result.account = JSON.parse(text);
+        diagnostics.read(size);
+        const malformed = await streamText(source.openText(path), acc);
+        if (malformed > 0) {
+          diagnostics.add({ kind: 'malformed-json', path, stage: 'activity', error: malformedLinesError(malformed), bytes: size });
         }
-        break;
-      } catch (_) {}
+      } catch (e) {
+        logger.error('readExport: activity read failed', path, e?.message);
+        diagnostics.fail({ path, stage: 'activity', error: e, bytes: size });
+      }
     }
+    result.activity = acc.result();
+    logger.debug('readExport: activity events', result.activity.totalEvents);
   }
 
-  const indexFile = files.find((f) => {
-    const p = f.path.replace(/\\/g, '/').toLowerCase();
-    return p === 'messages/index.json' || p.endsWith('/messages/index.json');
-  });
-  if (indexFile) {
+  const catalogue = createGuildCatalogue();
+  for (const { path, size } of files) {
+    const serverFile = classifyServerFile(path);
+    if (!serverFile) continue;
     try {
-      const entry = zip.file(indexFile.path);
-      if (entry) {
-        const text = await readText(entry);
-        const indexData = JSON.parse(text);
-        function setIndexName(id, name) {
-          if (id && name != null) result.channelIdToName[String(id)] = String(name);
-        }
-        if (Array.isArray(indexData)) {
-          indexData.forEach((c) => setIndexName(c.id ?? c.channel_id ?? c.channelId, c.name ?? c.channel_name ?? c.channelName));
-        } else if (indexData.channels && Array.isArray(indexData.channels)) {
-          indexData.channels.forEach((c) => setIndexName(c.id ?? c.channel_id ?? c.channelId, c.name ?? c.channel_name ?? c.channelName));
-        } else if (typeof indexData === 'object') {
-          Object.entries(indexData).forEach(([id, v]) => { result.channelIdToName[id] = typeof v === 'string' ? v : (v?.name ?? v?.channel_name ?? v?.channelName ?? id); });
+      diagnostics.read(size);
+      addServerFile(catalogue, serverFile, JSON.parse(await readText(path)));
+    } catch (e) {
+      logger.error('readExport: servers file failed', path, e?.message);
+      diagnostics.fail({ path, stage: 'servers', error: e, bytes: size });
+    }
+  }
+
+  if (indexData) {
+    try {
+      Object.assign(result.channelIdToName, format.channelNamesFromIndex(indexData));
+    } catch (e) {
+      diagnostics.fail({ path: indexFile.path, stage: 'index', error: e, bytes: indexFile.size });
+    }
+  }
+
+  result.guilds = catalogue.build({
+    knownGuilds: Array.from(result.guilds.values()),
+    userId: result.account?.id,
+    guildJoins: result.activity?.guildJoins,
+  });
+  result.diagnostics = diagnostics.finish();
+  report(95, 'Finalizing…');
+  return result;
+}
+
+/**
+ * Parse several exports (older packages keep messages that were since deleted, newer ones have recent
+ * history) into one dataset: messages deduplicated by channel + id, channel metadata and names merged,
+ * one buildSummary over the union. Each message records the package it came from in `source`.
+ * @param {({ kind: 'zip', file: File, name?: string } | { kind: 'files', files: any[], name?: string })[]} sources
+ * @param {{ onProgress?: (percent: number, message: string) => void, logger?: ParserLogger, timeZone?: string, stopwords?: object, since?: Date, until?: Date }} options
+ */
+export async function parseMany(sources, options = {}) {
+  const { onProgress } = options;
+  const report = (p, msg) => { try { onProgress?.(p, msg); } catch (_) {} };
+  const results = [];
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i];
+    const name = source.name || source.file?.name || `Export ${i + 1}`;
+    const label = `(${i + 1}/${sources.length}) ${name}`;
+    const sub = {
+      logger: options.logger,
+      onProgress: (p, msg) => report(Math.floor((90 * i + 0.9 * p) / sources.length), `${label}: ${msg}`),
+    };
+    const result = await readExport(source.kind === 'zip' ? await zipSource(source.file) : fileListSource(source.files), sub);
+    for (const m of result.messages) m.source = name;
+    results.push({ name, result });
+  }
+  report(92, 'Merging exports…');
+  return buildSummary(mergeResults(results), options);
+}
+
+function latestTimestamp(messages) {
+  let latest = 0;
+  for (const m of messages) {
+    const t = m.timestamp?.getTime?.();
+    if (t && t > latest) latest = t;
+  }
+  return latest;
+}
+
+/**
+ * Merge raw parse results. Packages are applied oldest → newest (by their latest message), so
+ * names, account and activity come from the newest package while older ones still contribute
+ * messages, channels and guilds the newer ones no longer have.
+ */
+function mergeResults(named) {
+  const ordered = [...named].sort((a, b) => latestTimestamp(a.result.messages) - latestTimestamp(b.result.messages));
+  const merged = {
+    messages: [],
+    channels: [],
+    channelIdToName: {},
+    guilds: [],
+    activity: null,
+    account: null,
+    format: null,
+    sources: [],
+    diagnostics: mergeDiagnostics(named.map(({ name, result }) => ({ name, diagnostics: result.diagnostics }))),
+  };
+  const messageIndex = new Map();
+  const channelIndex = new Map();
+  const guildIndex = new Map();
+
+  for (const { name, result } of ordered) {
+    let added = 0;
+    for (const m of result.messages) {
+      if (m.id == null) {
+        merged.messages.push(m);
+        added += 1;
+        continue;
+      }
+      const key = `${m.channelId}:${m.id}`;
+      const existing = messageIndex.get(key);
+      if (existing) {
+        // Seen in an older package already: keep its source, take the newer text (edits).
+        existing.contents = m.contents || existing.contents;
+        continue;
+      }
+      messageIndex.set(key, m);
+      merged.messages.push(m);
+      added += 1;
+    }
+    for (const ch of result.channels) {
+      const key = ch.channelId ?? ch.path;
+      const existing = channelIndex.get(key);
+      if (existing) {
+        for (const [k, v] of Object.entries(ch)) {
+          if (v != null) existing[k] = v;
         }
+      } else {
+        const copy = { ...ch };
+        channelIndex.set(key, copy);
+        merged.channels.push(copy);
       }
-    } catch (_) {}
+    }
+    Object.assign(merged.channelIdToName, result.channelIdToName);
+    for (const g of result.guilds ?? []) {
+      const existing = guildIndex.get(String(g.id));
+      if (!existing) {
+        const copy = { ...g, auditLog: [...(g.auditLog ?? [])] };
+        guildIndex.set(String(g.id), copy);
+        merged.guilds.push(copy);
+        continue;
+      }
+      if (g.name && g.name !== g.id) existing.name = g.name;
+      existing.joinedAt = existing.joinedAt ?? g.joinedAt ?? null;
+      const seen = new Set(existing.auditLog.map((e) => e.id));
+      for (const e of g.auditLog ?? []) {
+        if (!seen.has(e.id)) existing.auditLog.push(e);
+      }
+    }
+    if (result.account) merged.account = result.account;
+    if (result.activity) merged.activity = result.activity;
+    if (result.format) merged.format = result.format;
+    merged.sources.push({ name, messageCount: result.messages.length, newMessages: added, format: result.format ?? null });
   }
+  return merged;
+}
 
-  result.guilds = Array.from(result.guilds.values());
-  report(95, 'Finalizing…');
-  return buildSummary(result);
+/**
+ * Recompute the summary of an already-parsed export with new options (e.g. another time zone),
+ * without re-reading the package. Takes the output of parseZip / parseFileList / parseMany.
+ * @param {any} data
+ * @param {{ timeZone?: string, stopwords?: { languages?: 'auto'|string[], custom?: string[] } }} options
+ */
+export function resummarize(data, options = {}) {
+  return buildSummary(
+    {
+      messages: data.messages ?? [],
+      channels: data.channels ?? [],
+      channelIdToName: data.channelIdToName ?? {},
+      guilds: data.guilds ?? [],
+      account: data.account ?? null,
+      activity: data.activity ?? null,
+      sources: data.sources ?? null,
+      format: data.format ?? null,
+      diagnostics: data.diagnostics ?? null,
+    },
+    options
+  );
+}
+
+/** Emoji series keeps per-day counts for this many of the top emoji (plus the daily total). */
+const EMOJI_TIMELINE_KEYS = 6;
+
+/** Who a mention points at: the other person of a 1:1 DM for users, the channel name for channels. */
+function createMentionNamer(result) {
+  const accountId = result.account?.id != null ? String(result.account.id) : null;
+  const userNames = new Map();
+  const channelNames = new Map();
+  for (const ch of result.channels ?? []) {
+    if (ch.channelId != null && ch.channelName && !looksLikeId(ch.channelName)) channelNames.set(String(ch.channelId), ch.channelName);
+    const ids = Array.isArray(ch.userIds) ? ch.userIds.map(String) : null;
+    if (ch.guildId || !ids || ids.length !== 2 || !ch.channelName || looksLikeId(ch.channelName)) continue;
+    const other = ids.find((id) => id !== accountId);
+    if (other && !userNames.has(other)) userNames.set(other, ch.channelName);
+  }
+  return (mention) => {
+    if (mention.type === 'user') return userNames.get(mention.id) ?? null;
+    if (mention.type === 'channel') return result.channelIdToName?.[mention.id] ?? channelNames.get(mention.id) ?? null;
+    if (mention.type === 'everyone') return `@${mention.id}`;
+    return null;
+  };
 }
 
 /**
  * Build summary stats from raw parse result.
+ * All day/hour/weekday bucketing happens in options.timeZone (IANA, default UTC as exported);
+ * word counts skip the stopwords from options.stopwords (languages detected from the messages by default);
+ * phrases keep them unless every word of the phrase is one. Every message gets a tone (scoreTone) as m.tone.
+ * options.since / options.until (Dates, either may be omitted) keep only the messages sent in that range.
  */
-function buildSummary(result) {
-  const messages = result.messages.filter((m) => m.timestamp && !isNaN(m.timestamp.getTime()));
+function buildSummary(result, options = {}) {
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  const since = options.since?.getTime() ?? -Infinity;
+  const until = options.until?.getTime() ?? Infinity;
+  const messages = result.messages.filter((m) => {
+    const t = m.timestamp?.getTime();
+    return t >= since && t < until;
+  });
   const byChannel = new Map();
   const byGuild = new Map();
   const byDay = new Map();
   const byHour = new Map(Array.from({ length: 24 }, (_, i) => [i, 0]));
   const byDayOfWeek = new Map(Array.from({ length: 7 }, (_, i) => [i, 0]));
+  const hourWeekday = emptyHourWeekdayGrid();
   let totalWords = 0;
   const wordCounts = new Map();
-  const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'it', 'i', 'you', 'we', 'they', 'this', 'that', 'be', 'are', 'was', 'were', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'can', 'if', 'as', 'so', 'my', 'me', 'your', 'he', 'she', 'his', 'her', 'its', 'just', 'not', 'no', 'yes', 'oh', 'um', 'uh', 'im', 'dont', 'cant', 'wont', 'thats', 'what', 'when', 'where', 'who', 'how', 'why', 'all', 'each', 'every', 'some', 'any', 'from', 'up', 'out', 'about', 'into', 'over', 'after', 'before', 'between', 'through', 'during', 'above', 'below', 'more', 'most', 'other', 'than', 'then', 'them', 'these', 'those', 'here', 'there']);
-
-  function tokenize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[\s\u200b-\u200d\ufeff]+/g, ' ')
-      .split(/\s+/)
-      .filter((w) => w.length > 1);
-  }
+  const emojis = createEmojiCounter();
+  const channelEmojis = new Map();
+  const emojiDays = new Map();
+  let totalEmojis = 0;
+  const shares = createShareAccumulator();
+  const channelWordCounts = new Map();
+  const stopwords = resolveStopwords(options.stopwords, messages);
+  const phrases = createPhraseAccumulator(stopwords.set);
+  const vocabulary = createVocabularyAccumulator();
+  const tones = createToneAccumulator();
+
+  const guildNames = new Map((result.guilds ?? []).map((g) => [String(g.id), g.name]));
 
   let firstTs = null;
   let lastTs = null;
@@ -279,14 +669,16 @@ function buildSummary(result) {
       (key && result.channelIdToName?.[key.replace(/^\D+/, '')]);
     let displayName = idFromIndex ?? m.channelName;
     if (!m.guildId && displayName && looksLikeId(displayName)) displayName = null;
+    const guildName = m.guildName || (m.guildId ? guildNames.get(String(m.guildId)) : null) || null;
     if (!byChannel.has(key)) {
       byChannel.set(key, {
         channelId: key,
         channelName: displayName,
         guildId: m.guildId,
-        guildName: m.guildName,
+        guildName,
         avatarUrl: m.avatarUrl ?? null,
         count: 0,
+        hourWeekday: emptyHourWeekdayGrid(),
         messages: [],
       });
     }
@@ -297,46 +689,73 @@ function buildSummary(result) {
 
     if (m.guildId) {
       if (!byGuild.has(m.guildId)) {
-        byGuild.set(m.guildId, { guildId: m.guildId, guildName: m.guildName || m.guildId, count: 0 });
+        byGuild.set(m.guildId, { guildId: m.guildId, guildName: guildName || m.guildId, count: 0, hourWeekday: emptyHourWeekdayGrid() });
       }
       byGuild.get(m.guildId).count += 1;
     }
 
-    const dayKey = ts ? getLocalDateKey(ts) : '';
-    if (dayKey) byDay.set(dayKey, (byDay.get(dayKey) || 0) + 1);
-    if (ts) {
-      byHour.set(ts.getHours(), (byHour.get(ts.getHours()) || 0) + 1);
-      byDayOfWeek.set(ts.getDay(), (byDayOfWeek.get(ts.getDay()) || 0) + 1);
+    const zoned = ts ? getZonedParts(ts, timeZone) : null;
+    const dayKey = zoned ? `${zoned.year}-${String(zoned.month).padStart(2, '0')}-${String(zoned.day).padStart(2, '0')}` : null;
+    if (zoned) {
+      byDay.set(dayKey, (byDay.get(dayKey) || 0) + 1);
+      byHour.set(zoned.hour, (byHour.get(zoned.hour) || 0) + 1);
+      byDayOfWeek.set(zoned.weekday, (byDayOfWeek.get(zoned.weekday) || 0) + 1);
+      hourWeekday[zoned.weekday][zoned.hour] += 1;
+      ch.hourWeekday[zoned.weekday][zoned.hour] += 1;
+      if (m.guildId) byGuild.get(m.guildId).hourWeekday[zoned.weekday][zoned.hour] += 1;
     }
 
-    const words = tokenize(m.contents);
+    const clauses = tokenizeClauses(m.contents);
+    const words = clauses.flat();
     totalWords += words.length;
+    if (!channelWordCounts.has(key)) channelWordCounts.set(key, new Map());
+    const chWordCounts = channelWordCounts.get(key);
     for (const w of words) {
-      if (STOPWORDS.has(w)) continue;
+      if (stopwords.set.has(w)) continue;
       wordCounts.set(w, (wordCounts.get(w) || 0) + 1);
+      chWordCounts.set(w, (chWordCounts.get(w) || 0) + 1);
     }
-    const customEmojis = (m.contents || '').match(/:[\w~]+:/g);
-    if (customEmojis) {
-      for (const e of customEmojis) {
-        const key = e.toLowerCase();
-        wordCounts.set(key, (wordCounts.get(key) || 0) + 1);
+    phrases.add(clauses, key, dayKey);
+    vocabulary.add(words, dayKey);
+    const found = extractEmojis(m.contents);
+    if (found.length) {
+      if (!channelEmojis.has(key)) channelEmojis.set(key, createEmojiCounter());
+      if (dayKey && !emojiDays.has(dayKey)) emojiDays.set(dayKey, new Map());
+      const dayCounts = dayKey ? emojiDays.get(dayKey) : null;
+      for (const e of found) {
+        emojis.add(e);
+        channelEmojis.get(key).add(e);
+        if (dayCounts) dayCounts.set(e.key, (dayCounts.get(e.key) || 0) + 1);
       }
+      totalEmojis += found.length;
     }
+    m.tone = scoreTone(m.contents, clauses, found);
+    tones.add(m.tone, key, dayKey);
+    shares.add(m, key, dayKey);
     attachmentCount += (m.attachments && m.attachments.length) ? m.attachments.length : 0;
   }
 
-  const sortedWords = [...wordCounts.entries()].sort((a, b) => b[1] - a[1]).filter(([w]) => !/^:[\w~]+:$/.test(w)).slice(0, 100);
-  const topEmojis = [...wordCounts.entries()].filter(([w]) => /^:[\w~]+:$/.test(w)).sort((a, b) => b[1] - a[1]).slice(0, 24);
+  const sortedWords = [...wordCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 100);
+  const topEmojis = emojis.top(50);
+  const shareStats = shares.finish(createMentionNamer(result));
+  const phraseStats = phrases.finish();
+  const toneStats = tones.finish();
+  const timelineKeys = topEmojis.slice(0, EMOJI_TIMELINE_KEYS).map((e) => e.key);
+  const emojiByDay = [...emojiDays.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([date, counts]) => {
+      const row = { date, total: 0 };
+      for (const n of counts.values()) row.total += n;
+      for (const k of timelineKeys) row[k] = counts.get(k) ?? 0;
+      return row;
+    });
 
-  for (const ch of byChannel.values()) {
-    const chWordCounts = new Map();
-    for (const m of ch.messages) {
-      for (const w of tokenize(m.contents)) {
-        if (STOPWORDS.has(w)) continue;
-        chWordCounts.set(w, (chWordCounts.get(w) || 0) + 1);
-      }
-    }
-    ch.topWords = [...chWordCounts.entries()].sort((a, b) => b[1] - a[1]).filter(([w]) => !/^:[\w~]+:$/.test(w)).slice(0, 30);
+  for (const [key, ch] of byChannel) {
+    ch.topWords = [...(channelWordCounts.get(key)?.entries() ?? [])].sort((a, b) => b[1] - a[1]).slice(0, 30);
+    ch.topEmojis = channelEmojis.get(key)?.top(10) ?? [];
+    Object.assign(ch, shareStats.byChannel.get(key) ?? { topMentions: [], topDomains: [], attachmentKinds: [], linkCount: 0, attachmentCount: 0 });
+    Object.assign(ch, phraseStats.byChannel.get(key) ?? { topPhrases: [], catchphrases: [] });
+    Object.assign(ch, toneStats.byChannel.get(key));
     const firstMsg = ch.messages.find((m) => m.timestamp && !isNaN(m.timestamp.getTime()));
     const lastMsg = [...ch.messages].reverse().find((m) => m.timestamp && !isNaN(m.timestamp.getTime()));
     ch.firstMessageAt = firstMsg?.timestamp ?? null;
@@ -344,11 +763,17 @@ function buildSummary(result) {
   }
 
   return {
+    timeZone,
+    stopwords: { languages: stopwords.languages, custom: stopwords.custom, resolved: stopwords.resolved },
     messages,
     channels: result.channels,
+    channelIdToName: result.channelIdToName ?? {},
     guilds: result.guilds,
     account: result.account,
-    activity: result.activity,
+    activity: result.activity ? { ...result.activity, byDay: bucketActivityByDay(result.activity, timeZone) } : null,
+    sources: result.sources ?? null,
+    format: result.format ?? null,
+    diagnostics: result.diagnostics ?? null,
     stats: {
       totalMessages: messages.length,
       totalWords,
@@ -361,244 +786,15 @@ function buildSummary(result) {
       byDay: Array.from(byDay.entries()).sort((a, b) => a[0].localeCompare(b[0])).map(([date, count]) => ({ date, count })),
       byHour: Array.from(byHour.entries()).sort((a, b) => a[0] - b[0]).map(([hour, count]) => ({ hour, count })),
       byDayOfWeek: Array.from(byDayOfWeek.entries()).sort((a, b) => a[0] - b[0]).map(([day, count]) => ({ day, count })),
+      hourWeekday,
       topWords: sortedWords,
       topEmojis,
+      totalEmojis,
+      emojiByDay,
+      ...shareStats.stats,
+      ...phraseStats.stats,
+      ...vocabulary.finish(stopwords.set),
+      ...toneStats.stats,
     },
   };
 }
-
-const DEBUG = true;
-function debug(...args) {
-  if (DEBUG) console.log('[Discord Analyzer]', ...args);
-}
-function debugError(...args) {
-  if (DEBUG) console.error('[Discord Analyzer]', ...args);
-}
-
-/**
- * Normalize input: accept File[] (with webkitRelativePath) or { file, path }[].
- * Returns array of { file, path }.
- */
-function normalizeFileList(fileList) {
-  const out = [];
-  const raw = Array.isArray(fileList) ? fileList : Array.from(fileList);
-  for (const item of raw) {
-    if (item && typeof item.getFile === 'function') {
-      debugError('parseFileList: item looks like a handle; pass files or { file, path }');
-      continue;
-    }
-    if (item && item.file != null && typeof item.path === 'string') {
-      out.push({ file: item.file, path: item.path });
-    } else if (item && item instanceof File) {
-      const path = item.webkitRelativePath || item.name || '';
-      out.push({ file: item, path });
-    } else {
-      debug('parseFileList: skipping unknown item', item);
-    }
-  }
-  return out;
-}
-
-/**
- * Parse from a list of files (e.g. from folder input or drag-drop with webkitRelativePath).
- * Accepts: File[] (with webkitRelativePath set by browser) or { file: File, path: string }[].
- * Expects file paths like "messages/CHANNEL_ID/messages.json" or "messages/CHANNEL_ID/channel.json".
- * @param {Array} fileList
- * @param {{ onProgress?: (percent: number, message: string) => void }} options
- */
-export async function parseFileList(fileList, options = {}) {
-  const { onProgress } = options;
-  const report = (p, msg) => { try { onProgress?.(p, msg); } catch (_) {} };
-
-  debug('parseFileList: input length', Array.isArray(fileList) ? fileList.length : fileList?.length);
-  report(0, 'Reading files…');
-  const normalized = normalizeFileList(fileList);
-  debug('parseFileList: normalized length', normalized.length);
-
-  const result = {
-    messages: [],
-    channels: [],
-    channelMetaByPath: {},
-    guilds: new Map(),
-    channelIdToName: {},
-  };
-
-  const metaFiles = [];
-  const messageCandidates = [];
-
-  for (const { file, path } of normalized) {
-    const p = path.replace(/\\/g, '/').replace(/^\/+/, '');
-    if (!p.toLowerCase().endsWith('.json')) continue;
-    const parts = p.split('/').filter(Boolean);
-    const name = parts[parts.length - 1] || '';
-    let channelPath = null;
-    if (parts.length >= 3 && parts[0].toLowerCase() === 'messages') {
-      channelPath = parts.slice(0, -1).join('/');
-    } else if (p.toLowerCase().includes('messages/') && parts.length >= 2) {
-      const i = p.toLowerCase().indexOf('messages/');
-      const fromMessages = p.slice(i);
-      const segs = fromMessages.split('/').filter(Boolean);
-      if (segs.length >= 2) channelPath = segs.slice(0, -1).join('/');
-    } else if (parts.length === 2) {
-      channelPath = parts[0];
-    }
-    if (!channelPath) continue;
-    if (CHANNEL_META_NAMES.some((n) => name.toLowerCase() === n.toLowerCase())) {
-      metaFiles.push({ path: p, channelPath, file });
-    }
-    messageCandidates.push({ path: p, channelPath, file });
-  }
-
-  if (messageCandidates.length === 0) {
-    for (const { file, path } of normalized) {
-      const p = path.replace(/\\/g, '/').replace(/^\/+/, '');
-      const parts = p.split('/').filter(Boolean);
-      const name = parts[parts.length - 1] || '';
-      if (name.toLowerCase() !== 'messages.json') continue;
-      const channelPath = parts.length >= 2 ? parts.slice(0, -1).join('/') : (parts[0] || 'unknown');
-      messageCandidates.push({ path: p, channelPath, file });
-    }
-    debug('parseFileList: fallback (any file named messages.json):', messageCandidates.length, 'candidates');
-  }
-
-  const readFile = (file) =>
-    new Promise((resolve, reject) => {
-      const r = new FileReader();
-      r.onload = () => resolve(r.result);
-      r.onerror = reject;
-      r.readAsText(file);
-    });
-
-  const totalMeta = metaFiles.length;
-  for (let mi = 0; mi < metaFiles.length; mi++) {
-    const { channelPath, file } = metaFiles[mi];
-    try {
-      const text = await readFile(file);
-      const data = JSON.parse(text);
-      if (isChannelMeta(data)) {
-        const meta = normalizeChannelMeta(data);
-        result.channelMetaByPath[channelPath] = meta;
-        if (meta.channelId) result.channelMetaByPath[meta.channelId] = meta;
-        const lastSegment = channelPath.split('/').pop();
-        if (lastSegment && lastSegment !== channelPath) result.channelMetaByPath[lastSegment] = meta;
-        result.channels.push({ ...meta, path: channelPath });
-        if (meta.guildId && meta.guildName) {
-          result.guilds.set(meta.guildId, { id: meta.guildId, name: meta.guildName });
-        }
-        if (!meta.guildId && meta.channelId && meta.channelName && !looksLikeId(meta.channelName) && meta.channelName !== 'Unknown') {
-          result.channelIdToName[meta.channelId] = meta.channelName;
-          const pathId = channelPath.split('/').pop();
-          if (pathId && pathId !== meta.channelId) result.channelIdToName[pathId] = meta.channelName;
-        }
-      }
-      if (totalMeta > 0 && (mi + 1) % 5 === 0) report(Math.min(5, (5 * (mi + 1)) / totalMeta), 'Reading metadata…');
-    } catch (e) {
-      debugError('parseFileList: meta parse failed', channelPath, e?.message);
-    }
-  }
-  report(5, 'Reading messages…');
-
-  function getMeta(channelPath) {
-    const last = channelPath.split('/').pop();
-    return (
-      result.channelMetaByPath[channelPath] ||
-      result.channelMetaByPath[last] ||
-      (last ? result.channelMetaByPath['messages/' + last] : null)
-    ) || {};
-  }
-
-  const totalMsg = messageCandidates.length;
-  for (let mi = 0; mi < messageCandidates.length; mi++) {
-    const { path, channelPath, file } = messageCandidates[mi];
-    try {
-      const text = await readFile(file);
-      const data = JSON.parse(text);
-      if (!isMessageArray(data)) continue;
-      const meta = getMeta(channelPath);
-      for (const msg of data) {
-        const m = normalizeMessage(msg);
-        m.channelId = meta.channelId ?? channelPath.split('/').pop();
-        m.guildId = meta.guildId;
-        if (!meta.guildId) {
-          m.channelName = (meta.channelName && !looksLikeId(meta.channelName)) ? meta.channelName : (result.channelIdToName[meta.channelId ?? m.channelId] ?? null);
-        } else {
-          m.channelName = meta.channelName ?? m.channelId;
-        }
-        m.guildName = meta.guildName;
-        m.avatarUrl = meta.avatarUrl ?? null;
-        result.messages.push(m);
-      }
-      if (totalMsg > 0 && (mi + 1) % 10 === 0) report(5 + Math.floor((80 * (mi + 1)) / totalMsg), 'Reading messages…');
-    } catch (e) {
-      debugError('parseFileList: message parse failed', path, e?.message);
-    }
-  }
-  report(85, 'Building stats…');
-  const accountFile = normalized.find(({ path }) => {
-    const p = path.replace(/\\/g, '/').toLowerCase();
-    return p.startsWith('account/') && p.endsWith('.json');
-  });
-  if (accountFile) {
-    try {
-      const text = await readFile(accountFile.file);
-      result.account = JSON.parse(text);
-    } catch (_) {}
-  }
-
-  const indexFile = normalized.find(({ path }) => {
-    const p = path.replace(/\\/g, '/').toLowerCase();
-    return p === 'messages/index.json' || p.endsWith('/messages/index.json') || p === 'index.json';
-  });
-  if (indexFile) {
-    try {
-      const text = await readFile(indexFile.file);
-      const indexData = JSON.parse(text);
-      function setIndexName(id, name) {
-        if (id && name != null) result.channelIdToName[String(id)] = String(name);
-      }
-      if (Array.isArray(indexData)) {
-        indexData.forEach((c) => {
-          setIndexName(c.id ?? c.channel_id ?? c.channelId, c.name ?? c.channel_name ?? c.channelName);
-        });
-      } else if (indexData.channels && Array.isArray(indexData.channels)) {
-        indexData.channels.forEach((c) => {
-          setIndexName(c.id ?? c.channel_id ?? c.channelId, c.name ?? c.channel_name ?? c.channelName);
-        });
-      } else if (typeof indexData === 'object') {
-        Object.entries(indexData).forEach(([id, v]) => {
-          result.channelIdToName[id] = typeof v === 'string' ? v : (v?.name ?? v?.channel_name ?? v?.channelName ?? id);
-        });
-      }
-    } catch (_) {}
-  }
-
-  result.guilds = Array.from(result.guilds.values());
-  return buildSummary(result);
-}
-
-/**
- * Parse from FileSystemDirectoryHandle (e.g. from showDirectoryPicker).
- * Passes { file, path }[] to parseFileList so we never mutate File.webkitRelativePath (read-only).
- */
-export async function parseDirectoryHandle(dirHandle, basePath = '', options = {}) {
-  debug('parseDirectoryHandle: starting');
-  const fileList = [];
-  await collectFiles(dirHandle, basePath, fileList);
-  debug('parseDirectoryHandle: collected', fileList.length, 'files');
-  return parseFileList(fileList, options);
-}
-
-async function collectFiles(dirHandle, basePath, out) {
-  for await (const entry of dirHandle.entries()) {
-    const [key, handle] = Array.isArray(entry) ? entry : [undefined, entry];
-    const name = (handle && handle.name) || (typeof key === 'string' ? key : '');
-    const path = name ? (basePath ? `${basePath}/${name}` : name) : basePath;
-    if (!path) continue;
-    if (handle.kind === 'file') {
-      const file = await handle.getFile();
-      out.push({ path, file });
-    } else if (handle.kind === 'directory') {
-      await collectFiles(handle, path, out);
-    }
-  }
-}
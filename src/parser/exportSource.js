@@ -0,0 +1,90 @@
+/**
+ * Loaders: each turns one way of getting at a package (a ZIP, a folder's file list, a directory handle) into an
+ * ExportSource, the only thing the parser core (readExport) reads from. The core never touches File, Blob or
+ * ZIP entries itself, so it runs the same in the browser, the worker, Node and the tests.
+ *
+ * @typedef {object} ExportSource
+ * @property {{ path: string, size: number }[]} files  every file of the package; forward slashes, no leading "/"
+ * @property {(path: string) => ReadableStream<string>} openText  stream one file's text by its path
+ */
+
+import { openZip } from './zipReader.js';
+
+/** Top-level folders of a package that are read; everything else in the ZIP is never inflated. */
+const ZIP_SECTIONS = ['messages/', 'account/', 'servers/', 'activity/'];
+
+function cleanPath(path) {
+  return path.replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+/**
+ * A ZIP package, read through its central directory (entries are inflated when opened).
+ * @param {Blob} blob
+ * @returns {Promise<ExportSource>}
+ */
+export async function zipSource(blob) {
+  const zip = await openZip(blob);
+  const entries = zip.entries.filter((entry) => !entry.dir && ZIP_SECTIONS.some((s) => entry.path.toLowerCase().startsWith(s)));
+  return {
+    files: entries.map((entry) => ({ path: entry.path, size: entry.size })),
+    openText: (path) => zip.get(path).textStream(),
+  };
+}
+
+/**
+ * Normalize input: accept File[] (with webkitRelativePath) or { file, path }[].
+ * Returns array of { file, path }.
+ */
+function normalizeFileList(fileList) {
+  const out = [];
+  const raw = Array.isArray(fileList) ? fileList : Array.from(fileList);
+  for (const item of raw) {
+    // Handles are not files: walk them with collectDirectoryFiles first.
+    if (item && typeof item.getFile === 'function') continue;
+    if (item && item.file != null && typeof item.path === 'string') {
+      out.push({ file: item.file, path: item.path });
+    } else if (typeof File !== 'undefined' && item instanceof File) {
+      out.push({ file: item, path: item.webkitRelativePath || item.name || '' });
+    }
+  }
+  return out;
+}
+
+/**
+ * Files of an unzipped package: File[] from a folder input (webkitRelativePath set by the browser) or
+ * { file, path }[] from a directory walk, the worker or the command line. `file` only needs Blob's stream().
+ * @param {Array} fileList
+ * @returns {ExportSource}
+ */
+export function fileListSource(fileList) {
+  const byPath = new Map();
+  for (const { file, path } of normalizeFileList(fileList)) byPath.set(cleanPath(path), file);
+  return {
+    files: [...byPath].map(([path, file]) => ({ path, size: file.size })),
+    openText: (path) => byPath.get(path).stream().pipeThrough(new TextDecoderStream()),
+  };
+}
+
+/**
+ * Walk a FileSystemDirectoryHandle into { file, path }[] (what fileListSource and the parser worker take).
+ */
+export async function collectDirectoryFiles(dirHandle, basePath = '') {
+  const fileList = [];
+  await collectFiles(dirHandle, basePath, fileList);
+  return fileList;
+}
+
+async function collectFiles(dirHandle, basePath, out) {
+  for await (const entry of dirHandle.entries()) {
+    const [key, handle] = Array.isArray(entry) ? entry : [undefined, entry];
+    const name = (handle && handle.name) || (typeof key === 'string' ? key : '');
+    const path = name ? (basePath ? `${basePath}/${name}` : name) : basePath;
+    if (!path) continue;
+    if (handle.kind === 'file') {
+      const file = await handle.getFile();
+      out.push({ path, file });
+    } else if (handle.kind === 'directory') {
+      await collectFiles(handle, path, out);
+    }
+  }
+}
@@ -0,0 +1,12 @@
+/** Packages before the JSON switch: messages/c<channel id>/messages.csv with ID,Timestamp,Contents,Attachments columns. */
+
+import { folderNaming, packageFields, samplesMatchPackage } from './discordPackage.js';
+
+export default {
+  id: 'package-csv',
+  label: 'Discord package with CSV transcripts (messages/c<id>/messages.csv)',
+  matches: (layout) =>
+    layout.transcripts.csv > 0 && folderNaming(layout.channelFolders) === 'prefixed' && samplesMatchPackage(layout),
+  channelIdFromFolder: (folder) => folder.replace(/^c/i, ''),
+  ...packageFields,
+};
@@ -0,0 +1,87 @@
+/**
+ * Field mapping shared by the official Discord data package generations: channel.json is
+ * { id, type, name?, guild?: { id, name }, recipients?: [userId] }, transcripts use ID / Timestamp / Contents /
+ * Attachments (CSV columns or JSON keys), and messages/index.json maps channel id → display name (or null).
+ * The generations differ in folder naming and transcript format; each has its own adapter module.
+ */
+
+import { channelRecord, isPlainObject, messageRecord, splitAttachments, toDate } from './shared.js';
+
+const PREFIXED_FOLDER_RE = /^c\d+$/i;
+const NUMERIC_FOLDER_RE = /^\d+$/;
+
+/**
+ * Timestamps look like "2021-03-04 05:06:07.123000+00:00"; made ISO so every engine parses them the same. Some
+ * carry no offset: those are UTC like the rest of the package, not the local time of the machine reading it.
+ */
+export function parsePackageTimestamp(raw) {
+  if (typeof raw !== 'string') return toDate(raw);
+  const iso = raw.trim().replace(' ', 'T').replace(/(\.\d{3})\d+/, '$1');
+  return toDate(iso.includes('T') && !/(Z|[+-]\d{2}:?\d{2})$/i.test(iso) ? `${iso}Z` : iso);
+}
+
+export function isPackageChannel(data) {
+  return isPlainObject(data) && 'id' in data && ('type' in data || 'guild' in data || 'recipients' in data);
+}
+
+export function normalizePackageChannel(data) {
+  return channelRecord({
+    guildId: data.guild?.id != null ? String(data.guild.id) : null,
+    channelId: String(data.id),
+    channelName: data.name || undefined,
+    guildName: data.guild?.name ?? null,
+    userIds: Array.isArray(data.recipients) ? data.recipients.map(String) : null,
+  });
+}
+
+export function isPackageMessage(record) {
+  return isPlainObject(record) && 'Timestamp' in record && ('Contents' in record || 'ID' in record);
+}
+
+export function normalizePackageMessage(record) {
+  return messageRecord({
+    id: record.ID,
+    timestamp: parsePackageTimestamp(record.Timestamp),
+    contents: record.Contents ?? '',
+    attachments: splitAttachments(record.Attachments),
+  });
+}
+
+/** True for the id → name (or null) map every package generation ships as messages/index.json. */
+export function isPackageIndex(data) {
+  return isPlainObject(data) && Object.values(data).every((v) => v === null || typeof v === 'string');
+}
+
+export function channelNamesFromPackageIndex(data) {
+  const names = {};
+  for (const [id, name] of Object.entries(data ?? {})) {
+    if (typeof name === 'string' && name) names[id] = name;
+  }
+  return names;
+}
+
+/** "c123…" folders (current packages) vs bare "123…" folders (early packages); null when mixed or empty. */
+export function folderNaming(channelFolders) {
+  if (channelFolders.length === 0) return null;
+  if (channelFolders.every((f) => PREFIXED_FOLDER_RE.test(f))) return 'prefixed';
+  if (channelFolders.every((f) => NUMERIC_FOLDER_RE.test(f))) return 'numeric';
+  return null;
+}
+
+/** The sampled index, channel.json and first message (whichever exist) have the package shape. */
+export function samplesMatchPackage(layout) {
+  return (
+    (layout.index == null || isPackageIndex(layout.index)) &&
+    (layout.sampleChannel == null || isPackageChannel(layout.sampleChannel)) &&
+    (layout.sampleMessage == null || isPackageMessage(layout.sampleMessage))
+  );
+}
+
+/** Adapter members that are the same for every package generation. */
+export const packageFields = {
+  isChannelMeta: isPackageChannel,
+  normalizeChannelMeta: normalizePackageChannel,
+  isMessage: isPackageMessage,
+  normalizeMessage: normalizePackageMessage,
+  channelNamesFromIndex: channelNamesFromPackageIndex,
+};
@@ -0,0 +1,89 @@
+/**
+ * Fallback adapter for layouts no package adapter recognises (hand-made or third-party exports): field names
+ * are guessed from the common spellings. It matches anything, so it is always tried last.
+ */
+
+import { channelRecord, isPlainObject, messageRecord, splitAttachments, toDate } from './shared.js';
+
+function isChannelMeta(data) {
+  if (!isPlainObject(data)) return false;
+  return (
+    'Channel ID' in data ||
+    'channel_id' in data ||
+    'Channel Id' in data ||
+    'channelId' in data ||
+    ('Guild ID' in data && 'Channel Name' in data) ||
+    ('Guild ID' in data && 'channel_name' in data) ||
+    ('User IDs' in data && ('Channel ID' in data || 'channel_id' in data))
+  );
+}
+
+function normalizeChannelMeta(data) {
+  const recipients = data.Recipients ?? data.recipients ?? data['User IDs'];
+  const firstRecipient = Array.isArray(recipients) ? recipients[0] : typeof recipients === 'object' ? recipients : null;
+  const channelId = data['Channel ID'] ?? data.channel_id ?? data.ChannelId ?? data.channelId ?? null;
+  const dmName = data.Name ?? data.name ?? data.display_name ?? (firstRecipient && (firstRecipient.username ?? firstRecipient.name ?? firstRecipient.global_name));
+  const avatarUrl = data.icon_url ?? data.avatar ?? data.avatar_url ?? (firstRecipient && (firstRecipient.avatar ?? firstRecipient.avatar_url));
+  const avatarFull =
+    avatarUrl &&
+    (avatarUrl.startsWith('http')
+      ? avatarUrl
+      : channelId
+        ? `https://cdn.discordapp.com/avatars/${channelId}/${avatarUrl}.png`
+        : null);
+  return channelRecord({
+    guildId: data['Guild ID'] ?? data.guild_id ?? data.GuildId ?? null,
+    channelId,
+    channelName: data['Channel Name'] ?? data.channel_name ?? data.ChannelName ?? dmName,
+    guildName: data['Guild Name'] ?? data.guild_name ?? data.GuildName ?? null,
+    userIds: data['User IDs'] ?? data.user_ids ?? null,
+    avatarUrl: avatarFull || null,
+    recipients: Array.isArray(recipients) ? recipients : firstRecipient ? [firstRecipient] : null,
+  });
+}
+
+function isMessage(record) {
+  if (!isPlainObject(record)) return false;
+  const hasContent = 'Contents' in record || 'content' in record || 'contents' in record;
+  const hasTime = 'Timestamp' in record || 'timestamp' in record || 'date' in record;
+  return hasContent || hasTime;
+}
+
+function normalizeMessage(record) {
+  return messageRecord({
+    id: record.ID ?? record.id,
+    timestamp: toDate(record.Timestamp ?? record.timestamp ?? record.date),
+    contents: record.Contents ?? record.content ?? record.contents ?? '',
+    attachments: splitAttachments(record.Attachments ?? record.attachments ?? []),
+  });
+}
+
+/** index.json as an id → name map, a list of channels, or { channels: [...] }. */
+function channelNamesFromIndex(data) {
+  const names = {};
+  const add = (c) => {
+    const id = c.id ?? c.channel_id ?? c.channelId;
+    const name = c.name ?? c.channel_name ?? c.channelName;
+    if (id && name != null) names[String(id)] = String(name);
+  };
+  if (Array.isArray(data)) data.forEach(add);
+  else if (Array.isArray(data?.channels)) data.channels.forEach(add);
+  else if (isPlainObject(data)) {
+    for (const [id, v] of Object.entries(data)) {
+      names[id] = typeof v === 'string' ? v : (v?.name ?? v?.channel_name ?? v?.channelName ?? id);
+    }
+  }
+  return names;
+}
+
+export default {
+  id: 'generic',
+  label: 'Unrecognised layout (field names guessed)',
+  matches: () => true,
+  channelIdFromFolder: (folder) => folder,
+  isChannelMeta,
+  normalizeChannelMeta,
+  isMessage,
+  normalizeMessage,
+  channelNamesFromIndex,
+};
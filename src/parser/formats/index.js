@@ -0,0 +1,64 @@
+/**
+ * Export format detection. describeLayout() summarises the paths of an export (channel folder naming, CSV vs
+ * JSON transcripts); the reader adds index.json and a sample channel.json and message, and
+ * detectExportFormat() picks the first adapter that claims the result. Supporting a new Discord layout means
+ * adding an adapter module here, not another fallback in the parser.
+ *
+ * @typedef {object} ExportLayout
+ * @property {string[]} channelFolders  folder names under messages/ (e.g. "c1234…")
+ * @property {{ json: number, csv: number }} transcripts  messages.json / messages.csv files found
+ * @property {any} index  parsed messages/index.json, or null
+ * @property {any} sampleChannel  one parsed channel.json, or null
+ * @property {any} sampleMessage  first record of one JSON transcript, or null
+ *
+ * @typedef {object} ExportFormat
+ * @property {string} id
+ * @property {string} label
+ * @property {(layout: ExportLayout) => boolean} matches
+ * @property {(folder: string) => string} channelIdFromFolder  channel id when a folder has no channel.json
+ * @property {(data: any) => boolean} isChannelMeta
+ * @property {(data: any) => object} normalizeChannelMeta  see channelRecord()
+ * @property {(record: any) => boolean} isMessage
+ * @property {(record: any) => object} normalizeMessage  see messageRecord()
+ * @property {(data: any) => Record<string, string>} channelNamesFromIndex
+ */
+
+import jsonPackage from './jsonPackage.js';
+import csvPackage from './csvPackage.js';
+import legacyCsvPackage from './legacyCsvPackage.js';
+import generic from './generic.js';
+
+/** In detection order; generic matches anything and stays last. */
+export const EXPORT_FORMATS = [jsonPackage, csvPackage, legacyCsvPackage, generic];
+
+const CHANNEL_FILE_RE = /(?:^|\/)messages\/([^/]+)\/([^/]+)$/i;
+
+/**
+ * @param {string[]} paths  every file path in the export
+ * @returns {ExportLayout} with index and samples still null
+ */
+export function describeLayout(paths) {
+  const folders = new Set();
+  const transcripts = { json: 0, csv: 0 };
+  for (const path of paths) {
+    const match = path.replace(/\\/g, '/').match(CHANNEL_FILE_RE);
+    if (!match) continue;
+    folders.add(match[1]);
+    const name = match[2].toLowerCase();
+    if (name === 'messages.json') transcripts.json += 1;
+    else if (name === 'messages.csv') transcripts.csv += 1;
+  }
+  return { channelFolders: [...folders], transcripts, index: null, sampleChannel: null, sampleMessage: null };
+}
+
+/**
+ * @param {ExportLayout} layout
+ * @returns {ExportFormat}
+ */
+export function detectExportFormat(layout) {
+  return EXPORT_FORMATS.find((format) => format.matches(layout));
+}
+
+export function getExportFormat(id) {
+  return EXPORT_FORMATS.find((format) => format.id === id) ?? generic;
+}
@@ -0,0 +1,15 @@
+/** Current packages: messages/c<channel id>/messages.json, a JSON array of { ID, Timestamp, Contents, Attachments }. */
+
+import { folderNaming, packageFields, samplesMatchPackage } from './discordPackage.js';
+
+export default {
+  id: 'package-json',
+  label: 'Discord package with JSON transcripts (messages/c<id>/messages.json)',
+  matches: (layout) =>
+    layout.transcripts.json > 0 &&
+    layout.transcripts.csv === 0 &&
+    folderNaming(layout.channelFolders) === 'prefixed' &&
+    samplesMatchPackage(layout),
+  channelIdFromFolder: (folder) => folder.replace(/^c/i, ''),
+  ...packageFields,
+};
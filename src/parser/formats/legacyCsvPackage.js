@@ -0,0 +1,12 @@
+/** Early packages: channel folders named by the bare id (messages/<channel id>/messages.csv). */
+
+import { folderNaming, packageFields, samplesMatchPackage } from './discordPackage.js';
+
+export default {
+  id: 'package-legacy-csv',
+  label: 'Early Discord package (messages/<id>/messages.csv)',
+  matches: (layout) =>
+    layout.transcripts.csv > 0 && folderNaming(layout.channelFolders) === 'numeric' && samplesMatchPackage(layout),
+  channelIdFromFolder: (folder) => folder,
+  ...packageFields,
+};
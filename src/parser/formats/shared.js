@@ -0,0 +1,47 @@
+/**
+ * Pieces every format adapter shares: the normalized message and channel shapes the rest of the parser works
+ * with, and small value coercions.
+ */
+
+/**
+ * Message as the parser stores it; the reader fills in channel and guild from the channel metadata.
+ * @param {{ id: any, timestamp: Date|null, contents: any, attachments: string[] }} fields
+ */
+export function messageRecord({ id, timestamp, contents, attachments }) {
+  return {
+    id,
+    timestamp,
+    contents: String(contents ?? ''),
+    attachments,
+    channelId: null,
+    guildId: null,
+    channelName: null,
+    guildName: null,
+  };
+}
+
+/**
+ * Channel metadata as the parser stores it.
+ * @returns {{ guildId: string|null, channelId: string|null, channelName: string, guildName: string|null, userIds: string[]|null, avatarUrl: string|null, recipients: any[]|null }}
+ */
+export function channelRecord({ guildId = null, channelId = null, channelName, guildName = null, userIds = null, avatarUrl = null, recipients = null }) {
+  return { guildId, channelId, channelName: channelName ?? 'Unknown', guildName, userIds, avatarUrl, recipients };
+}
+
+/** Attachment URLs from an array, a space-separated string (CSV and JSON packages) or a single value. */
+export function splitAttachments(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean);
+  return value ? [value] : [];
+}
+
+/** Date from a timestamp value, or null when missing or unparseable. */
+export function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,131 @@
+/**
+ * Incremental JSON for large transcripts: a top-level array is split into its elements while the text streams
+ * in, and each element is parsed on its own, so only one message's text is buffered at a time instead of the
+ * whole messages.json.
+ */
+
+const QUOTE = 34; // "
+const BACKSLASH = 92;
+const COMMA = 44;
+const OPEN_BRACKET = 91; // [
+const CLOSE_BRACKET = 93;
+const OPEN_BRACE = 123;
+const CLOSE_BRACE = 125;
+const BOM = 0xfeff;
+
+function isWhitespace(c) {
+  return c === 32 || c === 10 || c === 13 || c === 9;
+}
+
+/**
+ * Splitter for the elements of a top-level JSON array. Feed text with push() and call end() once the input is
+ * exhausted. A top-level value that is not an array is buffered whole and returned by end().
+ * @param {(item: any) => boolean|void} onItem  called with each parsed element; return false to stop
+ */
+export function createJsonArraySplitter(onItem) {
+  let mode = 'start'; // start → array | value → done
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let pieces = [];
+  let inItem = false;
+
+  function emit() {
+    const text = pieces.join('');
+    pieces = [];
+    inItem = false;
+    if (onItem(JSON.parse(text)) === false) mode = 'done';
+  }
+
+  function pushArray(chunk, from) {
+    let itemStart = inItem ? from : -1;
+    for (let i = from; i < chunk.length && mode === 'array'; i++) {
+      const c = chunk.charCodeAt(i);
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === BACKSLASH) escaped = true;
+        else if (c === QUOTE) inString = false;
+        continue;
+      }
+      if (depth === 0 && (c === COMMA || c === CLOSE_BRACKET)) {
+        if (inItem) {
+          pieces.push(chunk.slice(itemStart, i));
+          emit();
+        }
+        if (c === CLOSE_BRACKET) mode = 'done';
+        continue;
+      }
+      if (!inItem) {
+        if (isWhitespace(c)) continue;
+        inItem = true;
+        itemStart = i;
+      }
+      if (c === QUOTE) inString = true;
+      else if (c === OPEN_BRACE || c === OPEN_BRACKET) depth++;
+      else if (c === CLOSE_BRACE || c === CLOSE_BRACKET) depth--;
+    }
+    if (inItem && mode === 'array') pieces.push(chunk.slice(itemStart));
+  }
+
+  return {
+    /** False once the array has closed or onItem asked to stop; further input is ignored. */
+    get active() {
+      return mode !== 'done';
+    },
+
+    push(chunk) {
+      let i = 0;
+      if (mode === 'start') {
+        while (i < chunk.length && (isWhitespace(chunk.charCodeAt(i)) || chunk.charCodeAt(i) === BOM)) i++;
+        if (i === chunk.length) return;
+        if (chunk.charCodeAt(i) === OPEN_BRACKET) {
+          mode = 'array';
+          i++;
+        } else {
+          mode = 'value';
+        }
+      }
+      if (mode === 'array') pushArray(chunk, i);
+      else if (mode === 'value') pieces.push(i ? chunk.slice(i) : chunk);
+    },
+
+    /** @returns {any} the parsed value when the input was not an array, otherwise undefined */
+    end() {
+      if (mode === 'value') return JSON.parse(pieces.join(''));
+      if (mode === 'array') throw new SyntaxError('Unexpected end of JSON input (unterminated array)');
+      if (mode === 'start') throw new SyntaxError('Unexpected end of JSON input');
+      return undefined;
+    },
+  };
+}
+
+/**
+ * Parse JSON from a text stream. Elements of a top-level array go to onItem one by one (returning false
+ * stops reading); any other value is returned.
+ * @param {ReadableStream<string>} textStream
+ * @param {(item: any) => boolean|void} onItem
+ * @returns {Promise<any>}
+ */
+export async function parseJsonStream(textStream, onItem) {
+  const splitter = createJsonArraySplitter(onItem);
+  const reader = textStream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    splitter.push(value);
+    if (!splitter.active) {
+      await reader.cancel();
+      break;
+    }
+  }
+  return splitter.end();
+}
+
+/** Parse a whole JSON document from a text stream (arrays are split element by element as they arrive). */
+export async function readJsonStream(textStream) {
+  const items = [];
+  const value = await parseJsonStream(textStream, (item) => {
+    items.push(item);
+  });
+  return value === undefined ? items : value;
+}
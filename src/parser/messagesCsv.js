@@ -0,0 +1,155 @@
+/**
+ * Reader for the legacy CSV transcript format (messages/c<id>/messages.csv).
+ * Columns: ID,Timestamp,Contents,Attachments — Contents may be quoted and span several lines,
+ * Attachments is a space-separated list of URLs. Like jsonStream, the text is split into records while it
+ * streams in, so only the record being read is buffered instead of the whole file.
+ */
+
+const QUOTE = '"';
+const BOM = 0xfeff;
+
+/**
+ * Splitter for CSV records (arrays of fields). Handles quoted fields, "" escapes and CRLF, also when a chunk
+ * ends between the two characters. Feed text with push() and call end() once the input is exhausted.
+ * @param {(record: string[]) => boolean|void} onRecord  called with each non-empty record; return false to stop
+ */
+export function createCsvRecordSplitter(onRecord) {
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  // A quote inside a quoted field: an escaped "" or the closing quote, decided by the next character.
+  let quoteSeen = false;
+  let skipLineFeed = false;
+  let started = false;
+  let stopped = false;
+
+  function endRecord() {
+    record.push(field);
+    if ((record.length > 1 || record[0] !== '') && onRecord(record) === false) stopped = true;
+    record = [];
+    field = '';
+  }
+
+  return {
+    /** False once onRecord asked to stop; further input is ignored. */
+    get active() {
+      return !stopped;
+    },
+
+    push(chunk) {
+      let i = 0;
+      if (!started && chunk.length) {
+        started = true;
+        if (chunk.charCodeAt(0) === BOM) i = 1;
+      }
+      for (; i < chunk.length && !stopped; i++) {
+        const c = chunk[i];
+        if (skipLineFeed) {
+          skipLineFeed = false;
+          if (c === '\n') continue;
+        }
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (c === QUOTE) {
+            field += QUOTE;
+            continue;
+          }
+          inQuotes = false;
+        } else if (inQuotes) {
+          if (c === QUOTE) quoteSeen = true;
+          else field += c;
+          continue;
+        }
+        if (c === QUOTE) {
+          inQuotes = true;
+        } else if (c === ',') {
+          record.push(field);
+          field = '';
+        } else if (c === '\n' || c === '\r') {
+          skipLineFeed = c === '\r';
+          endRecord();
+        } else {
+          field += c;
+        }
+      }
+    },
+
+    end() {
+      if (!stopped && (field !== '' || record.length > 0)) endRecord();
+    },
+  };
+}
+
+/**
+ * Split CSV text into records (arrays of fields).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsvRecords(text) {
+  const records = [];
+  const splitter = createCsvRecordSplitter((r) => {
+    records.push(r);
+  });
+  splitter.push(text);
+  splitter.end();
+  return records;
+}
+
+/**
+ * Splitter for a messages.csv transcript: the header row picks the columns, every later record becomes a message
+ * shaped like the JSON export ({ ID, Timestamp, Contents, Attachments }), so they go through the same
+ * normalizeMessage. A file without Timestamp and Contents columns yields nothing.
+ * @param {(msg: { ID: string, Timestamp: string, Contents: string, Attachments: string }) => boolean|void} onMessage
+ *   return false to stop
+ */
+export function createMessagesCsvSplitter(onMessage) {
+  let columns = null;
+  return createCsvRecordSplitter((r) => {
+    if (!columns) {
+      const header = r.map((h) => h.trim().toLowerCase());
+      columns = { id: header.indexOf('id'), ts: header.indexOf('timestamp'), contents: header.indexOf('contents'), attachments: header.indexOf('attachments') };
+      return columns.ts !== -1 || columns.contents !== -1;
+    }
+    return onMessage({
+      ID: columns.id >= 0 ? r[columns.id] : undefined,
+      Timestamp: columns.ts >= 0 ? r[columns.ts] : undefined,
+      Contents: columns.contents >= 0 ? (r[columns.contents] ?? '') : '',
+      Attachments: columns.attachments >= 0 ? (r[columns.attachments] ?? '') : '',
+    });
+  });
+}
+
+/**
+ * Parse a messages.csv transcript into message objects.
+ * @param {string} text
+ * @returns {{ ID: string, Timestamp: string, Contents: string, Attachments: string }[]}
+ */
+export function parseMessagesCsv(text) {
+  const out = [];
+  const splitter = createMessagesCsvSplitter((msg) => {
+    out.push(msg);
+  });
+  splitter.push(text);
+  splitter.end();
+  return out;
+}
+
+/**
+ * Pass each message of a messages.csv text stream to onMessage (returning false stops reading).
+ * @param {ReadableStream<string>} textStream
+ * @param {(msg: object) => boolean|void} onMessage
+ */
+export async function parseMessagesCsvStream(textStream, onMessage) {
+  const splitter = createMessagesCsvSplitter(onMessage);
+  const reader = textStream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    splitter.push(value);
+    if (!splitter.active) {
+      await reader.cancel();
+      return;
+    }
+  }
+  splitter.end();
+}
@@ -0,0 +1,60 @@
+/**
+ * Main-thread side of parserWorker: one worker per parse, so cancelling is just terminate().
+ */
+
+/**
+ * Run a parse task in a dedicated worker.
+ * @param {({ type: 'zip', file: File } | { type: 'files', files: { file: File, path: string }[] } | { type: 'many', sources: any[] } | { type: 'summarize', data: any }) & { options?: { timeZone?: string, stopwords?: object } }} task
+ * @param {{ onProgress?: (percent: number, message: string) => void, signal?: AbortSignal }} options
+ * @returns {Promise<any>} the summary from buildSummary; rejects with an AbortError when cancelled
+ */
+export function parseInWorker(task, options = {}) {
+  const { onProgress, signal } = options;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Parsing cancelled', 'AbortError'));
+      return;
+    }
+    const worker = new Worker(new URL('./parserWorker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('Parsing cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = (e) => {
+      const msg = e.data ?? {};
+      if (msg.type === 'progress') {
+        try { onProgress?.(msg.percent, msg.message); } catch (_) {}
+      } else if (msg.type === 'done') {
+        finish();
+        resolve(msg.data);
+      } else if (msg.type === 'error') {
+        finish();
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e?.message || 'Parser worker failed'));
+    };
+    worker.postMessage(task);
+  });
+}
+
+/**
+ * Turn a FileList (folder input / drop) into { file, path }[] that survives structured clone —
+ * webkitRelativePath is not guaranteed to be kept on the worker side.
+ */
+export function toFilePairs(filesOrPairs) {
+  const raw = Array.isArray(filesOrPairs) ? filesOrPairs : Array.from(filesOrPairs ?? []);
+  return raw.map((item) =>
+    item && item.file != null && typeof item.path === 'string'
+      ? { file: item.file, path: item.path }
+      : { file: item, path: item?.webkitRelativePath || item?.name || '' }
+  );
+}
@@ -0,0 +1,26 @@
+/**
+ * Dedicated worker that runs the whole parse + buildSummary pipeline off the UI thread.
+ * Messages in:  { type: 'zip', file } | { type: 'files', files: { file, path }[] } | { type: 'many', sources } (see parseMany)
+ *               | { type: 'summarize', data } (re-bucket an already parsed export); every task may carry options.timeZone and options.stopwords
+ * Messages out: { type: 'progress', percent, message } | { type: 'done', data } | { type: 'error', message }
+ * The finished summary is posted back as-is (structured clone keeps Dates and shared message references).
+ */
+
+import { parseZip, parseFileList, parseMany, resummarize } from './discordExportParser.js';
+
+self.onmessage = async (e) => {
+  const task = e.data ?? {};
+  const onProgress = (percent, message) => self.postMessage({ type: 'progress', percent, message });
+  const options = { ...task.options, onProgress };
+  try {
+    let data;
+    if (task.type === 'zip') data = await parseZip(task.file, options);
+    else if (task.type === 'files') data = await parseFileList(task.files, options);
+    else if (task.type === 'many') data = await parseMany(task.sources, options);
+    else if (task.type === 'summarize') data = resummarize(task.data, options);
+    else throw new Error(`Unknown parse task: ${task.type}`);
+    self.postMessage({ type: 'done', data });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};
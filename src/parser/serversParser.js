@@ -0,0 +1,160 @@
+/**
+ * Guild catalogue from the servers/ folder:
+ * - servers/index.json : { [guildId]: guildName }
+ * - servers/<id>/guild.json : { id, name, ... }
+ * - servers/<id>/audit-log.json : audit log entries (actions you took in that server)
+ * Every guild in the package ends up in the catalogue, including ones you never posted in.
+ */
+
+/** Discord epoch (2015-01-01) for snowflake → timestamp. */
+const DISCORD_EPOCH = 1420070400000n;
+
+const AUDIT_ACTIONS = {
+  1: 'Server updated',
+  10: 'Channel created',
+  11: 'Channel updated',
+  12: 'Channel deleted',
+  13: 'Permission overwrite created',
+  14: 'Permission overwrite updated',
+  15: 'Permission overwrite deleted',
+  20: 'Member kicked',
+  21: 'Members pruned',
+  22: 'Member banned',
+  23: 'Member unbanned',
+  24: 'Member updated',
+  25: 'Member roles updated',
+  26: 'Member moved',
+  27: 'Member disconnected',
+  28: 'Bot added',
+  30: 'Role created',
+  31: 'Role updated',
+  32: 'Role deleted',
+  40: 'Invite created',
+  41: 'Invite updated',
+  42: 'Invite deleted',
+  50: 'Webhook created',
+  51: 'Webhook updated',
+  52: 'Webhook deleted',
+  60: 'Emoji created',
+  61: 'Emoji updated',
+  62: 'Emoji deleted',
+  72: 'Message deleted',
+  73: 'Messages bulk deleted',
+  74: 'Message pinned',
+  75: 'Message unpinned',
+  80: 'Integration created',
+  81: 'Integration updated',
+  82: 'Integration deleted',
+  90: 'Sticker created',
+  91: 'Sticker updated',
+  92: 'Sticker deleted',
+  100: 'Event created',
+  101: 'Event updated',
+  102: 'Event deleted',
+  110: 'Thread created',
+  111: 'Thread updated',
+  112: 'Thread deleted',
+};
+
+/** Timestamp encoded in a Discord snowflake id, or null. */
+export function snowflakeToDate(id) {
+  if (id == null || !/^\d{15,}$/.test(String(id))) return null;
+  try {
+    return new Date(Number((BigInt(id) >> 22n) + DISCORD_EPOCH));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Classify a path inside servers/.
+ * @returns {{ kind: 'index' } | { kind: 'guild' | 'audit', guildId: string } | null}
+ */
+export function classifyServerFile(path) {
+  const p = path.replace(/\\/g, '/');
+  const m = p.match(/(?:^|\/)servers\/(?:(index\.json)|([^/]+)\/(guild|audit-log)\.json)$/i);
+  if (!m) return null;
+  if (m[1]) return { kind: 'index' };
+  return { kind: m[3].toLowerCase() === 'guild' ? 'guild' : 'audit', guildId: m[2] };
+}
+
+function normalizeAuditEntry(e) {
+  const actionType = Number(e.action_type ?? e.actionType);
+  return {
+    id: e.id != null ? String(e.id) : null,
+    userId: e.user_id != null ? String(e.user_id) : null,
+    actionType,
+    action: AUDIT_ACTIONS[actionType] ?? `Action ${actionType}`,
+    targetId: e.target_id != null ? String(e.target_id) : null,
+    reason: e.reason ?? null,
+    changes: Array.isArray(e.changes) ? e.changes : [],
+    createdAt: snowflakeToDate(e.id),
+  };
+}
+
+export function createGuildCatalogue() {
+  const guilds = new Map();
+
+  function ensure(id) {
+    const key = String(id);
+    if (!guilds.has(key)) guilds.set(key, { id: key, name: null, joinedAt: null, auditLog: [] });
+    return guilds.get(key);
+  }
+
+  return {
+    /** servers/index.json — { id: name } or [{ id, name }]. */
+    addIndex(data) {
+      if (Array.isArray(data)) {
+        for (const g of data) {
+          const id = g?.id ?? g?.guild_id;
+          if (id == null) continue;
+          const entry = ensure(id);
+          if (!entry.name && g.name) entry.name = g.name;
+        }
+      } else if (data && typeof data === 'object') {
+        for (const [id, v] of Object.entries(data)) {
+          const entry = ensure(id);
+          if (!entry.name) entry.name = typeof v === 'string' ? v : (v?.name ?? null);
+        }
+      }
+    },
+    /** servers/<id>/guild.json. */
+    addGuild(folderId, data) {
+      if (!data || typeof data !== 'object') return;
+      const g = ensure(data.id ?? folderId);
+      if (data.name) g.name = data.name;
+      const joined = data.joined_at ?? data.joinedAt;
+      if (joined && !isNaN(new Date(joined).getTime())) g.joinedAt = new Date(joined);
+    },
+    /** servers/<id>/audit-log.json. */
+    addAuditLog(folderId, data) {
+      const entries = Array.isArray(data) ? data : (data?.audit_log_entries ?? []);
+      const g = ensure(folderId);
+      for (const e of entries) {
+        if (e && typeof e === 'object') g.auditLog.push(normalizeAuditEntry(e));
+      }
+    },
+    /**
+     * Merge with guilds seen in channel metadata and finalize.
+     * @param {{ knownGuilds?: { id: string, name: string }[], userId?: string, guildJoins?: Record<string, Date> }} options
+     *   userId keeps only audit entries you authored: entries without an author, and every entry when userId is
+     *   unknown, are dropped. guildJoins (from activity events) fills missing join dates.
+     */
+    build({ knownGuilds = [], userId = null, guildJoins = {} } = {}) {
+      for (const k of knownGuilds) {
+        const g = ensure(k.id);
+        if (!g.name && k.name) g.name = k.name;
+      }
+      return [...guilds.values()]
+        .map((g) => ({
+          ...g,
+          name: g.name ?? g.id,
+          joinedAt: g.joinedAt ?? guildJoins[g.id] ?? null,
+          auditLog: g.auditLog
+            .filter((e) => userId != null && e.userId === String(userId))
+            .sort((a, b) => (a.createdAt?.getTime() ?? 0) - (b.createdAt?.getTime() ?? 0)),
+        }))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    },
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Streaming ZIP reader. Only the central directory (a few bytes per entry, at the end of the archive) is read up
+ * front; an entry's bytes are sliced from the Blob and inflated with DecompressionStream when it is opened, so a
+ * multi-gigabyte package is never loaded into memory as a whole. Supports stored and deflated entries and Zip64.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD64_LOCATOR_SIGNATURE = 0x07064b50;
+const EOCD64_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const EOCD64_LOCATOR_SIZE = 20;
+const MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_EXTRA_ID = 0x0001;
+const U32_MAX = 0xffffffff;
+const U16_MAX = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x1;
+
+const utf8 = new TextDecoder('utf-8');
+
+async function readBytes(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+function u64(view, offset) {
+  return Number(view.getBigUint64(offset, true));
+}
+
+function findSignatureBackwards(view, signature, minOffset = 0) {
+  for (let i = view.byteLength - 4; i >= minOffset; i--) {
+    if (view.getUint32(i, true) === signature) return i;
+  }
+  return -1;
+}
+
+/** Position and size of the central directory, from the (Zip64) end of central directory record. */
+async function readDirectoryLocation(blob) {
+  const tailStart = Math.max(0, blob.size - (EOCD_SIZE + MAX_COMMENT_SIZE + EOCD64_LOCATOR_SIZE));
+  const tail = await readBytes(blob, tailStart, blob.size);
+  const eocd = findSignatureBackwards(tail, EOCD_SIGNATURE);
+  if (eocd < 0) throw new Error('Not a ZIP file (end of central directory not found).');
+
+  let entryCount = tail.getUint16(eocd + 10, true);
+  let size = tail.getUint32(eocd + 12, true);
+  let offset = tail.getUint32(eocd + 16, true);
+
+  const locator = eocd - EOCD64_LOCATOR_SIZE;
+  if (locator >= 0 && tail.getUint32(locator, true) === EOCD64_LOCATOR_SIGNATURE) {
+    const eocd64Offset = u64(tail, locator + 8);
+    const eocd64 = await readBytes(blob, eocd64Offset, eocd64Offset + 56);
+    if (eocd64.getUint32(0, true) !== EOCD64_SIGNATURE) throw new Error('Corrupt Zip64 end of central directory.');
+    entryCount = u64(eocd64, 32);
+    size = u64(eocd64, 40);
+    offset = u64(eocd64, 48);
+  } else if (entryCount === U16_MAX || size === U32_MAX || offset === U32_MAX) {
+    throw new Error('Corrupt ZIP: Zip64 sizes without a Zip64 record.');
+  }
+  return { entryCount, size, offset };
+}
+
+/** Sizes and offset stored as 0xFFFFFFFF in the header live in the Zip64 extra field, in this order. */
+function applyZip64Extra(view, start, end, entry) {
+  for (let p = start; p + 4 <= end; ) {
+    const id = view.getUint16(p, true);
+    const len = view.getUint16(p + 2, true);
+    if (id === ZIP64_EXTRA_ID) {
+      let q = p + 4;
+      if (entry.size === U32_MAX) {
+        entry.size = u64(view, q);
+        q += 8;
+      }
+      if (entry.compressedSize === U32_MAX) {
+        entry.compressedSize = u64(view, q);
+        q += 8;
+      }
+      if (entry.localHeaderOffset === U32_MAX) entry.localHeaderOffset = u64(view, q);
+      return;
+    }
+    p += 4 + len;
+  }
+}
+
+function parseCentralDirectory(view, entryCount) {
+  const entries = [];
+  let p = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (p + 46 > view.byteLength || view.getUint32(p, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory.');
+    }
+    const flags = view.getUint16(p + 8, true);
+    const nameLength = view.getUint16(p + 28, true);
+    const extraLength = view.getUint16(p + 30, true);
+    const commentLength = view.getUint16(p + 32, true);
+    const nameBytes = new Uint8Array(view.buffer, view.byteOffset + p + 46, nameLength);
+    // Names without the UTF-8 flag are nominally CP437; Discord's are ASCII either way.
+    const path = utf8.decode(nameBytes).replace(/\\/g, '/');
+    const entry = {
+      path,
+      dir: path.endsWith('/'),
+      method: view.getUint16(p + 10, true),
+      encrypted: (flags & FLAG_ENCRYPTED) !== 0,
+      compressedSize: view.getUint32(p + 20, true),
+      size: view.getUint32(p + 24, true),
+      localHeaderOffset: view.getUint32(p + 42, true),
+    };
+    applyZip64Extra(view, p + 46 + nameLength, p + 46 + nameLength + extraLength, entry);
+    entries.push(entry);
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Open a ZIP archive by reading its central directory.
+ * @param {Blob} blob
+ * @returns {Promise<{ entries: ZipEntry[], get: (path: string) => ZipEntry|undefined }>}
+ *
+ * @typedef {object} ZipEntry
+ * @property {string} path  forward slashes; directories end with "/"
+ * @property {boolean} dir
+ * @property {number} size  uncompressed size in bytes
+ * @property {number} compressedSize
+ * @property {() => ReadableStream<Uint8Array>} stream  inflated bytes
+ * @property {() => ReadableStream<string>} textStream  UTF-8 decoded text
+ * @property {() => Promise<string>} text  whole entry as one string (small files only)
+ */
+export async function openZip(blob) {
+  const { entryCount, size, offset } = await readDirectoryLocation(blob);
+  if (offset + size > blob.size) throw new Error('Corrupt ZIP: central directory is outside the file (truncated download?).');
+  const directory = await readBytes(blob, offset, offset + size);
+  const entries = parseCentralDirectory(directory, entryCount).map((e) => createEntry(blob, e));
+  const byPath = new Map(entries.map((e) => [e.path, e]));
+  return { entries, get: (path) => byPath.get(path) };
+}
+
+function createEntry(blob, info) {
+  async function dataStart() {
+    const header = await readBytes(blob, info.localHeaderOffset, info.localHeaderOffset + 30);
+    if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) throw new Error(`Corrupt ZIP entry: ${info.path}`);
+    return info.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  }
+
+  function stream() {
+    if (info.encrypted) throw new Error(`Encrypted ZIP entries are not supported: ${info.path}`);
+    if (info.method !== METHOD_STORED && info.method !== METHOD_DEFLATE) {
+      throw new Error(`Unsupported compression method ${info.method}: ${info.path}`);
+    }
+    // The local header's name/extra lengths can differ from the central directory's, so the data offset is
+    // only known once it has been read; the stream starts pulling after that.
+    let reader = null;
+    return new ReadableStream({
+      async pull(controller) {
+        if (!reader) {
+          const start = await dataStart();
+          const raw = blob.slice(start, start + info.compressedSize).stream();
+          reader = (info.method === METHOD_DEFLATE ? raw.pipeThrough(new DecompressionStream('deflate-raw')) : raw).getReader();
+        }
+        const { done, value } = await reader.read();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      },
+      cancel(reason) {
+        return reader?.cancel(reason);
+      },
+    });
+  }
+
+  const textStream = () => stream().pipeThrough(new TextDecoderStream());
+
+  async function text() {
+    const parts = [];
+    const reader = textStream().getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(value);
+    }
+    return parts.join('');
+  }
+
+  return {
+    path: info.path,
+    dir: info.dir,
+    size: info.size,
+    compressedSize: info.compressedSize,
+    stream,
+    textStream,
+    text,
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Per-conversation statistics computed on demand from stats.byChannel[].messages, for the DMs, Servers
+ * and Activity pages. All bucketing happens in the data's time zone.
+ */
+
+import { getZonedParts } from './dateUtils.js';
+
+/** A gap longer than this between two of your messages starts a new conversation session. */
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+function timeOf(m) {
+  const t = m?.timestamp;
+  if (t == null) return NaN;
+  return t instanceof Date ? t.getTime() : new Date(t).getTime();
+}
+
+function monthKey(parts) {
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}`;
+}
+
+/** Every YYYY-MM from first to last inclusive. */
+function monthRange(first, last) {
+  const out = [];
+  let [y, m] = first.split('-').map(Number);
+  const [ey, em] = last.split('-').map(Number);
+  while (y < ey || (y === ey && m <= em)) {
+    out.push(`${y}-${String(m).padStart(2, '0')}`);
+    m += 1;
+    if (m > 12) {
+      m = 1;
+      y += 1;
+    }
+  }
+  return out;
+}
+
+/** 7×24 matrix of zeros: grid[weekday][hour], weekday 0 = Sunday. */
+export function emptyHourWeekdayGrid() {
+  return Array.from({ length: 7 }, () => new Array(24).fill(0));
+}
+
+/**
+ * Add messages to an hour × weekday grid.
+ * @param {number[][]} grid  from emptyHourWeekdayGrid
+ * @param {any[]} messages
+ * @param {string} [timeZone]
+ * @param {{ from?: string, to?: string }} [range]  inclusive YYYY-MM-DD day keys; messages outside are skipped
+ */
+export function addToHourWeekdayGrid(grid, messages, timeZone, range) {
+  const from = range?.from ?? null;
+  const to = range?.to ?? null;
+  for (const m of messages ?? []) {
+    const p = getZonedParts(m?.timestamp, timeZone);
+    if (!p) continue;
+    if (from || to) {
+      const key = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+      if ((from && key < from) || (to && key > to)) continue;
+    }
+    grid[p.weekday][p.hour] += 1;
+  }
+  return grid;
+}
+
+/** Cell-wise sum of 7×24 grids (missing grids are skipped). */
+export function sumHourWeekdayGrids(grids) {
+  const out = emptyHourWeekdayGrid();
+  for (const g of grids) {
+    if (!g) continue;
+    for (let d = 0; d < 7; d++) for (let h = 0; h < 24; h++) out[d][h] += g[d]?.[h] ?? 0;
+  }
+  return out;
+}
+
+/**
+ * Activity summary for one or more conversations.
+ * @param {any[]} messages
+ * @param {string} [timeZone]
+ * @returns {{ count: number, firstAt: Date|null, lastAt: Date|null, activeDays: number,
+ *   byMonth: { month: string, count: number }[], sessions: number, avgPerSession: number,
+ *   longestSession: number, medianGapMinutes: number|null }}
+ *   medianGapMinutes is the median time between two of your consecutive messages inside a session. The package
+ *   only holds your own messages, so this is not how fast you reply to anyone.
+ */
+export function summarizeConversation(messages, timeZone) {
+  const times = [];
+  for (const m of messages ?? []) {
+    const t = timeOf(m);
+    if (!isNaN(t)) times.push(t);
+  }
+  times.sort((a, b) => a - b);
+  if (times.length === 0) {
+    return { count: 0, firstAt: null, lastAt: null, activeDays: 0, byMonth: [], sessions: 0, avgPerSession: 0, longestSession: 0, medianGapMinutes: null };
+  }
+
+  const months = new Map();
+  const days = new Set();
+  const gaps = [];
+  let sessions = 1;
+  let current = 1;
+  let longestSession = 1;
+  for (let i = 0; i < times.length; i++) {
+    const p = getZonedParts(times[i], timeZone);
+    const mk = monthKey(p);
+    months.set(mk, (months.get(mk) || 0) + 1);
+    days.add(`${mk}-${p.day}`);
+    if (i === 0) continue;
+    const gap = times[i] - times[i - 1];
+    if (gap > SESSION_GAP_MS) {
+      sessions += 1;
+      current = 1;
+    } else {
+      current += 1;
+      gaps.push(gap);
+      if (current > longestSession) longestSession = current;
+    }
+  }
+  gaps.sort((a, b) => a - b);
+
+  const monthKeys = [...months.keys()].sort();
+  return {
+    count: times.length,
+    firstAt: new Date(times[0]),
+    lastAt: new Date(times[times.length - 1]),
+    activeDays: days.size,
+    byMonth: monthRange(monthKeys[0], monthKeys[monthKeys.length - 1]).map((month) => ({ month, count: months.get(month) ?? 0 })),
+    sessions,
+    avgPerSession: Math.round((times.length / sessions) * 10) / 10,
+    longestSession,
+    medianGapMinutes: gaps.length ? Math.round((gaps[gaps.length >> 1] / 60000) * 10) / 10 : null,
+  };
+}
+
+/** True for DM / group DM channels (no guild). */
+export function isDirectMessage(ch) {
+  return !ch?.guildId || ch.guildName === 'Direct Message';
+}
@@ -0,0 +1,72 @@
+/**
+ * Diff two parsed exports (buildSummary output): channel/guild changes, per-channel message deltas,
+ * a combined daily series, and messages present in only one of them (matched by message id).
+ */
+
+import { fillDays } from './timeSeries.js';
+
+function channelKey(ch) {
+  return String(ch.channelId ?? '');
+}
+
+function diffLists(baseList, otherList, keyOf) {
+  const baseMap = new Map(baseList.map((x) => [keyOf(x), x]));
+  const otherMap = new Map(otherList.map((x) => [keyOf(x), x]));
+  const added = otherList.filter((x) => !baseMap.has(keyOf(x)));
+  const removed = baseList.filter((x) => !otherMap.has(keyOf(x)));
+  const changed = [];
+  for (const [key, b] of baseMap) {
+    const o = otherMap.get(key);
+    if (!o) continue;
+    const delta = (o.count ?? 0) - (b.count ?? 0);
+    if (delta !== 0) changed.push({ base: b, other: o, before: b.count ?? 0, after: o.count ?? 0, delta });
+  }
+  changed.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return { added, removed, changed };
+}
+
+/** Both byDay series on one date axis, zero-filled between the earliest and latest day of either. */
+function combineByDay(baseByDay, otherByDay) {
+  return fillDays(
+    [...(baseByDay ?? []).map((d) => ({ date: d.date, base: d.count })), ...(otherByDay ?? []).map((d) => ({ date: d.date, other: d.count }))],
+    ['base', 'other']
+  );
+}
+
+function messageIds(messages) {
+  const ids = new Set();
+  for (const m of messages ?? []) {
+    if (m?.id != null) ids.add(String(m.id));
+  }
+  return ids;
+}
+
+/**
+ * @param {any} base   the currently loaded export
+ * @param {any} other  the export to compare against
+ */
+export function compareExports(base, other) {
+  const bs = base?.stats ?? {};
+  const os = other?.stats ?? {};
+  const channels = diffLists(bs.byChannel ?? [], os.byChannel ?? [], channelKey);
+  const guilds = diffLists(bs.byGuild ?? [], os.byGuild ?? [], (g) => String(g.guildId ?? ''));
+
+  const baseIds = messageIds(base?.messages);
+  const otherIds = messageIds(other?.messages);
+  const onlyInBase = (base?.messages ?? []).filter((m) => m?.id != null && !otherIds.has(String(m.id)));
+  const onlyInOther = (other?.messages ?? []).filter((m) => m?.id != null && !baseIds.has(String(m.id)));
+  const byNewest = (a, b) => (b.timestamp?.getTime?.() ?? 0) - (a.timestamp?.getTime?.() ?? 0);
+
+  return {
+    totals: {
+      base: bs.totalMessages ?? 0,
+      other: os.totalMessages ?? 0,
+      delta: (os.totalMessages ?? 0) - (bs.totalMessages ?? 0),
+    },
+    channels,
+    guilds,
+    byDay: combineByDay(bs.byDay, os.byDay),
+    onlyInBase: onlyInBase.sort(byNewest),
+    onlyInOther: onlyInOther.sort(byNewest),
+  };
+}
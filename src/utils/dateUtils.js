@@ -1,27 +1,113 @@
 /**
- * Date helpers using the user's local timezone so charts and stats match when they actually happened.
- * (Using UTC was making everything show ~5 hours early in timezones behind UTC.)
+ * Date helpers. Bucketing (day keys, hour of day, weekday) happens in an explicit IANA time zone chosen
+ * in settings, so charts match when messages actually happened for whoever is looking — the export
+ * itself stores UTC. Offsets come from Intl and are looked up per instant, so DST is handled.
  */
 
+/** Default zone: timestamps as exported (UTC), no shifting. */
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const SLOT_MS = 15 * 60 * 1000; // every zone offset and DST transition falls on a 15-minute boundary
+
+const formatters = new Map();
+let offsetCache = { timeZone: null, slots: new Map() };
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/** Offset of timeZone from UTC at the given instant, in ms (cached per 15-minute slot). */
+function getOffsetMs(ms, timeZone) {
+  if (timeZone === 'UTC') return 0;
+  if (offsetCache.timeZone !== timeZone) offsetCache = { timeZone, slots: new Map() };
+  const slot = Math.floor(ms / SLOT_MS);
+  const cached = offsetCache.slots.get(slot);
+  if (cached !== undefined) return cached;
+  const at = slot * SLOT_MS;
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(at))) parts[type] = Number(value);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  const offset = wall - at;
+  offsetCache.slots.set(slot, offset);
+  return offset;
+}
+
+function toDate(ts) {
+  if (ts == null) return null;
+  const d = ts instanceof Date ? ts : new Date(ts);
+  return isNaN(d.getTime()) ? null : d;
+}
+
 /**
- * Get YYYY-MM-DD for the given date in local timezone.
+ * Wall-clock parts of an instant in a time zone.
  * @param {Date|string|number} ts
+ * @param {string} [timeZone] IANA zone; the browser's local zone when omitted
+ * @returns {{ year: number, month: number, day: number, hour: number, weekday: number }|null} month is 1-12, weekday 0 = Sunday
+ */
+export function getZonedParts(ts, timeZone) {
+  const d = toDate(ts);
+  if (!d) return null;
+  if (!timeZone) {
+    return { year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate(), hour: d.getHours(), weekday: d.getDay() };
+  }
+  const wall = new Date(d.getTime() + getOffsetMs(d.getTime(), timeZone));
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth() + 1,
+    day: wall.getUTCDate(),
+    hour: wall.getUTCHours(),
+    weekday: wall.getUTCDay(),
+  };
+}
+
+/**
+ * Get YYYY-MM-DD for the given date in a time zone.
+ * @param {Date|string|number} ts
+ * @param {string} [timeZone] IANA zone; the browser's local zone when omitted
  * @returns {string|null}
  */
-export function getLocalDateKey(ts) {
-  if (ts == null) return null;
+export function getLocalDateKey(ts, timeZone) {
   try {
-    const d = ts instanceof Date ? ts : new Date(ts);
-    if (isNaN(d.getTime())) return null;
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${y}-${m}-${day}`;
+    const p = getZonedParts(ts, timeZone);
+    if (!p) return null;
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
   } catch {
     return null;
   }
 }
 
+/**
+ * The instant a calendar day starts in a time zone (the inverse of getLocalDateKey).
+ * @param {string} dateKey YYYY-MM-DD
+ * @param {string} [timeZone]
+ * @returns {Date|null} null when dateKey is not a valid date
+ */
+export function startOfZonedDay(dateKey, timeZone = DEFAULT_TIME_ZONE) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateKey));
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  const wall = Date.UTC(y, m - 1, d);
+  const check = new Date(wall);
+  if (check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return null;
+  // The offset at midnight is looked up twice: once from the UTC guess, then from the corrected instant.
+  const guess = wall - getOffsetMs(wall, timeZone);
+  return new Date(wall - getOffsetMs(guess, timeZone));
+}
+
 /**
  * Parse YYYY-MM-DD as local date (noon to avoid DST edges).
  * @param {string} dateStr
@@ -40,3 +126,45 @@ export function parseLocalDate(dateStr) {
 export function addLocalDay(d) {
   d.setDate(d.getDate() + 1);
 }
+
+/**
+ * Format an instant for display in a time zone.
+ * @param {Date|string|number} ts
+ * @param {string} [timeZone]
+ * @param {Intl.DateTimeFormatOptions} [options] defaults to medium date + short time
+ */
+export function formatInTimeZone(ts, timeZone, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  const d = toDate(ts);
+  if (!d) return '—';
+  try {
+    return d.toLocaleString(undefined, { ...options, timeZone: timeZone || undefined });
+  } catch {
+    return d.toLocaleString(undefined, options);
+  }
+}
+
+/** True if the string is an IANA zone this browser knows. */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** IANA zones for the settings picker, UTC first. */
+export function listTimeZones() {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return ['UTC', ...zones.filter((z) => z !== 'UTC')];
+}
+
+/** The browser's own zone, e.g. to offer as a quick pick. */
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+  } catch {
+    return DEFAULT_TIME_ZONE;
+  }
+}
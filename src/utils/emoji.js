@@ -0,0 +1,97 @@
+/**
+ * Emoji extraction for message stats. Recognises Discord custom emoji markup (<:name:id>, <a:name:id>),
+ * bare :shortcodes: (custom emoji typed without access, so no id) and Unicode emoji as whole sequences:
+ * skin tones, ZWJ families, flags, keycaps and subdivision flags each count as one emoji. Code and URLs are
+ * left out first.
+ */
+
+import { stripCodeAndUrls } from './tokenizer.js';
+
+const CUSTOM_RE = /<(a?):([\w~]+):(\d+)>/g;
+/**
+ * A run of shortcodes (":wave::smile:") standing on its own between whitespace or line ends, so "std::vector::x"
+ * or "Note:important:yes" are not emoji. Each name needs a letter, so times like 12:30:45 are not emoji either.
+ */
+const SHORTCODE_RUN_RE = /(?<=^|\s)(?::[\w~]*[A-Za-z][\w~]*:)+(?=\s|$)/gm;
+const SHORTCODE_RE = /:([\w~]+):/g;
+
+const TONE = '[\\u{1F3FB}-\\u{1F3FF}]';
+const PICTO = `(?:\\p{Emoji_Presentation}${TONE}?|\\p{Extended_Pictographic}(?:\\uFE0F|${TONE})${TONE}?)`;
+const ZWJ_PART = `\\p{Extended_Pictographic}\\uFE0F?${TONE}?`;
+const UNICODE_EMOJI_RE = new RegExp(
+  [
+    '\\p{Regional_Indicator}{2}',
+    '[#*0-9]\\uFE0F?\\u20E3',
+    `${PICTO}(?:[\\u{E0020}-\\u{E007E}]+\\u{E007F})?(?:\\u200D${ZWJ_PART})*`,
+  ].join('|'),
+  'gu'
+);
+const VARIATION_RE = /\uFE0F/g;
+
+/**
+ * Emoji in a message (custom emoji first, then shortcodes, then Unicode emoji).
+ * @param {string} text
+ * @returns {{ key: string, name: string, id: string|null, animated: boolean, unicode: boolean }[]}
+ *   key identifies the emoji across messages: custom:<id>, :name: for shortcodes, the sequence itself (without
+ *   variation selectors) for Unicode emoji
+ */
+export function extractEmojis(text) {
+  if (!text) return [];
+  const out = [];
+  let rest = stripCodeAndUrls(text).replace(CUSTOM_RE, (_, animated, name, id) => {
+    out.push({ key: `custom:${id}`, name, id, animated: animated === 'a', unicode: false });
+    return ' ';
+  });
+  rest = rest.replace(SHORTCODE_RUN_RE, (run) => {
+    for (const [, name] of run.matchAll(SHORTCODE_RE)) {
+      out.push({ key: `:${name.toLowerCase()}:`, name, id: null, animated: false, unicode: false });
+    }
+    return ' ';
+  });
+  for (const match of rest.matchAll(UNICODE_EMOJI_RE)) {
+    const key = match[0].replace(VARIATION_RE, '');
+    if (key) out.push({ key, name: match[0], id: null, animated: false, unicode: true });
+  }
+  return out;
+}
+
+/** Running emoji counts keyed by emoji key; keeps the latest name seen for each custom emoji. */
+export function createEmojiCounter() {
+  const counts = new Map();
+  return {
+    add(emoji) {
+      const entry = counts.get(emoji.key);
+      if (entry) {
+        entry.count += 1;
+        if (!emoji.unicode) entry.name = emoji.name;
+      } else {
+        counts.set(emoji.key, { ...emoji, count: 1 });
+      }
+    },
+    top(limit) {
+      return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+    },
+    get size() {
+      return counts.size;
+    },
+  };
+}
+
+/** Emoji stats entry in the current shape; summaries cached before Unicode support stored [":name:", count] pairs. */
+export function normalizeEmojiEntry(entry) {
+  if (!Array.isArray(entry)) return entry;
+  const [shortcode, count] = entry;
+  return { key: shortcode, name: String(shortcode).replace(/^:|:$/g, ''), id: null, animated: false, unicode: false, count };
+}
+
+/** CDN image for a custom emoji with a known id, or null. */
+export function emojiImageUrl(emoji, size = 48) {
+  if (!emoji?.id) return null;
+  return `https://cdn.discordapp.com/emojis/${emoji.id}.${emoji.animated ? 'gif' : 'png'}?size=${size}`;
+}
+
+/** Label for an emoji entry: the character for Unicode emoji, :name: for custom ones. */
+export function emojiLabel(emoji) {
+  if (!emoji) return '';
+  return emoji.unicode ? emoji.name : `:${emoji.name}:`;
+}
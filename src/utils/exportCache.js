@@ -0,0 +1,143 @@
+/**
+ * Local IndexedDB cache of parsed exports, so a reload can reopen one without re-reading the ZIP.
+ * Two stores: small metadata rows for the "Recent exports" list, and the full buildSummary output
+ * (messages + stats) stored separately so listing never deserializes message data. Entries are keyed by a
+ * fingerprint of the package file, so loading the same package again replaces its entry instead of adding one.
+ */
+
+const DB_NAME = 'discord-analyzer';
+const DB_VERSION = 1;
+const META_STORE = 'exports';
+const DATA_STORE = 'exportData';
+
+/**
+ * Version of the stored summaries. Bump it when buildSummary's output changes: entries saved under another
+ * version are rebuilt from their stored messages when opened (see loadExport). Entries from before versions
+ * were recorded count as 1.
+ */
+export const CACHE_FORMAT_VERSION = 4;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Cache key of a package: what identifies the file without reading it. Folders and merged packages pass their
+ * total size and newest lastModified.
+ * @param {{ name: string, size: number, lastModified?: number }} source
+ */
+export function exportFingerprint(source) {
+  return [source.name, source.size ?? 0, source.lastModified ?? 0].join('|');
+}
+
+async function putExport(meta, data) {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+  tx.objectStore(META_STORE).put(meta);
+  tx.objectStore(DATA_STORE).put({ id: meta.id, data });
+  await transactionDone(tx);
+}
+
+/**
+ * Store a parsed export, replacing the entry of the same package if there is one.
+ * @param {any} data  buildSummary output
+ * @param {{ name: string, size: number, lastModified?: number }} source
+ * @returns {Promise<{ id: string, name: string, size: number, lastModified: number, messageCount: number, loadedAt: Date, formatVersion: number }>}
+ */
+export async function saveExport(data, source) {
+  const name = source?.name || 'Discord export';
+  const size = source?.size ?? 0;
+  const lastModified = source?.lastModified ?? 0;
+  const meta = {
+    id: exportFingerprint({ name, size, lastModified }),
+    name,
+    size,
+    lastModified,
+    messageCount: data?.stats?.totalMessages ?? 0,
+    loadedAt: new Date(),
+    formatVersion: CACHE_FORMAT_VERSION,
+  };
+  await putExport(meta, data);
+  return meta;
+}
+
+/** Metadata for every stored export, newest first. */
+export async function listExports() {
+  const db = await openDb();
+  const rows = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+  return rows.sort((a, b) => new Date(b.loadedAt) - new Date(a.loadedAt));
+}
+
+/**
+ * Full summary for a stored export, or null if it is gone. A summary saved under another CACHE_FORMAT_VERSION is
+ * passed to rebuild (e.g. a resummarize in the worker) and the result is stored in its place.
+ * @param {string} id
+ * @param {{ rebuild?: (data: any) => Promise<any> }} [options]
+ */
+export async function loadExport(id, { rebuild } = {}) {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, DATA_STORE]);
+  const [meta, row] = await Promise.all([
+    requestToPromise(tx.objectStore(META_STORE).get(id)),
+    requestToPromise(tx.objectStore(DATA_STORE).get(id)),
+  ]);
+  const data = row?.data ?? null;
+  if (!data || !meta || !rebuild || (meta.formatVersion ?? 1) === CACHE_FORMAT_VERSION) return data;
+  const rebuilt = await rebuild(data);
+  await putExport({ ...meta, messageCount: rebuilt?.stats?.totalMessages ?? 0, formatVersion: CACHE_FORMAT_VERSION }, rebuilt);
+  return rebuilt;
+}
+
+export async function deleteExport(id) {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+  tx.objectStore(META_STORE).delete(id);
+  tx.objectStore(DATA_STORE).delete(id);
+  await transactionDone(tx);
+}
+
+/** Human-readable byte size for the recent exports list. */
+export function formatBytes(bytes) {
+  if (!bytes) return '—';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let n = bytes;
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i++;
+  }
+  return `${n.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
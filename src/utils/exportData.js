@@ -1,7 +1,42 @@
 /**
- * Export summary or raw data as CSV or JSON (client-side download).
+ * Export summary or raw data as CSV or JSON (client-side download). The file contents are built by plain
+ * functions so the command-line tool (bin/) writes the same files.
  */
 
+/** The "Export Data" JSON: stats plus the per-channel and per-time tables. */
+export function summaryExport(data) {
+  return {
+    stats: data.stats,
+    channels: data.stats.byChannel,
+    guilds: data.stats.byGuild,
+    byDay: data.stats.byDay,
+    byHour: data.stats.byHour,
+    byDayOfWeek: data.stats.byDayOfWeek,
+    topWords: data.stats.topWords,
+  };
+}
+
+export const CHANNEL_CSV_HEADERS = ['channelName', 'guildName', 'count'];
+
+/** Rows of the messages-by-channel CSV. */
+export function channelCsvRows(data) {
+  return data.stats.byChannel.map((c) => ({
+    channelName: c.channelName ?? c.channelId,
+    guildName: c.guildName ?? '',
+    count: c.count,
+  }));
+}
+
+export function toCsv(rows, headers) {
+  const escape = (v) => {
+    const s = String(v ?? '');
+    if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+    return s;
+  };
+  const line = (arr) => arr.map(escape).join(',');
+  return [line(headers), ...rows.map((r) => line(headers.map((h) => r[h])))].join('\r\n');
+}
+
 export function downloadJson(data, filename = 'discord-summary.json') {
   const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
@@ -13,14 +48,7 @@ export function downloadJson(data, filename = 'discord-summary.json') {
 }
 
 export function downloadCsv(rows, headers, filename = 'discord-export.csv') {
-  const escape = (v) => {
-    const s = String(v ?? '');
-    if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-    return s;
-  };
-  const line = (arr) => arr.map(escape).join(',');
-  const text = [line(headers), ...rows.map((r) => line(headers.map((h) => r[h])))].join('\r\n');
-  const blob = new Blob([text], { type: 'text/csv;charset=utf-8' });
+  const blob = new Blob([toCsv(rows, headers)], { type: 'text/csv;charset=utf-8' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -0,0 +1,152 @@
+/**
+ * Chat-completion providers for the AI overview. Every preset speaks the OpenAI chat completions API
+ * (POST {baseUrl}/chat/completions), which OpenAI, Ollama, llama.cpp server and LM Studio all serve, so
+ * switching to a local model is a base URL and model name. Responses are streamed (server-sent events) and
+ * fall back to a plain JSON body for servers that ignore `stream`.
+ */
+
+const SETTINGS_STORAGE = 'discord-analyzer-llm';
+/** Key-only setting from before providers were configurable; migrated on first load. */
+const LEGACY_OPENAI_KEY_STORAGE = 'discord-analyzer-openai-key';
+
+export const LLM_PROVIDERS = [
+  { id: 'openai', label: 'OpenAI', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', needsKey: true },
+  { id: 'ollama', label: 'Ollama', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', needsKey: false },
+  { id: 'llamacpp', label: 'llama.cpp server', baseUrl: 'http://localhost:8080/v1', model: 'default', needsKey: false },
+  { id: 'lmstudio', label: 'LM Studio', baseUrl: 'http://localhost:1234/v1', model: 'local-model', needsKey: false },
+  { id: 'custom', label: 'Other OpenAI-compatible endpoint', baseUrl: '', model: '', needsKey: false },
+];
+
+export function getProviderPreset(id) {
+  return LLM_PROVIDERS.find((p) => p.id === id) ?? LLM_PROVIDERS[0];
+}
+
+/** Settings for a provider with its preset base URL and model. */
+export function defaultLlmSettings(providerId = 'openai') {
+  const preset = getProviderPreset(providerId);
+  return { provider: preset.id, baseUrl: preset.baseUrl, model: preset.model, apiKey: '' };
+}
+
+/** @returns {{ provider: string, baseUrl: string, model: string, apiKey: string }} */
+export function loadLlmSettings() {
+  if (typeof localStorage === 'undefined') return defaultLlmSettings();
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE) || 'null');
+    if (stored && typeof stored === 'object') return { ...defaultLlmSettings(stored.provider), ...stored };
+  } catch (_) {}
+  return { ...defaultLlmSettings(), apiKey: localStorage.getItem(LEGACY_OPENAI_KEY_STORAGE) || '' };
+}
+
+export function saveLlmSettings(settings) {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(SETTINGS_STORAGE, JSON.stringify(settings));
+  localStorage.removeItem(LEGACY_OPENAI_KEY_STORAGE);
+}
+
+/** True when the base URL points at this machine or a private network, i.e. the text stays in-house. */
+export function isLocalEndpoint(baseUrl) {
+  let host;
+  try {
+    host = new URL(baseUrl).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return false;
+  }
+  return (
+    host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    host.endsWith('.local') ||
+    host === '::1' ||
+    /^127\./.test(host) ||
+    /^10\./.test(host) ||
+    /^192\.168\./.test(host) ||
+    /^172\.(1[6-9]|2\d|3[01])\./.test(host) ||
+    /^f[cd][0-9a-f]{2}:/i.test(host)
+  );
+}
+
+/** Problem with the settings that would make a request fail, or null. */
+export function validateLlmSettings(settings) {
+  if (!settings?.baseUrl?.trim()) return 'Set the base URL of the API (for example http://localhost:11434/v1).';
+  try {
+    new URL(settings.baseUrl.trim());
+  } catch {
+    return `"${settings.baseUrl}" is not a valid URL.`;
+  }
+  if (!settings.model?.trim()) return 'Set the model name to use.';
+  if (getProviderPreset(settings.provider).needsKey && !settings.apiKey?.trim()) {
+    return `Add your ${getProviderPreset(settings.provider).label} API key.`;
+  }
+  return null;
+}
+
+async function readError(res) {
+  const body = await res.json().catch(() => ({}));
+  return new Error(body.error?.message || body.error || res.statusText || `HTTP ${res.status}`);
+}
+
+/** Text deltas from a server-sent events body of chat completion chunks. */
+async function* readEventStream(body) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      let chunk;
+      try {
+        chunk = JSON.parse(payload);
+      } catch {
+        continue;
+      }
+      if (chunk.error) throw new Error(chunk.error.message || String(chunk.error));
+      const delta = chunk.choices?.[0]?.delta?.content ?? chunk.choices?.[0]?.text;
+      if (delta) yield delta;
+    }
+  }
+}
+
+/**
+ * Send a chat to the configured provider and stream the reply.
+ * @param {{ baseUrl: string, model: string, apiKey?: string }} settings
+ * @param {{ role: 'system'|'user'|'assistant', content: string }[]} messages
+ * @param {{ onText?: (textSoFar: string) => void, signal?: AbortSignal, maxTokens?: number, temperature?: number }} [options]
+ * @returns {Promise<string>} the full reply
+ */
+export async function streamChat(settings, messages, options = {}) {
+  const { onText, signal, maxTokens = 1500, temperature = 0.5 } = options;
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey?.trim()) headers.Authorization = `Bearer ${settings.apiKey.trim()}`;
+  const res = await fetch(`${settings.baseUrl.trim().replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    signal,
+    body: JSON.stringify({
+      model: settings.model.trim(),
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+    }),
+  });
+  if (!res.ok) throw await readError(res);
+
+  if (res.body && (res.headers.get('content-type') ?? '').includes('text/event-stream')) {
+    let text = '';
+    for await (const delta of readEventStream(res.body)) {
+      text += delta;
+      onText?.(text);
+    }
+    return text.trim();
+  }
+  const data = await res.json();
+  const text = data.choices?.[0]?.message?.content?.trim() || '';
+  onText?.(text);
+  return text;
+}
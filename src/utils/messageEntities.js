@@ -0,0 +1,188 @@
+/**
+ * What a message points at besides its words: @mentions (users, roles, channels, @everyone/@here), links
+ * (grouped by domain) and attachments (by file extension and kind). Used by buildSummary for the
+ * "Mentions & links" stats and by the conversation reader for attachment previews.
+ */
+
+const MENTION_RE = /<@!?(\d+)>|<@&(\d+)>|<#(\d+)>|@(everyone|here)\b/g;
+const URL_RE = /\bhttps?:\/\/[^\s<>"]+/gi;
+const TRAILING_PUNCTUATION_RE = /[.,;:!?)\]'"*_~]+$/;
+
+const KIND_BY_EXTENSION = {
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'bmp', 'svg', 'heic', 'tif', 'tiff'],
+  video: ['mp4', 'webm', 'mov', 'mkv', 'avi', 'm4v'],
+  audio: ['mp3', 'ogg', 'wav', 'flac', 'm4a', 'opus', 'aac'],
+  document: ['pdf', 'doc', 'docx', 'odt', 'txt', 'rtf', 'md', 'xls', 'xlsx', 'csv', 'ppt', 'pptx'],
+  archive: ['zip', 'rar', '7z', 'tar', 'gz', 'bz2', 'xz'],
+  code: ['js', 'ts', 'jsx', 'tsx', 'py', 'java', 'c', 'cpp', 'h', 'cs', 'go', 'rs', 'rb', 'php', 'json', 'html', 'css', 'sh', 'lua', 'log'],
+};
+const KIND_OF = new Map(Object.entries(KIND_BY_EXTENSION).flatMap(([kind, exts]) => exts.map((ext) => [ext, kind])));
+
+export const ATTACHMENT_KIND_LABELS = {
+  image: 'Images',
+  video: 'Videos',
+  audio: 'Audio',
+  document: 'Documents',
+  archive: 'Archives',
+  code: 'Code & text',
+  other: 'Other files',
+};
+
+/**
+ * Mentions in a message.
+ * @param {string} text
+ * @returns {{ type: 'user'|'role'|'channel'|'everyone', id: string }[]}  id is 'everyone' or 'here' for mass mentions
+ */
+export function extractMentions(text) {
+  if (!text) return [];
+  const out = [];
+  for (const [, user, role, channel, everyone] of String(text).matchAll(MENTION_RE)) {
+    if (user) out.push({ type: 'user', id: user });
+    else if (role) out.push({ type: 'role', id: role });
+    else if (channel) out.push({ type: 'channel', id: channel });
+    else out.push({ type: 'everyone', id: everyone });
+  }
+  return out;
+}
+
+/**
+ * Links in a message with their domain (lowercased, without "www.").
+ * @param {string} text
+ * @returns {{ url: string, domain: string }[]}
+ */
+export function extractLinks(text) {
+  if (!text) return [];
+  const out = [];
+  for (const [raw] of String(text).matchAll(URL_RE)) {
+    const url = raw.replace(TRAILING_PUNCTUATION_RE, '');
+    try {
+      const domain = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+      if (domain) out.push({ url, domain });
+    } catch {
+      // not a parseable URL; skip it
+    }
+  }
+  return out;
+}
+
+/**
+ * URL, file name, extension and kind of one attachment entry (a URL string or an object with url/filename).
+ * @returns {{ url: string|null, name: string, ext: string, kind: string }}
+ */
+export function describeAttachment(a) {
+  const url = typeof a === 'string' ? a : a?.url ?? a?.URL ?? null;
+  let name = a && typeof a === 'object' ? a.filename ?? a.name ?? null : null;
+  if (!name && url) {
+    try {
+      name = decodeURIComponent(new URL(url).pathname.split('/').pop() || url);
+    } catch {
+      name = String(url).split('?')[0].split('/').pop() || null;
+    }
+  }
+  name = name || 'Attachment';
+  const dot = name.lastIndexOf('.');
+  const ext = dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+  return { url, name, ext, kind: KIND_OF.get(ext) ?? 'other' };
+}
+
+/** Counts by key with a record per key; top(n) returns records with their count, most frequent first. */
+export function createTally() {
+  const entries = new Map();
+  return {
+    add(key, record, n = 1) {
+      const entry = entries.get(key);
+      if (entry) entry.count += n;
+      else entries.set(key, { ...record, count: n });
+    },
+    top(limit = Infinity) {
+      return [...entries.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Mention, link and attachment tallies over a whole export, globally, per channel and per day.
+ * add() each message with its channel key and day key; finish() names the mentions and builds the output.
+ */
+export function createShareAccumulator() {
+  const mentions = createTally();
+  const domains = createTally();
+  const extensions = createTally();
+  const kinds = createTally();
+  const channels = new Map();
+  const days = new Map();
+  let totalMentions = 0;
+  let totalLinks = 0;
+
+  function channelTallies(key) {
+    if (!channels.has(key)) channels.set(key, { mentions: createTally(), domains: createTally(), kinds: createTally(), links: 0, attachments: 0 });
+    return channels.get(key);
+  }
+
+  return {
+    add(message, channelKey, dayKey) {
+      const found = extractMentions(message.contents);
+      const links = extractLinks(message.contents);
+      const files = (message.attachments ?? []).map(describeAttachment);
+      if (!found.length && !links.length && !files.length) return;
+      const ch = channelTallies(channelKey);
+      for (const mention of found) {
+        const key = `${mention.type}:${mention.id}`;
+        mentions.add(key, mention);
+        ch.mentions.add(key, mention);
+      }
+      for (const { domain } of links) {
+        domains.add(domain, { domain });
+        ch.domains.add(domain, { domain });
+      }
+      for (const { ext, kind } of files) {
+        extensions.add(ext || kind, { ext, kind });
+        kinds.add(kind, { kind });
+        ch.kinds.add(kind, { kind });
+      }
+      totalMentions += found.length;
+      totalLinks += links.length;
+      ch.links += links.length;
+      ch.attachments += files.length;
+      if (dayKey && (links.length || files.length)) {
+        const day = days.get(dayKey) ?? { date: dayKey, links: 0, attachments: 0 };
+        day.links += links.length;
+        day.attachments += files.length;
+        days.set(dayKey, day);
+      }
+    },
+
+    /**
+     * @param {(mention: { type: string, id: string }) => string|null} nameOf  display name for a mention, if known
+     * @returns {{ stats: object, byChannel: Map<string, object> }}
+     */
+    finish(nameOf) {
+      const named = (list) => list.map((m) => ({ ...m, name: nameOf(m) }));
+      const byChannel = new Map();
+      for (const [key, ch] of channels) {
+        byChannel.set(key, {
+          topMentions: named(ch.mentions.top(10)),
+          topDomains: ch.domains.top(10),
+          attachmentKinds: ch.kinds.top(),
+          linkCount: ch.links,
+          attachmentCount: ch.attachments,
+        });
+      }
+      return {
+        stats: {
+          totalMentions,
+          totalLinks,
+          topMentions: named(mentions.top(100)),
+          topDomains: domains.top(100),
+          attachmentTypes: extensions.top(50),
+          attachmentKinds: kinds.top(),
+          sharesByDay: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+        },
+        byChannel,
+      };
+    },
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Phrase statistics for Vocabulary: two- and three-word phrases (bigrams, trigrams) counted within clauses,
+ * scored by pointwise mutual information (PMI) so phrases whose words belong together ("good night") can be
+ * told from words that merely happen to be frequent. Phrases made only of stopwords, or of one word
+ * repeated ("lol lol"), are not counted.
+ */
+
+export const PHRASE_SIZES = [2, 3];
+
+/**
+ * Distinct phrases kept in memory. Past this the rarest are dropped while counting, so a dropped phrase that
+ * comes back starts again from one: its count and PMI come out low. finish() reports whether that happened.
+ */
+const MAX_TRACKED_PHRASES = 300000;
+const MAX_TRACKED_CHANNEL_PHRASES = 5000;
+/** Fewer uses than this and PMI mostly measures rarity, so the phrase is not ranked as a collocation. */
+const MIN_COLLOCATION_COUNT = 4;
+const MIN_CATCHPHRASE_COUNT = 3;
+const MIN_CATCHPHRASE_RATIO = 1.5;
+
+/**
+ * Phrases of n consecutive words.
+ * @param {string[]} words  one clause of tokenizeClauses() output
+ * @param {number} n
+ * @param {Set<string>} [stopwords]  phrases made only of these are skipped
+ * @returns {string[]}  words joined with a space
+ */
+export function messageNgrams(words, n, stopwords) {
+  const out = [];
+  for (let i = 0; i + n <= words.length; i++) {
+    const gram = words.slice(i, i + n);
+    if (gram.every((w) => w === gram[0])) continue;
+    if (stopwords && gram.every((w) => stopwords.has(w))) continue;
+    out.push(gram.join(' '));
+  }
+  return out;
+}
+
+/**
+ * PMI of a phrase in bits: log2 of how much more often its words appear together than if they were independent.
+ * @param {number} count  uses of the phrase
+ * @param {string[]} words
+ * @param {Map<string, number>} wordCounts  uses of every word, stopwords included
+ * @param {number} totalWords
+ */
+export function pmi(count, words, wordCounts, totalWords) {
+  if (!count || !totalWords) return 0;
+  let score = Math.log2(count / totalWords);
+  for (const w of words) score -= Math.log2((wordCounts.get(w) || 1) / totalWords);
+  return score;
+}
+
+/** PMI scaled to -1..1 by the phrase's own information, so bigrams and trigrams rank on one scale. */
+export function normalizedPmi(count, words, wordCounts, totalWords) {
+  if (!count || !totalWords || count >= totalWords) return 0;
+  return pmi(count, words, wordCounts, totalWords) / ((words.length - 1) * -Math.log2(count / totalWords));
+}
+
+/** Drops two-word phrases that (nearly) only occur inside a listed three-word phrase ("good night" in "good night everyone"). */
+function dropSubsumed(list) {
+  const trigrams = list.filter((p) => p.phrase.split(' ').length === 3);
+  return list.filter((p) => {
+    if (p.phrase.split(' ').length !== 2) return true;
+    return !trigrams.some(
+      (t) => t.count >= p.count * 0.9 && (t.phrase.startsWith(`${p.phrase} `) || t.phrase.endsWith(` ${p.phrase}`))
+    );
+  });
+}
+
+/** Phrase counts with first/last day of use; drops the rarest entries when it grows past maxEntries. */
+function createPhraseCounter(maxEntries) {
+  const entries = new Map();
+  let total = 0;
+  let pruned = false;
+
+  function prune() {
+    pruned = true;
+    let threshold = 1;
+    while (entries.size > maxEntries * 0.75) {
+      for (const [phrase, e] of entries) if (e.count <= threshold) entries.delete(phrase);
+      threshold += 1;
+    }
+  }
+
+  return {
+    add(phrase, dayKey) {
+      total += 1;
+      const e = entries.get(phrase);
+      if (e) {
+        e.count += 1;
+        if (dayKey && (!e.firstUsed || dayKey < e.firstUsed)) e.firstUsed = dayKey;
+        if (dayKey && (!e.lastUsed || dayKey > e.lastUsed)) e.lastUsed = dayKey;
+      } else {
+        entries.set(phrase, { count: 1, firstUsed: dayKey ?? null, lastUsed: dayKey ?? null });
+        if (entries.size > maxEntries) prune();
+      }
+    },
+    count(phrase) {
+      return entries.get(phrase)?.count ?? 0;
+    },
+    entries() {
+      return entries.entries();
+    },
+    get total() {
+      return total;
+    },
+    /** True once entries have been dropped: counts are then lower bounds. */
+    get pruned() {
+      return pruned;
+    },
+  };
+}
+
+/**
+ * Phrase counts over a whole export, globally and per channel.
+ * add() each message's clauses (tokenizeClauses output) with its channel key and day key; finish() scores and
+ * ranks the phrases.
+ * @param {Set<string>} stopwords
+ */
+export function createPhraseAccumulator(stopwords) {
+  const global = createPhraseCounter(MAX_TRACKED_PHRASES);
+  const channels = new Map();
+  const wordCounts = new Map();
+  let totalWords = 0;
+
+  return {
+    add(clauses, channelKey, dayKey) {
+      for (const words of clauses) {
+        totalWords += words.length;
+        for (const w of words) wordCounts.set(w, (wordCounts.get(w) || 0) + 1);
+        if (words.length < 2) continue;
+        if (!channels.has(channelKey)) channels.set(channelKey, createPhraseCounter(MAX_TRACKED_CHANNEL_PHRASES));
+        const ch = channels.get(channelKey);
+        for (const n of PHRASE_SIZES) {
+          for (const phrase of messageNgrams(words, n, stopwords)) {
+            global.add(phrase, dayKey);
+            ch.add(phrase, dayKey);
+          }
+        }
+      }
+    },
+
+    /**
+     * @param {number} [limit]  phrases kept in each ranking
+     * @returns {{ stats: { topPhrases: object[], collocations: object[], phraseCountsApproximate: boolean }, byChannel: Map<string, object> }}
+     *   phrases are { phrase, n, count, pmi, score, firstUsed, lastUsed }: pmi in bits, score the normalized PMI
+     *   that collocations are ranked by, firstUsed/lastUsed as YYYY-MM-DD. phraseCountsApproximate is set when
+     *   phrases were dropped while counting (see MAX_TRACKED_PHRASES), globally or in any channel.
+     */
+    finish(limit = 300) {
+      const scored = [];
+      for (const [phrase, e] of global.entries()) {
+        if (e.count < 2) continue;
+        const words = phrase.split(' ');
+        scored.push({
+          phrase,
+          n: words.length,
+          count: e.count,
+          pmi: Math.round(pmi(e.count, words, wordCounts, totalWords) * 100) / 100,
+          score: Math.round(normalizedPmi(e.count, words, wordCounts, totalWords) * 1000) / 1000,
+          firstUsed: e.firstUsed,
+          lastUsed: e.lastUsed,
+        });
+      }
+      const topPhrases = dropSubsumed([...scored].sort((a, b) => b.count - a.count).slice(0, limit * 2)).slice(0, limit);
+      const collocations = dropSubsumed(
+        scored
+          .filter((p) => p.count >= MIN_COLLOCATION_COUNT && p.score > 0)
+          .sort((a, b) => b.score - a.score || b.count - a.count)
+          .slice(0, limit * 2)
+      ).slice(0, limit);
+
+      const byChannel = new Map();
+      for (const [key, ch] of channels) {
+        const ranked = [...ch.entries()].filter(([, e]) => e.count >= 2).sort((a, b) => b[1].count - a[1].count);
+        // Catchphrases: used here noticeably more often than in your messages overall.
+        const distinctive = ranked
+          .filter(([, e]) => e.count >= MIN_CATCHPHRASE_COUNT)
+          .map(([phrase, e]) => {
+            const ratio = e.count / ch.total / ((global.count(phrase) + 0.5) / global.total);
+            return { phrase, count: e.count, ratio: Math.round(ratio * 100) / 100 };
+          })
+          .filter((p) => p.ratio >= MIN_CATCHPHRASE_RATIO)
+          .sort((a, b) => b.ratio - a.ratio || b.count - a.count);
+        const catchphrases = dropSubsumed(distinctive.slice(0, 16)).slice(0, 8);
+        byChannel.set(key, {
+          topPhrases: dropSubsumed(ranked.slice(0, 20).map(([phrase, e]) => ({ phrase, count: e.count }))).slice(0, 10),
+          catchphrases,
+        });
+      }
+      const phraseCountsApproximate = global.pruned || [...channels.values()].some((ch) => ch.pruned);
+      return { stats: { topPhrases, collocations, phraseCountsApproximate }, byChannel };
+    },
+  };
+}
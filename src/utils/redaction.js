@@ -0,0 +1,42 @@
+/**
+ * Redaction for text that is about to leave the browser (AI overview excerpts). Each rule masks one kind of
+ * personal detail with a placeholder; custom terms (names, places) are masked as whole words, ignoring case.
+ */
+
+export const REDACTION_RULES = [
+  { id: 'mentions', label: 'Mentions and IDs', pattern: /<@[!&]?\d+>|<#\d+>|\b\d{17,20}\b/g, placeholder: '[mention]' },
+  { id: 'links', label: 'Links', pattern: /\b(?:https?:\/\/|www\.)\S+/gi, placeholder: '[link]' },
+  { id: 'emails', label: 'Email addresses', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, placeholder: '[email]' },
+  { id: 'phones', label: 'Phone numbers', pattern: /(?<![\w+])\+?\d{1,3}[\s.-]?\(?\d{2,4}\)?[\s.-]?\d{3}[\s.-]?\d{3,4}(?!\w)/g, placeholder: '[phone]' },
+];
+
+export const DEFAULT_REDACTION = { rules: REDACTION_RULES.map((r) => r.id), terms: [] };
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Custom terms from free text: one per line or comma-separated. */
+export function parseRedactionTerms(text) {
+  return [...new Set(String(text ?? '').split(/[\n,]+/).map((t) => t.trim()).filter(Boolean))];
+}
+
+/**
+ * Mask personal details in a text.
+ * @param {string} text
+ * @param {{ rules?: string[], terms?: string[] }} [options]  rule ids to apply and custom terms to mask
+ * @returns {string}
+ */
+export function redactText(text, options = DEFAULT_REDACTION) {
+  let out = String(text ?? '');
+  const rules = new Set(options.rules ?? []);
+  for (const rule of REDACTION_RULES) {
+    if (rules.has(rule.id)) out = out.replace(rule.pattern, rule.placeholder);
+  }
+  const terms = (options.terms ?? []).filter(Boolean);
+  if (terms.length) {
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    out = out.replace(re, '[redacted]');
+  }
+  return out;
+}
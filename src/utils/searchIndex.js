@@ -0,0 +1,105 @@
+/**
+ * Inverted index over every message in a parsed export, built once per dataset and shared by the views
+ * that filter messages. Tokens are lowercased runs of letters/digits; each maps to the ascending list of
+ * message positions containing it. Channel, server, day and attachment fields are kept per message so
+ * query operators (see searchQuery.js) never have to touch the text.
+ */
+
+import { getLocalDateKey } from './dateUtils.js';
+
+const TOKEN_RE = /[\p{L}\p{N}_]+/gu;
+
+/** Lowercased word tokens of a string, in order (duplicates kept). */
+export function tokenizeForSearch(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().match(TOKEN_RE) ?? [];
+}
+
+const cache = new WeakMap();
+
+/**
+ * Flatten byChannel into one message list with channel/server labels attached, and index it.
+ * @param {any} data  buildSummary output
+ */
+function buildSearchIndex(data) {
+  const byChannel = data?.stats?.byChannel ?? [];
+  const messages = [];
+  const channelOf = [];
+  const dayKeys = [];
+  const hasAttachment = [];
+  const channels = [];
+  const postings = new Map();
+
+  for (const ch of byChannel) {
+    const channelIndex = channels.length;
+    channels.push({
+      channelId: ch.channelId,
+      guildId: ch.guildId ?? null,
+      channelName: String(ch.channelName ?? ch.channelId ?? '').toLowerCase(),
+      guildName: String(ch.guildId ? ch.guildName ?? ch.guildId : 'dm').toLowerCase(),
+    });
+    for (const m of ch?.messages ?? []) {
+      if (m == null || typeof m !== 'object') continue;
+      const doc = messages.length;
+      messages.push({
+        ...m,
+        channelName: m.channelName ?? ch.channelName ?? ch.channelId,
+        guildName: m.guildName ?? ch.guildName,
+        channelId: m.channelId ?? ch.channelId,
+        guildId: m.guildId ?? ch.guildId,
+        avatarUrl: m.avatarUrl ?? ch.avatarUrl ?? null,
+      });
+      channelOf.push(channelIndex);
+      dayKeys.push(getLocalDateKey(m.timestamp, data.timeZone) ?? '');
+      hasAttachment.push(Array.isArray(m.attachments) ? m.attachments.length > 0 : Boolean(m.attachments));
+      for (const token of tokenizeForSearch(m.contents)) {
+        let list = postings.get(token);
+        if (!list) {
+          list = [];
+          postings.set(token, list);
+        }
+        if (list[list.length - 1] !== doc) list.push(doc);
+      }
+    }
+  }
+
+  return {
+    messages,
+    channels,
+    channelOf,
+    dayKeys,
+    hasAttachment,
+    postings,
+    /** Every distinct token, sorted, for prefix lookups. */
+    terms: [...postings.keys()].sort(),
+  };
+}
+
+/**
+ * The search index for a dataset, built on first use and cached for as long as the dataset object lives.
+ * @param {any} data  buildSummary output
+ */
+export function getSearchIndex(data) {
+  if (!data || typeof data !== 'object') return buildSearchIndex(null);
+  let index = cache.get(data);
+  if (!index) {
+    index = buildSearchIndex(data);
+    cache.set(data, index);
+  }
+  return index;
+}
+
+/** Posting lists of every indexed token starting with prefix. */
+export function postingsForPrefix(index, prefix) {
+  const { terms, postings } = index;
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const out = [];
+  for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) out.push(postings.get(terms[i]));
+  return out;
+}
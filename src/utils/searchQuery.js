@@ -0,0 +1,368 @@
+/**
+ * Discord-style search queries over a search index (searchIndex.js).
+ *
+ *   hello world            both words (implicit AND); a bare word matches words starting with it
+ *   "exact phrase"         words next to each other, in this order
+ *   cats OR dogs           either; AND / OR / NOT are uppercase, NOT binds tighter than AND, AND than OR
+ *   -spoilers, NOT x       exclude
+ *   (a OR b) c             grouping
+ *   /regex/i               JavaScript regular expression over the message text
+ *   channel:general        channel name contains (or channel ID equals); quote values with spaces
+ *   server:"my server"     server name contains (or server ID equals); server:dm for direct messages
+ *   before:2021-06-01      day before (exclusive), in the data's time zone; YYYY and YYYY-MM work too
+ *   after:2021, during:2021-06
+ *   has:attachment
+ */
+
+import { tokenizeForSearch, postingsForPrefix } from './searchIndex.js';
+
+export const SEARCH_SYNTAX_HINT =
+  'Words, "exact phrase", OR, NOT / -word, (groups), /regex/, channel:, server:, before:, after:, during:, has:attachment';
+
+const OPERATORS = new Set(['channel', 'server', 'before', 'after', 'during', 'has']);
+const HAS_VALUES = { attachment: 'attachment', attachments: 'attachment', file: 'attachment' };
+const DATE_VALUE_RE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Words in order with only non-word characters between them. */
+function phraseRegExp(tokens, flags) {
+  return new RegExp(`(?<!${WORD_CHAR})${tokens.map(escapeRegExp).join('[^\\p{L}\\p{N}_]+')}(?!${WORD_CHAR})`, flags);
+}
+
+function readQuoted(input, start) {
+  const end = input.indexOf('"', start + 1);
+  return end === -1 ? { value: input.slice(start + 1), next: input.length } : { value: input.slice(start + 1, end), next: end + 1 };
+}
+
+function lex(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const c = input[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '(' || c === ')') {
+      tokens.push({ kind: c });
+      i++;
+    } else if (c === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ kind: 'NOT' });
+      i++;
+    } else if (c === '"') {
+      const { value, next } = readQuoted(input, i);
+      tokens.push({ kind: 'phrase', value });
+      i = next;
+    } else if (c === '/' && findRegexEnd(input, i) !== -1) {
+      const end = findRegexEnd(input, i);
+      let j = end + 1;
+      while (j < input.length && /[a-z]/i.test(input[j])) j++;
+      tokens.push({ kind: 'regex', source: input.slice(i + 1, end), flags: input.slice(end + 1, j) });
+      i = j;
+    } else {
+      let j = i;
+      while (j < input.length && !/[\s()"]/.test(input[j])) j++;
+      const word = input.slice(i, j);
+      const op = /^([a-z]+):(.*)$/i.exec(word);
+      if (op && OPERATORS.has(op[1].toLowerCase())) {
+        let value = op[2];
+        if (!value && input[j] === '"') {
+          const quoted = readQuoted(input, j);
+          value = quoted.value;
+          j = quoted.next;
+        }
+        tokens.push({ kind: 'op', name: op[1].toLowerCase(), value });
+      } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ kind: word });
+      } else {
+        tokens.push({ kind: 'term', value: word });
+      }
+      i = j;
+    }
+  }
+  return tokens;
+}
+
+/** Index of the closing slash of a /regex/ starting at start, or -1. */
+function findRegexEnd(input, start) {
+  for (let i = start + 1; i < input.length; i++) {
+    if (input[i] === '\\') i++;
+    else if (input[i] === '/') return i > start + 1 ? i : -1;
+  }
+  return -1;
+}
+
+function toNode(token) {
+  if (token.kind === 'term') return { type: 'term', value: token.value };
+  if (token.kind === 'phrase') return { type: 'phrase', value: token.value };
+  if (token.kind === 'regex') {
+    // An invalid pattern throws a SyntaxError whose message already names the regex.
+    return { type: 'regex', re: new RegExp(token.source, token.flags.replace(/[gy]/g, '')) };
+  }
+  if (token.kind !== 'op') return null;
+  const { name, value } = token;
+  if (!value) throw new Error(`${name}: needs a value`);
+  if (name === 'before' || name === 'after' || name === 'during') {
+    if (!DATE_VALUE_RE.test(value)) throw new Error(`${name}: expects a date like 2021-06-01, 2021-06 or 2021`);
+  }
+  if (name === 'has' && !HAS_VALUES[value.toLowerCase()]) throw new Error(`has:${value} is not supported (try has:attachment)`);
+  return { type: 'op', name, value };
+}
+
+/**
+ * Parse a query string into a tree. Throws an Error with a readable message for invalid queries.
+ * @param {string} input
+ * @returns {any|null} null for an empty query
+ */
+export function parseSearchQuery(input) {
+  const tokens = lex(String(input ?? ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.kind === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    const list = children.filter(Boolean);
+    if (list.length === 0) return null;
+    return list.length === 1 ? list[0] : { type: 'or', children: list };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (pos < tokens.length && peek().kind !== 'OR' && peek().kind !== ')') {
+      if (peek().kind === 'AND') {
+        pos++;
+        continue;
+      }
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    if (peek()?.kind === 'NOT') {
+      pos++;
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    const token = tokens[pos++];
+    if (!token) return null;
+    if (token.kind === '(') {
+      const inner = parseOr();
+      if (peek()?.kind === ')') pos++;
+      return inner;
+    }
+    if (token.kind === ')') return null;
+    return toNode(token);
+  }
+
+  let root = parseOr();
+  // A stray ")" stops parseOr early; keep going so the rest of the query is not silently ignored.
+  while (pos < tokens.length) {
+    pos++;
+    const rest = parseOr();
+    if (rest) root = root ? { type: 'and', children: [root, rest] } : rest;
+  }
+  return root;
+}
+
+function markAll(bits, lists) {
+  for (const list of lists) {
+    for (let k = 0; k < list.length; k++) bits[list[k]] = 1;
+  }
+}
+
+function scanContents(index, bits, test) {
+  const { messages } = index;
+  for (let d = 0; d < messages.length; d++) {
+    if (test(messages[d].contents ? String(messages[d].contents) : '')) bits[d] = 1;
+  }
+}
+
+function evalPhrase(index, value, bits) {
+  const tokens = tokenizeForSearch(value);
+  if (tokens.length === 0) {
+    const needle = value.toLowerCase();
+    if (needle) scanContents(index, bits, (text) => text.toLowerCase().includes(needle));
+    return;
+  }
+  const lists = tokens.map((t) => index.postings.get(t));
+  if (lists.some((list) => !list)) return;
+  const re = phraseRegExp(tokens, 'iu');
+  const shortest = lists.reduce((a, b) => (b.length < a.length ? b : a));
+  for (const d of shortest) {
+    if (lists.every((list) => list === shortest || binaryHas(list, d)) && re.test(String(index.messages[d].contents ?? ''))) {
+      bits[d] = 1;
+    }
+  }
+}
+
+function binaryHas(list, value) {
+  let lo = 0;
+  let hi = list.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid] === value) return true;
+    if (list[mid] < value) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  return false;
+}
+
+function evalOp(index, node, bits) {
+  const n = index.messages.length;
+  const value = node.value.toLowerCase();
+  if (node.name === 'channel' || node.name === 'server') {
+    const wanted = new Set();
+    index.channels.forEach((ch, i) => {
+      const matches =
+        node.name === 'channel'
+          ? ch.channelName.includes(value) || String(ch.channelId) === node.value
+          : ch.guildName.includes(value) || (ch.guildId != null && String(ch.guildId) === node.value);
+      if (matches) wanted.add(i);
+    });
+    for (let d = 0; d < n; d++) if (wanted.has(index.channelOf[d])) bits[d] = 1;
+  } else if (node.name === 'has') {
+    for (let d = 0; d < n; d++) if (index.hasAttachment[d]) bits[d] = 1;
+  } else {
+    const len = value.length;
+    for (let d = 0; d < n; d++) {
+      const key = index.dayKeys[d].slice(0, len);
+      if (!key) continue;
+      if (node.name === 'before' ? key < value : node.name === 'after' ? key > value : key === value) bits[d] = 1;
+    }
+  }
+}
+
+function evaluate(index, node) {
+  const n = index.messages.length;
+  const bits = new Uint8Array(n);
+  switch (node.type) {
+    case 'term': {
+      const tokens = tokenizeForSearch(node.value);
+      if (tokens.length === 1) markAll(bits, postingsForPrefix(index, tokens[0]));
+      else evalPhrase(index, node.value, bits);
+      break;
+    }
+    case 'phrase':
+      evalPhrase(index, node.value, bits);
+      break;
+    case 'regex':
+      scanContents(index, bits, (text) => node.re.test(text));
+      break;
+    case 'op':
+      evalOp(index, node, bits);
+      break;
+    case 'not': {
+      const inner = evaluate(index, node.child);
+      for (let d = 0; d < n; d++) bits[d] = inner[d] ? 0 : 1;
+      break;
+    }
+    case 'and': {
+      bits.fill(1);
+      for (const child of node.children) {
+        const inner = evaluate(index, child);
+        for (let d = 0; d < n; d++) bits[d] &= inner[d];
+      }
+      break;
+    }
+    case 'or':
+      for (const child of node.children) {
+        const inner = evaluate(index, child);
+        for (let d = 0; d < n; d++) bits[d] |= inner[d];
+      }
+      break;
+    default:
+      break;
+  }
+  return bits;
+}
+
+/** Regexes for the positive (non-negated) text parts of a query, used to highlight hits. */
+function collectHighlights(node, negated, out) {
+  if (!node) return out;
+  if (node.type === 'not') return collectHighlights(node.child, !negated, out);
+  if (node.type === 'and' || node.type === 'or') {
+    for (const child of node.children) collectHighlights(child, negated, out);
+    return out;
+  }
+  if (negated) return out;
+  if (node.type === 'regex') {
+    out.push(new RegExp(node.re.source, `${node.re.flags}g`));
+  } else if (node.type === 'term' || node.type === 'phrase') {
+    const tokens = tokenizeForSearch(node.value);
+    if (tokens.length === 0) {
+      if (node.value) out.push(new RegExp(escapeRegExp(node.value), 'gi'));
+    } else if (node.type === 'term' && tokens.length === 1) {
+      out.push(new RegExp(`(?<!${WORD_CHAR})${escapeRegExp(tokens[0])}`, 'giu'));
+    } else {
+      out.push(phraseRegExp(tokens, 'giu'));
+    }
+  }
+  return out;
+}
+
+/**
+ * Run a query against a search index.
+ * @param {ReturnType<import('./searchIndex').getSearchIndex>} index
+ * @param {string} query
+ * @returns {{ messages: any[], error: string|null, highlighter: RegExp[]|null, active: boolean }}
+ *   messages in index order; highlighter is passed to splitHighlights; active is false for an empty query
+ */
+export function searchMessages(index, query) {
+  let ast;
+  try {
+    ast = parseSearchQuery(query);
+  } catch (err) {
+    return { messages: [], error: err.message, highlighter: null, active: true };
+  }
+  if (!ast) return { messages: index.messages, error: null, highlighter: null, active: false };
+  const bits = evaluate(index, ast);
+  const messages = [];
+  for (let d = 0; d < bits.length; d++) if (bits[d]) messages.push(index.messages[d]);
+  const highlighter = collectHighlights(ast, false, []);
+  return { messages, error: null, highlighter: highlighter.length ? highlighter : null, active: true };
+}
+
+/**
+ * Split text into plain and highlighted segments for the matches of a query.
+ * @param {string} text
+ * @param {RegExp[]|null} highlighter  from searchMessages
+ * @returns {{ text: string, hit: boolean }[]}
+ */
+export function splitHighlights(text, highlighter) {
+  const str = text == null ? '' : String(text);
+  if (!highlighter?.length || !str) return [{ text: str, hit: false }];
+  const ranges = [];
+  for (const re of highlighter) {
+    re.lastIndex = 0;
+    let match;
+    while ((match = re.exec(str)) !== null) {
+      if (match[0].length === 0) {
+        re.lastIndex++;
+        continue;
+      }
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  if (ranges.length === 0) return [{ text: str, hit: false }];
+  ranges.sort((a, b) => a[0] - b[0]);
+  const segments = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (end <= pos) continue;
+    const from = Math.max(start, pos);
+    if (from > pos) segments.push({ text: str.slice(pos, from), hit: false });
+    segments.push({ text: str.slice(from, end), hit: true });
+    pos = end;
+  }
+  if (pos < str.length) segments.push({ text: str.slice(pos), hit: false });
+  return segments;
+}
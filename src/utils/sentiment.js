@@ -0,0 +1,151 @@
+/**
+ * Offline tone scoring: a lexicon-based sentiment score per message (English words plus emoji and emoticons,
+ * with "not"/"never" flipping and "very"/"really" strengthening the next words), and profanity, question and
+ * shouting flags. Nothing leaves the browser; buildSummary scores every message in the parser worker.
+ */
+
+import { stripMessageMarkup, tokenizeClauses } from './tokenizer.js';
+import { extractEmojis } from './emoji.js';
+import {
+  EMOJI_VALENCE,
+  INTENSIFIERS,
+  NEGATIVE_EMOTICON_RE,
+  NEGATORS,
+  POSITIVE_EMOTICON_RE,
+  PROFANITY,
+  SENTIMENT_WORDS,
+} from './sentimentLexicon.js';
+
+export const SENTIMENTS = [
+  { id: 'positive', label: 'Positive', color: '#23a559' },
+  { id: 'neutral', label: 'Neutral', color: '#99aab5' },
+  { id: 'negative', label: 'Negative', color: '#ed4245' },
+];
+
+/** Words after a negator whose valence is flipped. */
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.75;
+const INTENSIFIER_FACTOR = 1.5;
+const EMOTICON_VALENCE = 2;
+/** |score| at which a message stops counting as neutral. */
+const SENTIMENT_THRESHOLD = 1.5;
+/** A message is shouting when it has at least this many cased letters and nearly all are capitals. */
+const SHOUTING_MIN_LETTERS = 5;
+const SHOUTING_MIN_SHARE = 0.8;
+
+const UPPER_RE = /\p{Lu}/gu;
+const LOWER_RE = /\p{Ll}/gu;
+
+function countMatches(text, re) {
+  re.lastIndex = 0;
+  return text.match(re)?.length ?? 0;
+}
+
+/**
+ * Tone of one message. clauses and emojis can be passed in when the caller already has them.
+ * @param {string} text
+ * @param {string[][]} [clauses]  tokenizeClauses(text)
+ * @param {{ key: string }[]} [emojis]  extractEmojis(text)
+ * @returns {{ score: number, sentiment: 'positive'|'neutral'|'negative', profanity: number, question: boolean, shouting: boolean }}
+ */
+export function scoreTone(text, clauses = tokenizeClauses(text), emojis = extractEmojis(text)) {
+  let score = 0;
+  let profanity = 0;
+  for (const words of clauses) {
+    let negated = 0;
+    let boost = 1;
+    for (const w of words) {
+      if (PROFANITY.has(w)) profanity += 1;
+      if (NEGATORS.has(w)) {
+        negated = NEGATION_SCOPE;
+        continue;
+      }
+      if (INTENSIFIERS.has(w)) {
+        boost = INTENSIFIER_FACTOR;
+        continue;
+      }
+      const valence = SENTIMENT_WORDS.get(w);
+      if (valence) score += valence * boost * (negated > 0 ? NEGATION_FACTOR : 1);
+      boost = 1;
+      if (negated > 0) negated -= 1;
+    }
+  }
+  for (const e of emojis) score += EMOJI_VALENCE.get(e.key) ?? 0;
+
+  const plain = stripMessageMarkup(text);
+  score += EMOTICON_VALENCE * (countMatches(plain, POSITIVE_EMOTICON_RE) - countMatches(plain, NEGATIVE_EMOTICON_RE));
+  const upper = countMatches(plain, UPPER_RE);
+  const lower = countMatches(plain, LOWER_RE);
+
+  score = Math.round(score * 10) / 10;
+  return {
+    score,
+    sentiment: score >= SENTIMENT_THRESHOLD ? 'positive' : score <= -SENTIMENT_THRESHOLD ? 'negative' : 'neutral',
+    profanity,
+    question: plain.includes('?'),
+    shouting: upper >= SHOUTING_MIN_LETTERS && upper / (upper + lower) >= SHOUTING_MIN_SHARE,
+  };
+}
+
+function emptyTally() {
+  return { messages: 0, positive: 0, neutral: 0, negative: 0, profane: 0, questions: 0, shouting: 0, scoreSum: 0 };
+}
+
+function addToTally(t, tone) {
+  t.messages += 1;
+  t[tone.sentiment] += 1;
+  if (tone.profanity) t.profane += 1;
+  if (tone.question) t.questions += 1;
+  if (tone.shouting) t.shouting += 1;
+  t.scoreSum += tone.score;
+}
+
+/** Tally as output: counts plus the average score and the share of each flag (0–1). */
+function finishTally({ scoreSum, ...t }) {
+  const rate = (n) => (t.messages ? Math.round((n / t.messages) * 1000) / 1000 : 0);
+  return {
+    ...t,
+    avgScore: t.messages ? Math.round((scoreSum / t.messages) * 100) / 100 : 0,
+    profanityRate: rate(t.profane),
+    questionRate: rate(t.questions),
+    shoutingRate: rate(t.shouting),
+  };
+}
+
+/**
+ * Tone totals over a whole export, globally, per channel and per month.
+ * add() each message's scoreTone() result with its channel key and day key.
+ */
+export function createToneAccumulator() {
+  const global = emptyTally();
+  const channels = new Map();
+  const months = new Map();
+
+  return {
+    add(tone, channelKey, dayKey) {
+      addToTally(global, tone);
+      if (!channels.has(channelKey)) channels.set(channelKey, emptyTally());
+      addToTally(channels.get(channelKey), tone);
+      if (dayKey) {
+        const monthKey = dayKey.slice(0, 7);
+        if (!months.has(monthKey)) months.set(monthKey, emptyTally());
+        addToTally(months.get(monthKey), tone);
+      }
+    },
+
+    /** @returns {{ stats: { tone: object, toneByMonth: object[] }, byChannel: Map<string, object> }} */
+    finish() {
+      const byChannel = new Map();
+      for (const [key, t] of channels) byChannel.set(key, { tone: finishTally(t) });
+      return {
+        stats: {
+          tone: finishTally(global),
+          toneByMonth: [...months.entries()]
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([month, t]) => ({ month, ...finishTally(t) })),
+        },
+        byChannel,
+      };
+    },
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Word lists for the offline tone scorer (sentiment.js), normalized the way tokenize() emits words: lowercase,
+ * apostrophes removed. Valences run from -3 to +3 in the spirit of AFINN, with chat slang added. English only;
+ * other languages score neutral apart from emoji and emoticons.
+ */
+
+const words = (s) => s.trim().split(/\s+/);
+
+function byValence(groups) {
+  const map = new Map();
+  for (const [valence, list] of Object.entries(groups)) for (const w of words(list)) map.set(w, Number(valence));
+  return map;
+}
+
+export const SENTIMENT_WORDS = byValence({
+  3: `
+    love loved loves loving adore adored amazing awesome excellent fantastic wonderful incredible brilliant perfect
+    outstanding superb beautiful gorgeous best masterpiece thrilled ecstatic delighted overjoyed blessed legendary
+    poggers pog goated
+  `,
+  2: `
+    good great nice happy glad fun funny cool liked likes enjoy enjoyed enjoying excited exciting cute sweet
+    lovely glorious win won winning yay hooray congrats congratulations thanks thank thx ty tysm appreciate
+    appreciated helpful proud hope hopeful yummy delicious tasty gg wp hype hyped fav fave favorite favourite
+    lit dope fire wholesome impressive impressed charming pleased satisfied comfy cozy relaxing relaxed
+    success successful smart clever friendly welcome peaceful fresh stunning
+  `,
+  1: `
+    ok okay fine alright sure yes yeah yep lol lmao lmfao rofl haha hahaha hehe heh xd interesting agree agreed
+    better safe easy ready solid neat decent based chill calm clean free fair useful worth laugh laughing smile
+    smiling heart hug hugs please support supported care caring
+  `,
+  '-1': `
+    meh bored boring tired sleepy weird odd confused confusing unsure doubt hard difficult problem problems issue
+    issues bug bugs broke lost lose losing miss missed sus bruh oof rip cringe slow late wrong mistake
+    sorry unfortunately busy annoyed nervous worried worry
+  `,
+  '-2': `
+    bad sad unhappy upset angry mad hate hated hates dislike disliked ugly gross sucks sucked suck stupid dumb
+    idiot annoying pain painful hurt hurts ill cry crying cried lonely alone fail failed failing failure
+    scared afraid fear terrible worse poor broken ugh smh yikes depressed depressing stress stressed stressful
+    anxious anxiety disappointed disappointing frustrated frustrating fake toxic rude useless waste ruined
+  `,
+  '-3': `
+    awful horrible horrendous worst disgusting disgusted hateful miserable devastated furious pathetic abysmal
+    nightmare kill killed died death trash garbage vile evil cruel despise loathe
+  `,
+});
+
+/** Words that flip the valence of the next few words in the same clause ("not good"). */
+export const NEGATORS = new Set(
+  words(`
+    not no never nothing nobody none neither nor without dont doesnt didnt cant cannot couldnt wont wouldnt
+    shouldnt isnt arent wasnt werent havent hasnt hadnt aint
+  `)
+);
+
+/** Words that strengthen the next word ("really good"). */
+export const INTENSIFIERS = new Set(
+  words(`very really so super extremely incredibly totally absolutely truly too mega hella insanely`)
+);
+
+/** Swear words counted for the profanity rate (not a moderation list; mild ones included). */
+export const PROFANITY = new Set(
+  words(`
+    fuck fucks fucked fucking fuckin fucker fuckers motherfucker motherfuckers fk fking fkn shit shits shitty
+    shitting bullshit damn dammit goddamn goddammit bitch bitches bitching ass asses asshole assholes bastard
+    bastards crap crappy dick dicks dickhead piss pissed cunt cunts wtf stfu fml omfg bloody bollocks wanker
+    arse arsehole jackass dumbass
+  `)
+);
+
+/** Valence of Unicode emoji by key (as extractEmojis() reports them, without variation selectors). */
+export const EMOJI_VALENCE = new Map([
+  ['😍', 3], ['🥰', 3], ['❤', 3], ['💕', 3], ['💖', 3], ['💗', 3], ['🥳', 3], ['🎉', 3], ['😻', 3],
+  ['😀', 2], ['😃', 2], ['😄', 2], ['😁', 2], ['😆', 2], ['😊', 2], ['😂', 2], ['🤣', 2], ['😘', 2], ['👍', 2],
+  ['🙌', 2], ['👏', 2], ['💯', 2], ['🔥', 2], ['😎', 2], ['🤩', 2], ['💙', 2], ['💜', 2], ['💚', 2], ['💛', 2],
+  ['🙂', 1], ['😉', 1], ['😅', 1], ['🙏', 1], ['✨', 1], ['👌', 1], ['😌', 1], ['🤗', 1],
+  ['🙄', -1], ['😕', -1], ['😬', -1], ['😐', -1], ['😑', -1], ['😭', -1],
+  ['😢', -2], ['😞', -2], ['😔', -2], ['😟', -2], ['🙁', -2], ['☹', -2], ['😒', -2], ['😤', -2], ['😠', -2],
+  ['😩', -2], ['😫', -2], ['😱', -2], ['😰', -2], ['👎', -2], ['😿', -2],
+  ['😡', -3], ['🤬', -3], ['💔', -3], ['🤮', -3], ['🤢', -2],
+]);
+
+/** Text emoticons: :) :D ;) <3 xD and :( :'( D: >:( */
+export const POSITIVE_EMOTICON_RE = /(?:^|\s)(?:[:;=]-?[)\]D]|[:;=]-?[pP]|<3|xD|XD)(?=\s|$)/g;
+export const NEGATIVE_EMOTICON_RE = /(?:^|\s)(?:>?[:;=]'?-?[([]|D:|<\/3)(?=\s|$)/g;
@@ -0,0 +1,88 @@
+/**
+ * Stopword lists per language, already normalized the way tokenize() emits words: lowercase, apostrophes
+ * removed ("don't" → "dont", "c'est" → "cest"). Kept short on purpose — only the function words that would
+ * otherwise crowd every top-words list.
+ */
+
+export const STOPWORD_LANGUAGES = [
+  { id: 'en', label: 'English' },
+  { id: 'es', label: 'Spanish' },
+  { id: 'fr', label: 'French' },
+  { id: 'de', label: 'German' },
+  { id: 'pt', label: 'Portuguese' },
+  { id: 'it', label: 'Italian' },
+  { id: 'nl', label: 'Dutch' },
+  { id: 'pl', label: 'Polish' },
+  { id: 'ru', label: 'Russian' },
+  { id: 'tr', label: 'Turkish' },
+  { id: 'ja', label: 'Japanese' },
+  { id: 'zh', label: 'Chinese' },
+];
+
+const words = (s) => s.trim().split(/\s+/);
+
+export const STOPWORDS = {
+  en: words(`
+    the a an and or but in on at to for of with by is it i you we they this that be are was were been have has had
+    do does did will would could should can if as so my me your he she his her its just not no yes oh um uh im dont
+    cant wont thats what when where who how why all each every some any from up out about into over after before
+    between through during above below more most other than then them these those here there our us him their
+    theyre youre ive id ill also too very really get got like am being which whats
+  `),
+  es: words(`
+    de la que el en y a los se del las un por con no una su para es al lo como más mas pero sus le ya o este sí si
+    porque esta entre cuando muy sin sobre también tambien me hasta hay donde quien desde todo nos durante todos uno
+    les ni contra otros ese eso ante ellos e esto mí mi antes algunos qué unos yo otro otras otra él tanto esa
+    estos mucho quienes nada muchos cual poco ella estar estas algunas algo nosotros tu te ti tú pues
+  `),
+  fr: words(`
+    le la les de des du un une et en à a au aux ce ces cet cette il elle ils elles on nous vous je tu me te se
+    mon ma mes ton ta tes son sa ses notre votre leur leurs qui que quoi dont où ou mais donc or ni car ne pas plus
+    par pour sur dans avec sans sous est sont été être avoir ai as avons avez ont fait faire cest jai ça ca y si
+    bien tout tous toute toutes comme quand aussi très tres lui moi toi eux même meme quil quelle quon nest
+  `),
+  de: words(`
+    der die das den dem des ein eine einen einem einer eines und oder aber in im an am auf aus bei mit nach von vom
+    zu zum zur für fur über uber unter vor ich du er sie es wir ihr mich dich sich mir dir uns euch mein dein sein
+    ist sind war waren bin bist hat habe hast haben hatte wird werden wurde nicht kein keine nein ja auch noch schon
+    nur so wie wenn dass daß als was wer wo doch mal man ganz sehr hier da dann denn
+  `),
+  pt: words(`
+    de a o que e do da em um para é com não nao uma os no se na por mais as dos como mas foi ao ele das tem à seu
+    sua ou ser quando muito há nos já ja está esta eu também tambem só so pelo pela até isso ela entre era depois
+    sem mesmo aos ter seus quem nas me esse eles estão você voce vc tinha foram essa num nem suas meu minha te tu
+  `),
+  it: words(`
+    di a da in con su per tra fra il lo la i gli le un uno una e ed o ma che chi cui non più piu come anche se
+    perché perche quando dove io tu lui lei noi voi loro mi ti ci vi si ne del della dei delle al alla ai alle
+    nel nella è sono sei siamo era ho hai ha abbiamo hanno questo questa quello quella cosa tutto molto poi già
+  `),
+  nl: words(`
+    de het een en van ik te dat die in is niet je hij was op aan met als voor zijn er maar om hem dan zou of
+    wat mijn men dit zo door over ze zich bij ook tot ja nee geen kan nog al wel naar heb hebben ben jij we wij
+    haar hun u uw dus nu toch moet wil zal daar hier
+  `),
+  pl: words(`
+    i w na z że ze do nie to jest się sie a o jak ale po co tak od za jestem mnie mi ty ja on ona my wy oni ten ta
+    te tego tej tym być byc był była było bylo są sa czy już juz jeszcze tylko też tez bo by może moze no tu tam
+    go jej ich jego mam ma masz
+  `),
+  ru: words(`
+    и в во не что он на я с со как а то все всё она так его но да ты к у же вы за бы по только ее её мне было
+    вот от меня еще ещё нет о из ему теперь когда даже ну вдруг ли если уже или ни быть был него до вас нибудь
+    опять уж вам ведь там потом себя ничего ей может они тут где есть надо ней для мы тебя их чем была сам это
+  `),
+  tr: words(`
+    ve bir bu da de için ile ne ben sen o biz siz onlar mi mı mu mü ama çok cok daha gibi var yok şu su ki değil
+    degil olan olarak kadar sonra en her ya veya hem bana sana onu beni seni şey sey evet hayır hayir nasıl neden
+  `),
+  ja: words(`
+    の に は を た が で て と し れ さ ある いる も する から な こと い や れる など ない この ため その あっ よう
+    また もの という あり まで られ なる へ か だ これ ず なり ば なく せ だっ できる それ う ので なお のみ でき
+    き つ ます ん です でも たり ね よ わ じゃ って けど ちょっと
+  `),
+  zh: words(`
+    的 了 是 我 你 他 她 它 们 我们 你们 他们 在 有 和 就 不 人 都 一 也 很 到 说 要 去 会 着 没有 看 好 自己 这
+    那 吗 吧 呢 啊 个 这个 那个 什么 还 把 被 让 给 但 但是 因为 所以 如果 可以 没
+  `),
+};
@@ -0,0 +1,157 @@
+/**
+ * Time-series aggregation shared by every time chart: zero-fill a daily series, then regroup it by
+ * ISO week, month, quarter or year, optionally with a trailing rolling average. Works on YYYY-MM-DD day
+ * keys (already bucketed in the data's time zone), so no time zone is involved here.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GRANULARITIES = [
+  { id: 'day', label: 'Day' },
+  { id: 'week', label: 'Week' },
+  { id: 'month', label: 'Month' },
+  { id: 'quarter', label: 'Quarter' },
+  { id: 'year', label: 'Year' },
+];
+
+/** Rolling-average window sizes offered in the UI, in buckets (0 = off). */
+export const ROLLING_WINDOWS = [0, 3, 7, 30];
+
+function dayNumber(dateKey) {
+  const [y, m, d] = String(dateKey).slice(0, 10).split('-').map(Number);
+  return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS);
+}
+
+function dayKeyOf(n) {
+  const d = new Date(n * DAY_MS);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+/** ISO 8601 week of a day key, e.g. 2021-W05 (weeks start Monday; week 1 contains the first Thursday). */
+function isoWeekKey(dateKey) {
+  const n = dayNumber(dateKey);
+  const weekday = (new Date(n * DAY_MS).getUTCDay() + 6) % 7; // Monday = 0
+  const thursday = new Date((n - weekday + 3) * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = 1 + Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / DAY_MS / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Bucket a YYYY-MM-DD key falls into.
+ * @param {string} dateKey
+ * @param {'day'|'week'|'month'|'quarter'|'year'} granularity
+ */
+export function bucketKey(dateKey, granularity) {
+  const key = String(dateKey).slice(0, 10);
+  switch (granularity) {
+    case 'week':
+      return isoWeekKey(key);
+    case 'month':
+      return key.slice(0, 7);
+    case 'quarter':
+      return `${key.slice(0, 4)}-Q${Math.floor((Number(key.slice(5, 7)) - 1) / 3) + 1}`;
+    case 'year':
+      return key.slice(0, 4);
+    default:
+      return key;
+  }
+}
+
+/**
+ * Daily series with every date from the first to the last present, 0 where missing.
+ * @param {{ date: string }[]} entries  rows keyed by YYYY-MM-DD; values are read from `keys`
+ * @param {string[]} [keys]
+ * @returns {{ date: string }[]}
+ */
+export function fillDays(entries, keys = ['count']) {
+  const byDate = new Map();
+  for (const e of entries ?? []) {
+    if (e?.date == null || String(e.date).length < 10) continue;
+    const date = String(e.date).slice(0, 10);
+    const row = byDate.get(date) ?? {};
+    for (const k of keys) row[k] = (row[k] ?? 0) + (Number(e[k]) || 0);
+    byDate.set(date, row);
+  }
+  if (byDate.size === 0) return [];
+  const dates = [...byDate.keys()].sort();
+  const first = dayNumber(dates[0]);
+  const last = dayNumber(dates[dates.length - 1]);
+  const out = [];
+  for (let n = first; n <= last; n++) {
+    const date = dayKeyOf(n);
+    const values = byDate.get(date);
+    const row = { date };
+    for (const k of keys) row[k] = values?.[k] ?? 0;
+    out.push(row);
+  }
+  return out;
+}
+
+/**
+ * Zero-filled series regrouped by granularity, with optional trailing averages.
+ * @param {{ date: string }[]} entries  daily rows (gaps allowed)
+ * @param {{ granularity?: string, keys?: string[], rolling?: number }} [options]
+ * @returns {{ date: string, start: string, end: string }[]}  `date` is the bucket key; with rolling > 0
+ *   each key k also gets kAvg, the mean of the last `rolling` buckets (fewer at the start of the series)
+ */
+export function aggregateSeries(entries, { granularity = 'day', keys = ['count'], rolling = 0 } = {}) {
+  const out = [];
+  for (const day of fillDays(entries, keys)) {
+    const key = bucketKey(day.date, granularity);
+    let row = out[out.length - 1];
+    if (!row || row.date !== key) {
+      row = { date: key, start: day.date, end: day.date };
+      for (const k of keys) row[k] = 0;
+      out.push(row);
+    }
+    row.end = day.date;
+    for (const k of keys) row[k] += day[k];
+  }
+  if (rolling > 1) {
+    for (const k of keys) {
+      let sum = 0;
+      for (let i = 0; i < out.length; i++) {
+        sum += out[i][k];
+        if (i >= rolling) sum -= out[i - rolling][k];
+        out[i][`${k}Avg`] = Math.round((sum / Math.min(i + 1, rolling)) * 10) / 10;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Daily message counts as { date, count } rows, oldest first.
+ * @param {any[]} messages
+ * @param {(ts: any) => string|null} toDayKey  e.g. ts => getLocalDateKey(ts, timeZone)
+ * @param {{ from?: string, to?: string }} [range]  inclusive day keys
+ */
+export function countByDay(messages, toDayKey, range) {
+  const from = range?.from || null;
+  const to = range?.to || null;
+  const counts = new Map();
+  for (const m of messages ?? []) {
+    const key = toDayKey(m?.timestamp);
+    if (!key || (from && key < from) || (to && key > to)) continue;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([date, count]) => ({ date, count }));
+}
+
+/** A readable default granularity for a daily series: one bar per day stops being legible after a few months. */
+export function suggestGranularity(entries) {
+  if (!entries?.length) return 'day';
+  const dates = entries.map((e) => String(e.date).slice(0, 10)).sort();
+  const span = dayNumber(dates[dates.length - 1]) - dayNumber(dates[0]) + 1;
+  if (span <= 120) return 'day';
+  if (span <= 730) return 'week';
+  return 'month';
+}
+
+/** Tooltip label for an aggregated row: the bucket key plus the days it covers. */
+export function bucketLabel(label, payload) {
+  const row = payload?.[0]?.payload;
+  if (!row?.start || row.start === row.end) return label;
+  return `${label} (${row.start} – ${row.end})`;
+}
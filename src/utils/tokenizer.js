@@ -0,0 +1,185 @@
+/**
+ * Word tokenizer for word counts (topWords, per-channel words, Vocabulary). Splits with Intl.Segmenter so
+ * punctuation never sticks to words and CJK text is broken into words instead of one long run; URLs,
+ * mentions, custom emoji and code are removed first. Stopwords come from per-language lists, either picked
+ * in settings or detected from the messages, plus a custom list.
+ */
+
+import { STOPWORDS, STOPWORD_LANGUAGES } from './stopwords.js';
+
+const CODE_BLOCK_RE = /```[\s\S]*?```/g;
+const INLINE_CODE_RE = /`[^`\n]+`/g;
+const URL_RE = /\b(?:https?:\/\/|www\.)\S+/gi;
+const MENTION_RE = /<(?:@[!&]?|#)\d+>|@(?:everyone|here)\b/g;
+const EMOJI_RE = /<a?:[\w~]+:\d+>|:[\w~]+:/g;
+const APOSTROPHE_RE = /['’]/g;
+const HAS_LETTER_RE = /\p{L}/u;
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const FALLBACK_WORD_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}_'’]+/gu;
+const CLAUSE_BREAK_RE = /[.!?,;:()[\]{}"“”«»…。！？、，\n]+|\s[-–—]+\s/;
+
+/** Messages sampled for language detection (spread over the whole export). */
+const DETECT_SAMPLE = 20000;
+/** A language is used when its stopword hits reach this share of the best language's hits (and a few at least). */
+const DETECT_MIN_SHARE = 0.15;
+const DETECT_MIN_HITS = 3;
+const DETECT_MAX_LANGUAGES = 4;
+
+export const DEFAULT_STOPWORD_SETTINGS = { languages: 'auto', custom: [] };
+
+let segmenter;
+function getSegmenter() {
+  if (segmenter === undefined) {
+    segmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+  }
+  return segmenter;
+}
+
+/** Message text without code blocks, inline code and URLs (each replaced by a line break). */
+export function stripCodeAndUrls(text) {
+  return String(text ?? '')
+    .replace(CODE_BLOCK_RE, '\n')
+    .replace(INLINE_CODE_RE, '\n')
+    .replace(URL_RE, '\n');
+}
+
+/** Message text without code, URLs, mentions and emoji markup (each replaced by a line break). */
+export function stripMessageMarkup(text) {
+  return stripCodeAndUrls(text)
+    .replace(MENTION_RE, '\n')
+    .replace(EMOJI_RE, '\n');
+}
+
+function normalizeWord(raw) {
+  const w = raw.toLowerCase().replace(APOSTROPHE_RE, '');
+  if (!HAS_LETTER_RE.test(w)) return null;
+  if (w.length < 2 && !CJK_RE.test(w)) return null;
+  return w;
+}
+
+function segmentWords(clean) {
+  const out = [];
+  const seg = getSegmenter();
+  if (seg) {
+    for (const { segment, isWordLike } of seg.segment(clean)) {
+      if (!isWordLike) continue;
+      const w = normalizeWord(segment);
+      if (w) out.push(w);
+    }
+  } else {
+    for (const raw of clean.match(FALLBACK_WORD_RE) ?? []) {
+      const w = normalizeWord(raw);
+      if (w) out.push(w);
+    }
+  }
+  return out;
+}
+
+/**
+ * Words of a message, lowercased with apostrophes removed; numbers and single Latin letters are dropped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return segmentWords(stripMessageMarkup(text));
+}
+
+/**
+ * Words of a message split into clauses at punctuation, line breaks and removed markup, so phrases
+ * can be counted without running across sentences.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function tokenizeClauses(text) {
+  if (!text) return [];
+  const out = [];
+  for (const part of stripMessageMarkup(text).split(CLAUSE_BREAK_RE)) {
+    const words = segmentWords(part);
+    if (words.length) out.push(words);
+  }
+  return out;
+}
+
+/**
+ * Languages whose stopwords show up in the messages, most frequent first (English when nothing matches).
+ * @param {any[]} messages
+ * @returns {string[]}
+ */
+export function detectLanguages(messages) {
+  const list = messages ?? [];
+  const step = Math.max(1, Math.floor(list.length / DETECT_SAMPLE));
+  const lookup = new Map();
+  for (const { id } of STOPWORD_LANGUAGES) {
+    for (const w of STOPWORDS[id]) {
+      if (!lookup.has(w)) lookup.set(w, []);
+      lookup.get(w).push(id);
+    }
+  }
+  const hits = new Map();
+  for (let i = 0; i < list.length; i += step) {
+    for (const w of tokenize(list[i]?.contents)) {
+      // Words shared by several languages ("de", "a", "in") count for each of them only in part.
+      const langs = lookup.get(w);
+      if (!langs) continue;
+      for (const lang of langs) hits.set(lang, (hits.get(lang) || 0) + 1 / langs.length);
+    }
+  }
+  const ranked = [...hits.entries()].sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) return ['en'];
+  const min = ranked[0][1] * DETECT_MIN_SHARE;
+  return ranked
+    .filter(([, n], i) => i === 0 || (n >= min && n >= DETECT_MIN_HITS))
+    .slice(0, DETECT_MAX_LANGUAGES)
+    .map(([lang]) => lang);
+}
+
+/** Custom stopwords from free text (commas, spaces or new lines), normalized like tokenize() output. */
+export function parseCustomStopwords(text) {
+  const seen = new Set();
+  for (const raw of String(text ?? '').split(/[\s,;]+/)) {
+    const w = raw.trim().toLowerCase().replace(APOSTROPHE_RE, '');
+    if (w) seen.add(w);
+  }
+  return [...seen];
+}
+
+/**
+ * Stopword settings as they take effect: unknown language ids dropped ('auto' if none is left), custom words
+ * normalized.
+ * @param {{ languages?: 'auto'|string[], custom?: string[] }} [settings]
+ * @returns {{ languages: 'auto'|string[], custom: string[] }}
+ */
+export function normalizeStopwordSettings(settings) {
+  const known = Array.isArray(settings?.languages) ? settings.languages.filter((l) => STOPWORDS[l]) : [];
+  return {
+    languages: known.length ? known : 'auto',
+    custom: parseCustomStopwords((settings?.custom ?? []).join(' ')),
+  };
+}
+
+/**
+ * Resolve stopword settings against the messages.
+ * @param {{ languages?: 'auto'|string[], custom?: string[] }} [settings]
+ * @param {any[]} messages  used for detection when languages is 'auto'
+ * @returns {{ languages: 'auto'|string[], custom: string[], resolved: string[], set: Set<string> }}
+ */
+export function resolveStopwords(settings, messages) {
+  const { languages, custom } = normalizeStopwordSettings(settings);
+  const resolved = languages === 'auto' ? detectLanguages(messages) : languages;
+  const set = new Set(custom);
+  for (const lang of resolved) for (const w of STOPWORDS[lang] ?? []) set.add(w);
+  return { languages, custom, resolved, set };
+}
+
+/**
+ * True when two stopword settings would produce the same word counts: compared as normalizeStopwordSettings
+ * resolves them, ignoring order.
+ */
+export function sameStopwordSettings(a, b) {
+  const key = (s) => {
+    const { languages, custom } = normalizeStopwordSettings(s);
+    return `${languages === 'auto' ? 'auto' : [...languages].sort().join(',')}|${[...custom].sort().join(' ')}`;
+  };
+  return key(a) === key(b);
+}
@@ -0,0 +1,81 @@
+/**
+ * How vocabulary develops over an export: per month the words written, distinct words (type-token ratio),
+ * words used for the very first time and average message length, plus per year the words you started using
+ * then. Fed the same tokenizer output as the word counts in buildSummary.
+ */
+
+/** A word needs this many uses in total before it is listed as one you started using. */
+const MIN_NEW_WORD_USES = 3;
+const NEW_WORDS_PER_YEAR = 60;
+
+export function createVocabularyAccumulator() {
+  const months = new Map();
+  const firstUse = new Map();
+
+  return {
+    /**
+     * @param {string[]} words  tokenize() output for one message
+     * @param {string|null} dayKey  YYYY-MM-DD in the summary time zone; messages without one are ignored
+     */
+    add(words, dayKey) {
+      if (!dayKey) return;
+      const monthKey = dayKey.slice(0, 7);
+      let month = months.get(monthKey);
+      if (!month) {
+        month = { messages: 0, words: 0, types: new Set() };
+        months.set(monthKey, month);
+      }
+      month.messages += 1;
+      month.words += words.length;
+      for (const w of words) {
+        month.types.add(w);
+        const seen = firstUse.get(w);
+        if (!seen) firstUse.set(w, { first: dayKey, count: 1 });
+        else {
+          seen.count += 1;
+          if (dayKey < seen.first) seen.first = dayKey;
+        }
+      }
+    },
+
+    /**
+     * @param {Set<string>} stopwords  left out of the new-words lists (still counted in the monthly figures)
+     * @returns {{ vocabularyByMonth: object[], newWordsByYear: Record<string, object[]> }}
+     *   vocabularyByMonth rows are { month, messages, words, distinctWords, ttr, newWords, avgWordsPerMessage }
+     *   with month as YYYY-MM; newWordsByYear maps YYYY to { word, count, firstUsed }, most used first
+     */
+    finish(stopwords) {
+      const newByMonth = new Map();
+      const byYear = new Map();
+      for (const [word, { first, count }] of firstUse) {
+        const monthKey = first.slice(0, 7);
+        newByMonth.set(monthKey, (newByMonth.get(monthKey) || 0) + 1);
+        if (count < MIN_NEW_WORD_USES || stopwords?.has(word)) continue;
+        const year = first.slice(0, 4);
+        if (!byYear.has(year)) byYear.set(year, []);
+        byYear.get(year).push({ word, count, firstUsed: first });
+      }
+
+      const vocabularyByMonth = [...months.entries()]
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([month, m]) => ({
+          month,
+          messages: m.messages,
+          words: m.words,
+          distinctWords: m.types.size,
+          ttr: m.words ? Math.round((m.types.size / m.words) * 1000) / 1000 : 0,
+          newWords: newByMonth.get(month) || 0,
+          avgWordsPerMessage: m.messages ? Math.round((m.words / m.messages) * 10) / 10 : 0,
+        }));
+
+      const newWordsByYear = {};
+      for (const year of [...byYear.keys()].sort()) {
+        newWordsByYear[year] = byYear
+          .get(year)
+          .sort((a, b) => b.count - a.count || a.firstUsed.localeCompare(b.firstUsed))
+          .slice(0, NEW_WORDS_PER_YEAR);
+      }
+      return { vocabularyByMonth, newWordsByYear };
+    },
+  };
+}
@@ -1,18 +1,68 @@
-import React from 'react';
-import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import React, { useDeferredValue, useMemo, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Brush } from 'recharts';
+import { formatInTimeZone } from '../utils/dateUtils';
+import { emptyHourWeekdayGrid, addToHourWeekdayGrid, sumHourWeekdayGrids, isDirectMessage } from '../utils/channelStats';
+import Heatmap, { findPeakCell } from '../components/Heatmap';
 import './Activity.css';
 
 const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 const HOUR_LABELS = Array.from({ length: 24 }, (_, i) => `${i}:00`);
+const MAX_CHANNEL_OPTIONS = 200;
+
+/** Channels covered by a heatmap scope: 'all' | 'dms' | 'servers' | 'g:<guildId>' | 'c:<channelId>'. */
+function channelsInScope(byChannel, scope) {
+  if (scope === 'dms') return byChannel.filter(isDirectMessage);
+  if (scope === 'servers') return byChannel.filter((ch) => !isDirectMessage(ch));
+  if (scope.startsWith('g:')) return byChannel.filter((ch) => String(ch.guildId) === scope.slice(2));
+  if (scope.startsWith('c:')) return byChannel.filter((ch) => String(ch.channelId) === scope.slice(2));
+  return byChannel;
+}
+
+/** Whole-export grid for a scope from the summary matrices (recomputed from messages for older cached exports). */
+function fullGrid(stats, scope, channels, timeZone) {
+  if (scope === 'all' && stats.hourWeekday) return stats.hourWeekday;
+  if (scope.startsWith('g:')) {
+    const guild = (stats.byGuild ?? []).find((g) => String(g.guildId) === scope.slice(2));
+    if (guild?.hourWeekday) return guild.hourWeekday;
+  }
+  if (channels.every((ch) => ch.hourWeekday)) return sumHourWeekdayGrids(channels.map((ch) => ch.hourWeekday));
+  const grid = emptyHourWeekdayGrid();
+  for (const ch of channels) addToHourWeekdayGrid(grid, ch.messages, timeZone);
+  return grid;
+}
 
 export default function Activity({ data }) {
+  const [scope, setScope] = useState('all');
+  const [brush, setBrush] = useState(null);
+  const deferredBrush = useDeferredValue(brush);
+
+  const byDay = data?.stats?.byDay ?? [];
+  const range = useMemo(() => {
+    if (!deferredBrush || byDay.length === 0) return null;
+    const { startIndex, endIndex } = deferredBrush;
+    if (startIndex <= 0 && endIndex >= byDay.length - 1) return null;
+    return { from: byDay[startIndex]?.date, to: byDay[endIndex]?.date };
+  }, [deferredBrush, byDay]);
+
+  const grid = useMemo(() => {
+    if (!data?.stats) return emptyHourWeekdayGrid();
+    const channels = channelsInScope(data.stats.byChannel ?? [], scope);
+    if (!range) return fullGrid(data.stats, scope, channels, data.timeZone);
+    const out = emptyHourWeekdayGrid();
+    for (const ch of channels) addToHourWeekdayGrid(out, ch.messages, data.timeZone, range);
+    return out;
+  }, [data, scope, range]);
+  const peak = useMemo(() => findPeakCell(grid), [grid]);
+
   if (!data?.stats) return <div className="panel">No data loaded.</div>;
 
   const s = data.stats;
   const byHour = s.byHour ?? [];
   const byDayOfWeek = (s.byDayOfWeek ?? []).map((d) => ({ ...d, name: DAY_NAMES[d.day] ?? d.day }));
-  const first = s.firstMessageAt ? new Date(s.firstMessageAt).toLocaleString() : '—';
-  const last = s.lastMessageAt ? new Date(s.lastMessageAt).toLocaleString() : '—';
+  const first = s.firstMessageAt ? formatInTimeZone(s.firstMessageAt, data.timeZone) : '—';
+  const last = s.lastMessageAt ? formatInTimeZone(s.lastMessageAt, data.timeZone) : '—';
+  const guilds = s.byGuild ?? [];
+  const channels = (s.byChannel ?? []).slice(0, MAX_CHANNEL_OPTIONS);
 
   const maxHour = Math.max(1, ...byHour.map((x) => x.count));
 
@@ -28,6 +78,69 @@ export default function Activity({ data }) {
           Last: <strong>{last}</strong>
         </p>
       </div>
+      <div className="panel">
+        <h3 className="panel-title">When you write (hour × day of week)</h3>
+        <div className="activity-heatmap-controls">
+          <select className="activity-scope-select" value={scope} onChange={(e) => setScope(e.target.value)} aria-label="Messages to include">
+            <option value="all">All messages</option>
+            <option value="dms">All direct messages</option>
+            <option value="servers">All servers</option>
+            {guilds.length > 0 && (
+              <optgroup label="Server">
+                {guilds.map((g) => (
+                  <option key={g.guildId} value={`g:${g.guildId}`}>{g.guildName ?? g.guildId}</option>
+                ))}
+              </optgroup>
+            )}
+            {channels.length > 0 && (
+              <optgroup label="Channel / DM">
+                {channels.map((ch) => (
+                  <option key={ch.channelId} value={`c:${ch.channelId}`}>
+                    {ch.channelName ?? ch.channelId}{ch.guildName ? ` (${ch.guildName})` : ''}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <span className="activity-range-label">
+            {range ? `${range.from} – ${range.to}` : 'Whole export'}
+            {brush && (
+              <button type="button" className="activity-range-reset" onClick={() => setBrush(null)}>
+                Reset range
+              </button>
+            )}
+          </span>
+        </div>
+        <p className="activity-range">
+          {peak
+            ? <>Busiest slot: <strong>{peak.dayName}s around {peak.hour}:00</strong> ({peak.count.toLocaleString()} messages)</>
+            : 'No messages in this selection.'}
+        </p>
+        <Heatmap grid={grid} />
+        {byDay.length > 1 && (
+          <div className="chart-container activity-brush">
+            <ResponsiveContainer width="100%" height={110}>
+              <BarChart data={byDay} margin={{ top: 8, right: 8, left: 0, bottom: 0 }}>
+                <XAxis dataKey="date" hide />
+                <YAxis hide />
+                <Bar dataKey="count" fill="var(--accent)" isAnimationActive={false} />
+                <Brush
+                  key={brush ? 'brushed' : 'reset'}
+                  dataKey="date"
+                  height={24}
+                  stroke="var(--accent)"
+                  fill="var(--bg-tertiary)"
+                  travellerWidth={8}
+                  startIndex={brush?.startIndex}
+                  endIndex={brush?.endIndex}
+                  onChange={({ startIndex, endIndex }) => setBrush({ startIndex, endIndex })}
+                />
+              </BarChart>
+            </ResponsiveContainer>
+            <p className="activity-empty">Drag the handles under the chart to limit the heatmap to a date range.</p>
+          </div>
+        )}
+      </div>
       <div className="panel">
         <h3 className="panel-title">Active hours (messages by hour of day)</h3>
         <div className="heatmap-wrap">
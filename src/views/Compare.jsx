@@ -0,0 +1,296 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from 'recharts';
+import { parseInWorker } from '../parser/parseInWorker';
+import { listExports, loadExport, formatBytes } from '../utils/exportCache';
+import { compareExports } from '../utils/compareExports';
+import { DEFAULT_TIME_ZONE, formatInTimeZone } from '../utils/dateUtils';
+import { aggregateSeries, suggestGranularity, bucketLabel } from '../utils/timeSeries';
+import AggregationControl from '../components/AggregationControl';
+import './Messages.css';
+import './Compare.css';
+
+const MAX_ONLY_MESSAGES = 100;
+
+function channelLabel(ch) {
+  const name = ch.channelName ?? ch.channelId ?? '—';
+  return ch.guildName ? `${name} (${ch.guildName})` : name;
+}
+
+function formatDelta(n) {
+  return `${n > 0 ? '+' : ''}${n.toLocaleString()}`;
+}
+
+function OnlyInList({ title, messages, timeZone }) {
+  return (
+    <div className="compare-only">
+      <h4 className="compare-only-title">
+        {title} <span className="compare-muted">({messages.length.toLocaleString()})</span>
+      </h4>
+      {messages.length === 0 ? (
+        <p className="compare-muted">None.</p>
+      ) : (
+        <ul className="compare-only-list">
+          {messages.slice(0, MAX_ONLY_MESSAGES).map((m, i) => (
+            <li key={`${m.id}-${i}`} className="compare-only-item">
+              <span className="compare-only-text">{m.contents ? String(m.contents).slice(0, 120) : '(no text)'}</span>
+              <span className="compare-muted">
+                {channelLabel(m)} · {m.timestamp ? formatInTimeZone(m.timestamp, timeZone, { dateStyle: 'medium' }) : '—'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {messages.length > MAX_ONLY_MESSAGES && (
+        <p className="compare-muted">Showing the newest {MAX_ONLY_MESSAGES} of {messages.length.toLocaleString()}.</p>
+      )}
+    </div>
+  );
+}
+
+export default function Compare({ data }) {
+  const timeZone = data?.timeZone ?? DEFAULT_TIME_ZONE;
+  const [other, setOther] = useState(null);
+  const [otherName, setOtherName] = useState('');
+  const [recent, setRecent] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [progressMessage, setProgressMessage] = useState('');
+  const [error, setError] = useState(null);
+  const [aggregation, setAggregation] = useState(null);
+  const fileInputRef = useRef(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    listExports().then(setRecent).catch(() => setRecent([]));
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const finishLoad = useCallback((result, name) => {
+    setLoading(false);
+    if (!result?.stats) {
+      setError('That export has no message data to compare.');
+      return;
+    }
+    setOther(result);
+    setOtherName(name);
+  }, []);
+
+  const onSelectZip = useCallback(
+    async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (!file) return;
+      abortRef.current?.abort();
+      abortRef.current = new AbortController();
+      setError(null);
+      setLoading(true);
+      setProgress(0);
+      try {
+        const result = await parseInWorker(
+          { type: 'zip', file, options: { timeZone } },
+          {
+            signal: abortRef.current.signal,
+            onProgress: (p, msg) => {
+              setProgress(p);
+              setProgressMessage(msg || '');
+            },
+          }
+        );
+        finishLoad(result, file.name);
+      } catch (err) {
+        setLoading(false);
+        if (err?.name !== 'AbortError') setError(err?.message || 'Could not parse that export.');
+      }
+    },
+    [finishLoad, timeZone]
+  );
+
+  const onPickRecent = useCallback(
+    async (r) => {
+      setError(null);
+      setLoading(true);
+      setProgress(0);
+      setProgressMessage('Opening saved export…');
+      try {
+        let saved = await loadExport(r.id, {
+          rebuild: (stale) => parseInWorker({ type: 'summarize', data: stale, options: { timeZone } }),
+        });
+        // Both sides must be bucketed in the same zone for the daily series to line up.
+        if (saved?.stats && (saved.timeZone ?? DEFAULT_TIME_ZONE) !== timeZone) {
+          saved = await parseInWorker({ type: 'summarize', data: saved, options: { timeZone } });
+        }
+        finishLoad(saved, r.name);
+      } catch (err) {
+        setLoading(false);
+        setError(err?.message || 'Could not open that saved export.');
+      }
+    },
+    [finishLoad, timeZone]
+  );
+
+  const diff = useMemo(() => (data?.stats && other ? compareExports(data, other) : null), [data, other]);
+  const granularity = aggregation?.granularity ?? suggestGranularity(diff?.byDay);
+  const rolling = aggregation?.rolling ?? 0;
+  const byPeriod = useMemo(
+    () => aggregateSeries(diff?.byDay ?? [], { granularity, rolling, keys: ['base', 'other'] }),
+    [diff, granularity, rolling]
+  );
+
+  if (!data?.stats) return <div className="panel">No data loaded.</div>;
+
+  return (
+    <div className="compare-view">
+      <h2 className="view-heading">Compare exports</h2>
+      <div className="panel">
+        <h3 className="panel-title">Export to compare against</h3>
+        <p className="compare-muted">
+          Pick another Discord package (e.g. an older or newer request) to see what changed compared to the one loaded now.
+        </p>
+        <div className="compare-pickers">
+          <input ref={fileInputRef} type="file" accept=".zip" onChange={onSelectZip} className="compare-file-input" />
+          <button type="button" className="btn-primary" onClick={() => fileInputRef.current?.click()} disabled={loading}>
+            Choose ZIP file
+          </button>
+          {recent.length > 0 && (
+            <select
+              className="compare-select"
+              value=""
+              onChange={(e) => {
+                const r = recent.find((x) => x.id === e.target.value);
+                if (r) onPickRecent(r);
+              }}
+              disabled={loading}
+              aria-label="Compare with a saved export"
+            >
+              <option value="">…or a saved export</option>
+              {recent.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {r.name} — {(r.messageCount ?? 0).toLocaleString()} messages, {formatBytes(r.size)}, {new Date(r.loadedAt).toLocaleDateString()}
+                </option>
+              ))}
+            </select>
+          )}
+          {loading && (
+            <button type="button" className="messages-clear-dates-btn" onClick={() => { abortRef.current?.abort(); setLoading(false); }}>
+              Cancel
+            </button>
+          )}
+        </div>
+        {loading && (
+          <p className="compare-muted">
+            {progressMessage || 'Loading…'} {Math.round(progress)}%
+          </p>
+        )}
+        {error && <p className="compare-error">{error}</p>}
+        {other && !loading && <p className="compare-muted">Comparing with <strong>{otherName}</strong>.</p>}
+      </div>
+
+      {diff && (
+        <>
+          <div className="panel">
+            <h3 className="panel-title">Summary</h3>
+            <ul className="messages-summary-list">
+              <li>Messages: <strong>{diff.totals.base.toLocaleString()}</strong> → <strong>{diff.totals.other.toLocaleString()}</strong> ({formatDelta(diff.totals.delta)})</li>
+              <li>Channels: <strong>{diff.channels.added.length}</strong> new, <strong>{diff.channels.removed.length}</strong> missing, <strong>{diff.channels.changed.length}</strong> with a different message count</li>
+              <li>Servers: <strong>{diff.guilds.added.length}</strong> new, <strong>{diff.guilds.removed.length}</strong> missing</li>
+              <li>Messages only in the loaded export: <strong>{diff.onlyInBase.length.toLocaleString()}</strong>; only in {otherName}: <strong>{diff.onlyInOther.length.toLocaleString()}</strong></li>
+            </ul>
+          </div>
+
+          {byPeriod.length > 0 && (
+            <div className="panel">
+              <h3 className="panel-title">Messages over time (both exports)</h3>
+              <AggregationControl granularity={granularity} rolling={rolling} onChange={setAggregation} />
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={280}>
+                  <LineChart data={byPeriod} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                    <XAxis dataKey="date" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                    <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                    <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 }} labelFormatter={bucketLabel} />
+                    <Legend />
+                    <Line type="monotone" dataKey={rolling > 0 ? 'baseAvg' : 'base'} name="Loaded export" stroke="#5865f2" strokeWidth={2} dot={false} />
+                    <Line type="monotone" dataKey={rolling > 0 ? 'otherAvg' : 'other'} name={otherName || 'Other export'} stroke="#e6c04a" strokeWidth={2} dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+
+          <div className="panel">
+            <h3 className="panel-title">Channel changes</h3>
+            <div className="table-wrap">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Channel</th>
+                    <th>Change</th>
+                    <th>Loaded</th>
+                    <th>{otherName || 'Other'}</th>
+                    <th>Delta</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.channels.added.map((ch) => (
+                    <tr key={`added-${ch.channelId}`}>
+                      <td>{channelLabel(ch)}</td>
+                      <td className="compare-added">New</td>
+                      <td>—</td>
+                      <td>{(ch.count ?? 0).toLocaleString()}</td>
+                      <td className="compare-added">{formatDelta(ch.count ?? 0)}</td>
+                    </tr>
+                  ))}
+                  {diff.channels.removed.map((ch) => (
+                    <tr key={`removed-${ch.channelId}`}>
+                      <td>{channelLabel(ch)}</td>
+                      <td className="compare-removed">Missing</td>
+                      <td>{(ch.count ?? 0).toLocaleString()}</td>
+                      <td>—</td>
+                      <td className="compare-removed">{formatDelta(-(ch.count ?? 0))}</td>
+                    </tr>
+                  ))}
+                  {diff.channels.changed.slice(0, 100).map(({ base, before, after, delta }) => (
+                    <tr key={`changed-${base.channelId}`}>
+                      <td>{channelLabel(base)}</td>
+                      <td>Changed</td>
+                      <td>{before.toLocaleString()}</td>
+                      <td>{after.toLocaleString()}</td>
+                      <td className={delta > 0 ? 'compare-added' : 'compare-removed'}>{formatDelta(delta)}</td>
+                    </tr>
+                  ))}
+                  {diff.channels.added.length + diff.channels.removed.length + diff.channels.changed.length === 0 && (
+                    <tr>
+                      <td colSpan={5} className="compare-muted">Every channel has the same message count in both exports.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {(diff.guilds.added.length > 0 || diff.guilds.removed.length > 0) && (
+            <div className="panel">
+              <h3 className="panel-title">Server changes</h3>
+              <ul className="compare-guild-list">
+                {diff.guilds.added.map((g) => (
+                  <li key={`added-${g.guildId}`}><span className="compare-added">New</span> {g.guildName ?? g.guildId} ({(g.count ?? 0).toLocaleString()} messages)</li>
+                ))}
+                {diff.guilds.removed.map((g) => (
+                  <li key={`removed-${g.guildId}`}><span className="compare-removed">Missing</span> {g.guildName ?? g.guildId} ({(g.count ?? 0).toLocaleString()} messages)</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="panel">
+            <h3 className="panel-title">Messages present in only one export</h3>
+            <div className="compare-only-grid">
+              <OnlyInList title="Only in the loaded export" messages={diff.onlyInBase} timeZone={data.timeZone} />
+              <OnlyInList title={`Only in ${otherName || 'the other export'}`} messages={diff.onlyInOther} timeZone={data.timeZone} />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
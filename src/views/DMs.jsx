@@ -1,11 +1,41 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { formatInTimeZone } from '../utils/dateUtils';
+import { summarizeConversation, isDirectMessage } from '../utils/channelStats';
+import { emojiLabel, normalizeEmojiEntry } from '../utils/emoji';
+import EmojiIcon from '../components/EmojiIcon';
 import './DMs.css';
 
-export default function DMs({ data }) {
+const TOOLTIP_STYLE = { background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 };
+
+function formatDay(ts, timeZone) {
+  return ts ? formatInTimeZone(ts, timeZone, { dateStyle: 'medium' }) : '—';
+}
+
+function formatGap(minutes) {
+  if (minutes == null) return '—';
+  if (minutes < 1) return `${Math.round(minutes * 60)} s`;
+  if (minutes < 60) return `${Math.round(minutes * 10) / 10} min`;
+  return `${Math.round((minutes / 60) * 10) / 10} h`;
+}
+
+export default function DMs({ data, onNavigate }) {
+  const [selectedId, setSelectedId] = useState(null);
+
+  const dms = useMemo(
+    () =>
+      (data?.stats?.byChannel ?? [])
+        .filter(isDirectMessage)
+        .map((ch) => ({ ...ch, summary: summarizeConversation(ch.messages, data?.timeZone) }))
+        .sort((a, b) => (b.count ?? 0) - (a.count ?? 0)),
+    [data]
+  );
+  const allDms = useMemo(() => summarizeConversation(dms.flatMap((ch) => ch.messages ?? []), data?.timeZone), [dms, data?.timeZone]);
+
   if (!data?.stats) return <div className="panel">No data loaded.</div>;
 
-  const byChannel = data.stats.byChannel ?? [];
-  const dms = byChannel.filter((ch) => !ch.guildId || ch.guildName === 'Direct Message');
+  const selected = dms.find((ch) => ch.channelId === selectedId) ?? dms[0] ?? null;
+  const totalMessages = dms.reduce((sum, c) => sum + (c.count ?? 0), 0);
 
   return (
     <div className="dms-view">
@@ -16,11 +46,83 @@ export default function DMs({ data }) {
           <strong>{dms.length}</strong> DM / group conversation(s) with message data
         </p>
         <p className="dms-total">
-          Total messages in DMs: <strong>{dms.reduce((sum, c) => sum + (c.count ?? 0), 0).toLocaleString()}</strong>
+          Total messages in DMs: <strong>{totalMessages.toLocaleString()}</strong>
+          {data.stats.totalMessages > 0 && ` (${Math.round((totalMessages / data.stats.totalMessages) * 100)}% of all your messages)`}
         </p>
+        {allDms.count > 0 && (
+          <p className="dms-total">
+            First DM: <strong>{formatDay(allDms.firstAt, data.timeZone)}</strong> · Last DM: <strong>{formatDay(allDms.lastAt, data.timeZone)}</strong>
+          </p>
+        )}
+        {allDms.byMonth.length > 1 && (
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height={200}>
+              <BarChart data={allDms.byMonth} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis dataKey="month" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} />
+                <Bar dataKey="count" name="DM messages" fill="#5865f2" radius={[3, 3, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
       </div>
+
+      {selected && (
+        <div className="panel">
+          <h3 className="panel-title">{selected.channelName ?? selected.channelId ?? 'Conversation'}</h3>
+          <ul className="dms-facts">
+            <li>Messages: <strong>{selected.summary.count.toLocaleString()}</strong></li>
+            <li>First message: <strong>{formatInTimeZone(selected.summary.firstAt, data.timeZone)}</strong></li>
+            <li>Last message: <strong>{formatInTimeZone(selected.summary.lastAt, data.timeZone)}</strong></li>
+            <li>Days with messages: <strong>{selected.summary.activeDays.toLocaleString()}</strong></li>
+            <li>
+              Conversations: <strong>{selected.summary.sessions.toLocaleString()}</strong> (about {selected.summary.avgPerSession} messages each,
+              longest {selected.summary.longestSession.toLocaleString()})
+            </li>
+            <li title="Your package only holds your own messages, so this is not how fast you reply.">
+              Median time between your messages in a conversation: <strong>{formatGap(selected.summary.medianGapMinutes)}</strong>
+            </li>
+            {selected.topEmojis?.length > 0 && (
+              <li>
+                Favourite emoji:{' '}
+                {selected.topEmojis.slice(0, 5).map(normalizeEmojiEntry).map((e) => (
+                  <span key={e.key} className="dms-emoji" title={`${emojiLabel(e)} × ${e.count}`}>
+                    <EmojiIcon emoji={e} size={20} /> <small>×{e.count}</small>
+                  </span>
+                ))}
+              </li>
+            )}
+          </ul>
+          {onNavigate && (
+            <button
+              type="button"
+              className="sidebar-btn dms-open-btn"
+              onClick={() => onNavigate('transcript', { channelId: selected.channelId })}
+            >
+              Read this conversation →
+            </button>
+          )}
+          {selected.summary.byMonth.length > 0 && (
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height={220}>
+                <BarChart data={selected.summary.byMonth} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                  <XAxis dataKey="month" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                  <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                  <Tooltip contentStyle={TOOLTIP_STYLE} />
+                  <Bar dataKey="count" name="Messages" fill="#eb459e" radius={[3, 3, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="panel">
         <h3 className="panel-title">Top people / groups (by message count)</h3>
+        <p className="dms-hint">Click a row to see its history above. A conversation ends after 30 minutes without a message from you.</p>
         <div className="table-wrap">
           <table className="data-table">
             <thead>
@@ -28,26 +130,33 @@ export default function DMs({ data }) {
                 <th>#</th>
                 <th>Channel / DM</th>
                 <th>Messages</th>
+                <th>First</th>
+                <th>Last</th>
+                <th>Active days</th>
               </tr>
             </thead>
             <tbody>
               {dms.length === 0 ? (
                 <tr>
-                  <td colSpan={3} className="dms-empty">
+                  <td colSpan={6} className="dms-empty">
                     No DM data in this export, or DMs are grouped under server names.
                   </td>
                 </tr>
               ) : (
-                dms
-                  .sort((a, b) => (b.count ?? 0) - (a.count ?? 0))
-                  .slice(0, 50)
-                  .map((ch, i) => (
-                    <tr key={ch.channelId ?? i}>
-                      <td>{i + 1}</td>
-                      <td>{ch.channelName ?? ch.channelId ?? '—'}</td>
-                      <td>{ch.count?.toLocaleString() ?? 0}</td>
-                    </tr>
-                  ))
+                dms.slice(0, 100).map((ch, i) => (
+                  <tr
+                    key={ch.channelId ?? i}
+                    className={`dms-row ${selected?.channelId === ch.channelId ? 'dms-row-selected' : ''}`}
+                    onClick={() => setSelectedId(ch.channelId)}
+                  >
+                    <td>{i + 1}</td>
+                    <td>{ch.channelName ?? ch.channelId ?? '—'}</td>
+                    <td>{ch.count?.toLocaleString() ?? 0}</td>
+                    <td>{formatDay(ch.summary.firstAt, data.timeZone)}</td>
+                    <td>{formatDay(ch.summary.lastAt, data.timeZone)}</td>
+                    <td>{ch.summary.activeDays.toLocaleString()}</td>
+                  </tr>
+                ))
               )}
             </tbody>
           </table>
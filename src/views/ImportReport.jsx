@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react';
+import { DIAGNOSTIC_KINDS } from '../parser/diagnostics';
+import { formatBytes } from '../utils/exportCache';
+import './ImportReport.css';
+
+/** Rows shown per kind before "Show all"; unrecognised files alone can run into the thousands. */
+const ROW_LIMIT = 100;
+
+function IssueTable({ kind, issues, showSource }) {
+  const [expanded, setExpanded] = useState(false);
+  const rows = expanded ? issues : issues.slice(0, ROW_LIMIT);
+  return (
+    <div className="panel">
+      <h3 className="panel-title">
+        {kind.label} <span className="import-report-count">{issues.length.toLocaleString()}</span>
+      </h3>
+      <p className="import-report-hint">{kind.hint}</p>
+      <div className="table-wrap">
+        <table className="data-table import-report-table">
+          <thead>
+            <tr>
+              {showSource && <th>Export</th>}
+              <th>File</th>
+              <th>Stage</th>
+              <th>Problem</th>
+              <th>Size</th>
+              <th>Messages</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((issue, i) => (
+              <tr key={i}>
+                {showSource && <td>{issue.source ?? '—'}</td>}
+                <td className="import-report-path">{issue.path}</td>
+                <td>{issue.stage}</td>
+                <td>{issue.error ?? '—'}</td>
+                <td>{issue.bytes != null ? formatBytes(issue.bytes) : '—'}</td>
+                <td>{issue.messages != null ? issue.messages.toLocaleString() : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {issues.length > ROW_LIMIT && (
+        <button type="button" className="import-report-more" onClick={() => setExpanded((v) => !v)}>
+          {expanded ? 'Show fewer' : `Show all ${issues.length.toLocaleString()}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/** What the parser could not read: malformed files, channels without metadata, bad timestamps, unknown files. */
+export default function ImportReport({ data }) {
+  const diagnostics = data?.diagnostics;
+  const byKind = useMemo(() => {
+    const groups = new Map(DIAGNOSTIC_KINDS.map((k) => [k.id, []]));
+    for (const issue of diagnostics?.issues ?? []) groups.get(issue.kind)?.push(issue);
+    return groups;
+  }, [diagnostics]);
+
+  if (!data?.stats) return <div className="panel">No data loaded.</div>;
+
+  if (!diagnostics) {
+    return (
+      <div className="import-report-view">
+        <h2 className="view-heading">Import report</h2>
+        <div className="panel">
+          <p className="import-report-hint">
+            This export was saved before import reports were recorded. Load the package again to see what was read.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const showSource = (data.sources?.length ?? 0) > 1;
+  const skippedMessages = diagnostics.issues
+    .filter((i) => i.kind === 'invalid-timestamp')
+    .reduce((sum, i) => sum + (i.messages ?? 0), 0);
+  const problems = diagnostics.issues.filter((i) => i.kind !== 'unrecognised-file').length;
+
+  return (
+    <div className="import-report-view">
+      <h2 className="view-heading">Import report</h2>
+      <div className="panel">
+        <ul className="import-report-summary">
+          {showSource
+            ? data.sources.map((source) => (
+                <li key={source.name}>
+                  {source.name}: {source.format?.label ?? 'format not recorded'}
+                </li>
+              ))
+            : data.format && <li>Detected format: {data.format.label}</li>}
+          <li>
+            {diagnostics.filesRead.toLocaleString()} files read ({formatBytes(diagnostics.bytesRead)} uncompressed),{' '}
+            {data.stats.totalMessages.toLocaleString()} messages loaded.
+          </li>
+          {skippedMessages > 0 && (
+            <li>{skippedMessages.toLocaleString()} messages left out because their timestamp is missing or invalid.</li>
+          )}
+          <li>
+            {problems === 0
+              ? 'Every file the analyzer reads was loaded without problems.'
+              : `${problems.toLocaleString()} problem${problems === 1 ? '' : 's'} found, listed below.`}
+          </li>
+        </ul>
+      </div>
+      {DIAGNOSTIC_KINDS.map((kind) =>
+        byKind.get(kind.id).length > 0 ? (
+          <IssueTable key={kind.id} kind={kind} issues={byKind.get(kind.id)} showSource={showSource} />
+        ) : null
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,7 @@
 import React, { useMemo, useState } from 'react';
-import { parseLocalDate } from '../utils/dateUtils';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from 'recharts';
+import { parseLocalDate, formatInTimeZone } from '../utils/dateUtils';
+import { SENTIMENTS } from '../utils/sentiment';
 import './Overview.css';
 import './Messages.css';
 import './Insights.css';
@@ -61,13 +63,163 @@ function daysDiff(a, b) {
   return Math.round((d2 - d1) / (24 * 60 * 60 * 1000));
 }
 
-function formatDate(ts) {
+function formatDate(ts, timeZone) {
   if (!ts) return '—';
-  const d = ts instanceof Date ? ts : new Date(ts);
-  return isNaN(d.getTime()) ? '—' : d.toLocaleDateString(undefined, { dateStyle: 'medium' });
+  return formatInTimeZone(ts, timeZone, { dateStyle: 'medium' });
 }
 
-export default function Insights({ data }) {
+const TOOLTIP_STYLE = { background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 };
+
+const TONE_RATES = [
+  { id: 'profanityRate', filter: 'profanity', label: 'Swearing', color: '#ed4245' },
+  { id: 'questionRate', filter: 'question', label: 'Questions', color: '#5865f2' },
+  { id: 'shoutingRate', filter: 'shouting', label: 'ALL CAPS', color: '#e6c04a' },
+];
+
+const CHANNEL_TONE_SORTS = [
+  { id: 'positive', label: 'Most positive', value: (t) => t.positive / t.messages },
+  { id: 'negative', label: 'Most negative', value: (t) => t.negative / t.messages },
+  { id: 'profanity', label: 'Most swearing', value: (t) => t.profanityRate },
+  { id: 'question', label: 'Most questions', value: (t) => t.questionRate },
+  { id: 'shouting', label: 'Most ALL CAPS', value: (t) => t.shoutingRate },
+];
+/** Channels with fewer of your messages are left out of the tone ranking. */
+const MIN_TONE_CHANNEL_MESSAGES = 30;
+
+const percent = (n) => `${(n * 100).toFixed(1)}%`;
+
+/** Sentiment and tone from the offline scorer (utils/sentiment.js): overall, per month and per channel. */
+function ToneSection({ stats, onNavigate }) {
+  const [channelSort, setChannelSort] = useState('positive');
+  const tone = stats.tone;
+  const byMonth = useMemo(
+    () =>
+      (stats.toneByMonth ?? []).map((m) => ({
+        ...m,
+        positiveShare: m.messages ? m.positive / m.messages : 0,
+        neutralShare: m.messages ? m.neutral / m.messages : 0,
+        negativeShare: m.messages ? m.negative / m.messages : 0,
+      })),
+    [stats.toneByMonth]
+  );
+  const channels = useMemo(() => {
+    const sort = CHANNEL_TONE_SORTS.find((o) => o.id === channelSort) ?? CHANNEL_TONE_SORTS[0];
+    return (stats.byChannel ?? [])
+      .filter((ch) => ch.tone && ch.tone.messages >= MIN_TONE_CHANNEL_MESSAGES)
+      .sort((a, b) => sort.value(b.tone) - sort.value(a.tone))
+      .slice(0, 10);
+  }, [stats.byChannel, channelSort]);
+
+  if (!tone?.messages) return null;
+  const lookup = (params) => onNavigate?.('random', params);
+
+  return (
+    <div className="panel">
+      <h3 className="panel-title">Tone</h3>
+      <p className="insights-muted">
+        Scored on this device from an English word list plus emoji and emoticons, so sarcasm and other languages read as neutral.
+        Click a number to see those messages.
+      </p>
+      <div className="insights-tone-summary">
+        {SENTIMENTS.map((sm) => (
+          <button key={sm.id} type="button" className="insights-tone-stat" onClick={() => lookup({ tone: sm.id })}>
+            <span className="insights-tone-value" style={{ color: sm.color }}>{percent(tone[sm.id] / tone.messages)}</span>
+            <span className="insights-tone-label">{sm.label}</span>
+          </button>
+        ))}
+        {TONE_RATES.map((r) => (
+          <button key={r.id} type="button" className="insights-tone-stat" onClick={() => lookup({ tone: r.filter })}>
+            <span className="insights-tone-value">{percent(tone[r.id])}</span>
+            <span className="insights-tone-label">{r.label}</span>
+          </button>
+        ))}
+      </div>
+
+      {byMonth.length > 1 && (
+        <>
+          <h4 className="insights-subtitle">Sentiment by month</h4>
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={byMonth} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis dataKey="month" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} domain={[0, 1]} tickFormatter={(v) => `${Math.round(v * 100)}%`} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} formatter={(v, name) => [percent(v), name]} />
+                <Legend />
+                {SENTIMENTS.map((sm) => (
+                  <Bar key={sm.id} dataKey={`${sm.id}Share`} name={sm.label} stackId="sentiment" fill={sm.color} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <h4 className="insights-subtitle">Swearing, questions and caps by month</h4>
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={byMonth} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis dataKey="month" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} tickFormatter={(v) => `${Math.round(v * 100)}%`} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} formatter={(v, name) => [percent(v), name]} />
+                <Legend />
+                {TONE_RATES.map((r) => (
+                  <Line key={r.id} type="monotone" dataKey={r.id} name={r.label} stroke={r.color} strokeWidth={2} dot={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+
+      {channels.length > 0 && (
+        <>
+          <div className="insights-tone-channels-header">
+            <h4 className="insights-subtitle">Channels and DMs</h4>
+            <select className="insights-tone-select" value={channelSort} onChange={(e) => setChannelSort(e.target.value)} aria-label="Rank channels by">
+              {CHANNEL_TONE_SORTS.map((o) => (
+                <option key={o.id} value={o.id}>{o.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="table-wrap">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Channel</th>
+                  <th>Messages</th>
+                  <th>Positive</th>
+                  <th>Negative</th>
+                  <th>Swearing</th>
+                  <th>Questions</th>
+                  <th>ALL CAPS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {channels.map((ch) => (
+                  <tr key={ch.channelId}>
+                    <td>
+                      <button type="button" className="insights-tone-link" onClick={() => lookup({ tone: channelSort, channelId: ch.channelId })}>
+                        {ch.channelName ?? ch.channelId}
+                      </button>
+                      {ch.guildName && <span className="insights-tone-guild"> {ch.guildName}</span>}
+                    </td>
+                    <td>{ch.tone.messages.toLocaleString()}</td>
+                    <td>{percent(ch.tone.positive / ch.tone.messages)}</td>
+                    <td>{percent(ch.tone.negative / ch.tone.messages)}</td>
+                    <td>{percent(ch.tone.profanityRate)}</td>
+                    <td>{percent(ch.tone.questionRate)}</td>
+                    <td>{percent(ch.tone.shoutingRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function Insights({ data, onNavigate }) {
   const insights = useMemo(() => {
     if (!data?.stats) return null;
     const s = data.stats;
@@ -336,12 +488,12 @@ export default function Insights({ data }) {
         <ul className="insights-list">
           {firstMessageAt && (
             <li>
-              <strong>First message</strong> in this export: {formatDate(firstMessageAt)}
+              <strong>First message</strong> in this export: {formatDate(firstMessageAt, data.timeZone)}
             </li>
           )}
           {lastMessageAt && (
             <li>
-              <strong>Last message</strong> in this export: {formatDate(lastMessageAt)}
+              <strong>Last message</strong> in this export: {formatDate(lastMessageAt, data.timeZone)}
             </li>
           )}
           {busiestDay && (
@@ -368,6 +520,8 @@ export default function Insights({ data }) {
         </ul>
       </div>
 
+      <ToneSection stats={data.stats} onNavigate={onNavigate} />
+
       {topWords.length > 0 && (
         <div className="panel">
           <h3 className="panel-title">Your top words</h3>
@@ -1,46 +1,20 @@
-import React, { useState, useMemo, useRef, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
-import { getLocalDateKey, parseLocalDate, addLocalDay } from '../utils/dateUtils';
+import React, { useState, useMemo, useRef, useEffect, useDeferredValue, useCallback } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { getLocalDateKey } from '../utils/dateUtils';
+import { aggregateSeries, countByDay, suggestGranularity, bucketLabel } from '../utils/timeSeries';
+import AggregationControl from '../components/AggregationControl';
+import { getSearchIndex } from '../utils/searchIndex';
+import { searchMessages, SEARCH_SYNTAX_HINT } from '../utils/searchQuery';
 import './Messages.css';
 
-/** Expand daily counts to include every date in range with 0 where missing (local timezone). */
-function fillMissingDays(dayEntries) {
-  if (!dayEntries?.length) return [];
-  const byDate = new Map(dayEntries.map((e) => [e.date, e.count ?? 0]));
-  const sorted = [...dayEntries].map((e) => e.date).sort();
-  const min = sorted[0];
-  const max = sorted[sorted.length - 1];
-  const out = [];
-  const d = parseLocalDate(min);
-  const end = parseLocalDate(max);
-  while (d <= end) {
-    const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-    out.push({ date: key, count: byDate.get(key) ?? 0 });
-    addLocalDay(d);
-  }
-  return out;
-}
-
-/** All messages from byChannel with channel info, for keyword filtering. */
-function getAllMessages(byChannel) {
-  if (!byChannel?.length) return [];
-  return byChannel.flatMap((ch) =>
-    (ch.messages ?? []).map((m) => ({
-      ...m,
-      channelId: ch.channelId,
-      channelName: ch.channelName,
-      guildId: ch.guildId,
-      guildName: ch.guildName,
-    }))
-  );
-}
-
 export default function Messages({ data }) {
   const [selectedChannel, setSelectedChannel] = useState(null);
   const [channelFromDate, setChannelFromDate] = useState('');
   const [channelToDate, setChannelToDate] = useState('');
   const [searchKeyword, setSearchKeyword] = useState('');
+  const deferredKeyword = useDeferredValue(searchKeyword);
   const [channelSearch, setChannelSearch] = useState('');
+  const [aggregation, setAggregation] = useState(null);
   const channelDetailRef = useRef(null);
 
   if (!data?.stats) return <div className="panel">No data loaded.</div>;
@@ -48,25 +22,12 @@ export default function Messages({ data }) {
   const s = data.stats;
   const byChannel = s.byChannel ?? [];
 
-  const allMessages = useMemo(() => getAllMessages(byChannel), [byChannel]);
-  const filteredMessages = useMemo(() => {
-    const q = searchKeyword.trim().toLowerCase();
-    if (!q) return allMessages;
-    return allMessages.filter((m) => m.contents && String(m.contents).toLowerCase().includes(q));
-  }, [allMessages, searchKeyword]);
+  const searchIndex = useMemo(() => getSearchIndex(data), [data]);
+  const search = useMemo(() => searchMessages(searchIndex, deferredKeyword), [searchIndex, deferredKeyword]);
+  const filteredMessages = search.messages;
 
-  const filteredByDay = useMemo(() => {
-    const dayCounts = new Map();
-    for (const m of filteredMessages) {
-      const key = getLocalDateKey(m.timestamp);
-      if (!key) continue;
-      dayCounts.set(key, (dayCounts.get(key) || 0) + 1);
-    }
-    const entries = Array.from(dayCounts.entries())
-      .sort((a, b) => a[0].localeCompare(b[0]))
-      .map(([date, count]) => ({ date, count }));
-    return fillMissingDays(entries);
-  }, [filteredMessages]);
+  const toDayKey = useCallback((ts) => getLocalDateKey(ts, data.timeZone), [data.timeZone]);
+  const filteredByDay = useMemo(() => countByDay(filteredMessages, toDayKey), [filteredMessages, toDayKey]);
 
   const filteredByChannel = useMemo(() => {
     const byCh = new Map();
@@ -87,7 +48,7 @@ export default function Messages({ data }) {
     return { totalMessages: n, totalWords: words, avgWordsPerMessage: n ? Math.round((words / n) * 10) / 10 : 0 };
   }, [filteredMessages]);
 
-  const topChannels = searchKeyword.trim() ? filteredByChannel : byChannel.slice(0, 100);
+  const topChannels = search.active ? filteredByChannel : byChannel.slice(0, 100);
   const channelsForTable = useMemo(() => {
     const q = channelSearch.trim().toLowerCase();
     if (!q) return topChannels;
@@ -105,43 +66,24 @@ export default function Messages({ data }) {
   const hasChannelMessages = Array.isArray(channelMessages) && channelMessages.length > 0;
   const messagesForSelectedChannel = useMemo(() => {
     if (!selectedChannel || !hasChannelMessages) return [];
-    const q = searchKeyword.trim().toLowerCase();
-    const list = selectedChannel.messages ?? [];
-    if (!q) return list;
-    return list.filter((m) => m.contents && String(m.contents).toLowerCase().includes(q));
-  }, [selectedChannel, hasChannelMessages, searchKeyword]);
+    if (!search.active) return selectedChannel.messages ?? [];
+    return search.messages.filter((m) => m.channelId === selectedChannel.channelId);
+  }, [selectedChannel, hasChannelMessages, search]);
 
   const channelByDay = useMemo(() => {
     if (!selectedChannel || messagesForSelectedChannel.length === 0) return [];
-    let from = null;
-    let to = null;
-    if (channelFromDate.trim()) {
-      from = parseLocalDate(channelFromDate);
-      from.setHours(0, 0, 0, 0);
-    }
-    if (channelToDate.trim()) {
-      to = parseLocalDate(channelToDate);
-      to.setHours(23, 59, 59, 999);
-    }
-    const dayCounts = new Map();
-    for (const m of messagesForSelectedChannel) {
-      const key = getLocalDateKey(m.timestamp);
-      if (!key) continue;
-      const ts = m.timestamp instanceof Date ? m.timestamp : new Date(m.timestamp);
-      if (from && ts.getTime() < from.getTime()) continue;
-      if (to && ts.getTime() > to.getTime()) continue;
-      dayCounts.set(key, (dayCounts.get(key) || 0) + 1);
-    }
-    const entries = Array.from(dayCounts.entries())
-      .sort((a, b) => a[0].localeCompare(b[0]))
-      .map(([date, count]) => ({ date, count }));
-    return fillMissingDays(entries);
-  }, [selectedChannel, channelFromDate, channelToDate, messagesForSelectedChannel]);
+    // Date inputs are compared as YYYY-MM-DD day keys in the selected zone, not as browser-local instants.
+    const from = channelFromDate.trim() ? channelFromDate.trim().slice(0, 10) : null;
+    const to = channelToDate.trim() ? channelToDate.trim().slice(0, 10) : null;
+    return countByDay(messagesForSelectedChannel, toDayKey, { from, to });
+  }, [selectedChannel, channelFromDate, channelToDate, messagesForSelectedChannel, toDayKey]);
 
-  const byDayWithZeros = searchKeyword.trim() ? filteredByDay : fillMissingDays(s.byDay ?? []);
-  const graphData = selectedChannel ? channelByDay : byDayWithZeros;
-  const showGraph = selectedChannel ? (messagesForSelectedChannel.length > 0 && channelByDay.length > 0) : byDayWithZeros.length > 0;
-  const summaryToShow = searchKeyword.trim() ? filteredSummary : { totalMessages: s.totalMessages, totalWords: s.totalWords, avgWordsPerMessage: s.avgWordsPerMessage };
+  const dailyEntries = selectedChannel ? channelByDay : search.active ? filteredByDay : s.byDay ?? [];
+  const granularity = aggregation?.granularity ?? suggestGranularity(dailyEntries);
+  const rolling = aggregation?.rolling ?? 0;
+  const graphData = useMemo(() => aggregateSeries(dailyEntries, { granularity, rolling }), [dailyEntries, granularity, rolling]);
+  const showGraph = selectedChannel ? messagesForSelectedChannel.length > 0 && graphData.length > 0 : graphData.length > 0;
+  const summaryToShow = search.active ? filteredSummary : { totalMessages: s.totalMessages, totalWords: s.totalWords, avgWordsPerMessage: s.avgWordsPerMessage };
 
   useEffect(() => {
     if (selectedChannel && channelDetailRef.current) {
@@ -158,7 +100,7 @@ export default function Messages({ data }) {
           <li>Total messages: <strong>{summaryToShow.totalMessages?.toLocaleString() ?? 0}</strong></li>
           <li>Total words: <strong>{summaryToShow.totalWords?.toLocaleString() ?? 0}</strong></li>
           <li>Avg words per message: <strong>{summaryToShow.avgWordsPerMessage ?? 0}</strong></li>
-          <li>Channels with messages: <strong>{searchKeyword.trim() ? filteredByChannel.length : byChannel.length}</strong></li>
+          <li>Channels with messages: <strong>{search.active ? filteredByChannel.length : byChannel.length}</strong></li>
         </ul>
       </div>
       <div ref={channelDetailRef} className="panel">
@@ -166,19 +108,21 @@ export default function Messages({ data }) {
           <h3 className="panel-title">
             {selectedChannel
               ? `Messages over time — ${selectedChannel.channelName ?? selectedChannel.channelId ?? 'Channel'}${selectedChannel.guildName ? ` (${selectedChannel.guildName})` : ''}`
-              : 'Messages over time (daily)'}
+              : 'Messages over time'}
           </h3>
           <label className="messages-search-label">
             <span className="messages-date-label-text">Search</span>
             <input
               type="text"
               className="messages-search-input"
-              placeholder="Filter by keyword…"
+              placeholder='Filter… e.g. "exact phrase" -word after:2021'
+              title={SEARCH_SYNTAX_HINT}
               value={searchKeyword}
               onChange={(e) => setSearchKeyword(e.target.value)}
-              aria-label="Search messages by keyword"
+              aria-label="Search messages"
             />
           </label>
+          {search.error && <span className="messages-search-error">{search.error}</span>}
           {searchKeyword.trim() && (
             <button
               type="button"
@@ -225,10 +169,11 @@ export default function Messages({ data }) {
             </>
           )}
         </div>
+        {showGraph && <AggregationControl granularity={granularity} rolling={rolling} onChange={setAggregation} />}
         {!selectedChannel && showGraph && (
           <div className="chart-container">
             <ResponsiveContainer width="100%" height={280}>
-              <BarChart data={graphData} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+              <ComposedChart data={graphData} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
                 <defs>
                   <linearGradient id="messagesBarGradAll" x1="0" y1="1" x2="0" y2="0">
                     <stop offset="0%" stopColor="#5865f2" />
@@ -240,9 +185,11 @@ export default function Messages({ data }) {
                 <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
                 <Tooltip
                   contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 }}
+                  labelFormatter={bucketLabel}
                 />
-                <Bar dataKey="count" fill="url(#messagesBarGradAll)" radius={[4, 4, 0, 0]} />
-              </BarChart>
+                <Bar dataKey="count" fill="url(#messagesBarGradAll)" radius={[4, 4, 0, 0]} name="Messages" />
+                {rolling > 0 && <Line type="monotone" dataKey="countAvg" stroke="#eb459e" strokeWidth={2} dot={false} name={`${rolling}-${granularity} average`} />}
+              </ComposedChart>
             </ResponsiveContainer>
           </div>
         )}
@@ -259,7 +206,7 @@ export default function Messages({ data }) {
         {selectedChannel && showGraph && (
           <div className="chart-container">
             <ResponsiveContainer width="100%" height={280}>
-              <BarChart data={graphData} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+              <ComposedChart data={graphData} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
                 <defs>
                   <linearGradient id="messagesBarGradChannel" x1="0" y1="1" x2="0" y2="0">
                     <stop offset="0%" stopColor="#5865f2" />
@@ -271,9 +218,11 @@ export default function Messages({ data }) {
                 <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
                 <Tooltip
                   contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 }}
+                  labelFormatter={bucketLabel}
                 />
                 <Bar dataKey="count" fill="url(#messagesBarGradChannel)" radius={[4, 4, 0, 0]} name="Messages" />
-              </BarChart>
+                {rolling > 0 && <Line type="monotone" dataKey="countAvg" stroke="#eb459e" strokeWidth={2} dot={false} name={`${rolling}-${granularity} average`} />}
+              </ComposedChart>
             </ResponsiveContainer>
           </div>
         )}
@@ -292,7 +241,7 @@ export default function Messages({ data }) {
           />
         </label>
         <p className="messages-channel-hint">
-          {searchKeyword.trim() ? `Showing channels with messages matching "${searchKeyword.trim()}". ` : ''}
+          {search.active ? `Showing channels with messages matching "${searchKeyword.trim()}". ` : ''}
           {channelSearch.trim() ? `Filtered to ${channelsForTable.length} channel(s). ` : ''}
           Click a channel to update the graph above and filter by date.
         </p>
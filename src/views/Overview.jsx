@@ -1,28 +1,16 @@
 import React, { useState, useMemo } from 'react';
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
-import { parseLocalDate, addLocalDay } from '../utils/dateUtils';
+import { LineChart, Line, BarChart, Bar, ComposedChart, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { formatInTimeZone } from '../utils/dateUtils';
+import { aggregateSeries, suggestGranularity, bucketLabel } from '../utils/timeSeries';
+import AggregationControl from '../components/AggregationControl';
+import EmojiIcon from '../components/EmojiIcon';
+import { emojiLabel, normalizeEmojiEntry } from '../utils/emoji';
 import './Overview.css';
 import './Activity.css';
 
 const HOUR_LABELS = ['12am', '1am', '2am', '3am', '4am', '5am', '6am', '7am', '8am', '9am', '10am', '11am', '12pm', '1pm', '2pm', '3pm', '4pm', '5pm', '6pm', '7pm', '8pm', '9pm', '10pm', '11pm'];
 const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-
-function fillMissingDays(dayEntries) {
-  if (!dayEntries?.length) return [];
-  const byDate = new Map(dayEntries.map((e) => [e.date, e.count ?? 0]));
-  const sorted = [...dayEntries].map((e) => e.date).sort();
-  const min = sorted[0];
-  const max = sorted[sorted.length - 1];
-  const out = [];
-  const d = parseLocalDate(min);
-  const end = parseLocalDate(max);
-  while (d <= end) {
-    const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-    out.push({ date: key, count: byDate.get(key) ?? 0 });
-    addLocalDay(d);
-  }
-  return out;
-}
+const EMOJI_LINE_COLORS = ['#5865f2', '#eb459e', '#e6c04a', '#23a559', '#00b4d8', '#ed4245'];
 
 function AvatarCircle({ url, name, className }) {
   const initial = name ? String(name).trim()[0]?.toUpperCase() || '?' : '?';
@@ -37,18 +25,21 @@ function AvatarCircle({ url, name, className }) {
   return <span className={`avatar-fallback ${className}`}>{initial}</span>;
 }
 
-export default function Overview({ data }) {
+export default function Overview({ data, onNavigate }) {
   const [userFilter, setUserFilter] = useState('');
   const [channelFilter, setChannelFilter] = useState('');
+  const [aggregation, setAggregation] = useState(null);
 
   if (!data?.stats) return <div className="panel">No data loaded.</div>;
 
   const s = data.stats;
   const account = data.account || {};
-  const guildCount = data.stats.byGuild?.length ?? 0;
+  const guildCount = Math.max(data.guilds?.length ?? 0, data.stats.byGuild?.length ?? 0);
   const connections = account.connected_accounts ?? account.connections ?? [];
   const payments = account.payment_sources ?? account.payment_info ?? [];
   const transactions = account.payment_history ?? account.transactions ?? [];
+  const activity = data.activity;
+  const maxCategoryCount = Math.max(1, ...(activity?.byCategory ?? []).map((c) => c.count));
 
   const activeHoursData = useMemo(() => {
     const byHour = s.byHour ?? [];
@@ -80,11 +71,21 @@ export default function Overview({ data }) {
   const maxUserCount = useMemo(() => Math.max(1, ...filteredUsers.map((u) => u.count ?? 0)), [filteredUsers]);
   const maxChannelCount = useMemo(() => Math.max(1, ...filteredChannels.map((c) => c.count ?? 0)), [filteredChannels]);
 
-  const topEmojis = s.topEmojis ?? [];
-  const byDayWithZeros = useMemo(() => fillMissingDays(s.byDay ?? []), [s.byDay]);
+  const topEmojis = useMemo(() => (s.topEmojis ?? []).map(normalizeEmojiEntry), [s.topEmojis]);
+  const emojiSeriesKeys = useMemo(
+    () => topEmojis.slice(0, EMOJI_LINE_COLORS.length).map((e) => e.key).filter((k) => s.emojiByDay?.[0] && k in s.emojiByDay[0]),
+    [topEmojis, s.emojiByDay]
+  );
+  const emojiByMonth = useMemo(
+    () => aggregateSeries(s.emojiByDay ?? [], { granularity: 'month', keys: ['total', ...emojiSeriesKeys] }),
+    [s.emojiByDay, emojiSeriesKeys]
+  );
+  const granularity = aggregation?.granularity ?? suggestGranularity(s.byDay);
+  const rolling = aggregation?.rolling ?? 0;
+  const byPeriod = useMemo(() => aggregateSeries(s.byDay ?? [], { granularity, rolling }), [s.byDay, granularity, rolling]);
   const byDayOfWeek = (s.byDayOfWeek ?? []).map((d) => ({ ...d, name: DAY_NAMES[d.day] ?? d.day }));
-  const firstMsg = s.firstMessageAt ? new Date(s.firstMessageAt).toLocaleString() : '—';
-  const lastMsg = s.lastMessageAt ? new Date(s.lastMessageAt).toLocaleString() : '—';
+  const firstMsg = s.firstMessageAt ? formatInTimeZone(s.firstMessageAt, data.timeZone) : '—';
+  const lastMsg = s.lastMessageAt ? formatInTimeZone(s.lastMessageAt, data.timeZone) : '—';
 
   const messageSpan = useMemo(() => {
     const first = s.firstMessageAt ? new Date(s.firstMessageAt) : null;
@@ -101,28 +102,74 @@ export default function Overview({ data }) {
     return sample.some((n) => /^[c~]?\d{15,}$/.test(String(n).trim()) || (n.length > 15 && /^\D?\d+$/.test(String(n).trim())));
   }, [s.byChannel]);
 
+  const importProblems = (data.diagnostics?.issues ?? []).filter((i) => i.kind !== 'unrecognised-file').length;
+
   return (
     <div className="overview-dashboard">
+      {importProblems > 0 && (
+        <div className="overview-tip">
+          <strong>Part of this export could not be read.</strong> {importProblems.toLocaleString()} file
+          {importProblems === 1 ? '' : 's'} had problems (malformed JSON, missing channel metadata or invalid timestamps).{' '}
+          <button type="button" className="overview-tip-link" onClick={() => onNavigate?.('import')}>
+            Open the import report
+          </button>
+        </div>
+      )}
       {looksLikeIdsOnly && (
         <div className="overview-tip">
           <strong>Seeing only IDs?</strong> Load the <strong>full</strong> Discord export (the whole ZIP, or the folder that contains <code>messages/</code> with <code>index.json</code> inside it) so we can read channel and DM names from the index.
         </div>
       )}
+      {data.sources?.length > 1 && (
+        <div className="overview-tip">
+          <strong>Merged from {data.sources.length} exports:</strong>{' '}
+          {data.sources.map((src) => `${src.name} (+${src.newMessages.toLocaleString()} messages)`).join(', ')}
+        </div>
+      )}
       <div className="overview-row overview-row-top">
         <section className="panel overview-section overview-emojis">
-          <h3 className="panel-title">YOUR TOP CUSTOM EMOJIS</h3>
+          <h3 className="panel-title">YOUR TOP EMOJIS</h3>
           <div className="emoji-grid">
             {topEmojis.length === 0 ? (
-              <span className="overview-muted">No :emoji: usage found in messages</span>
+              <span className="overview-muted">No emoji found in messages</span>
             ) : (
-              topEmojis.slice(0, 18).map(([name, count], i) => (
-                <div key={i} className="emoji-cell" title={`${name} (${count})`}>
-                  <span className="emoji-name">{name}</span>
-                  {count > 1 && <span className="emoji-count">×{count}</span>}
+              topEmojis.slice(0, 18).map((emoji) => (
+                <div key={emoji.key} className="emoji-cell" title={`${emojiLabel(emoji)} (${emoji.count})`}>
+                  <EmojiIcon emoji={emoji} size={24} />
+                  {!emoji.unicode && emoji.id && <span className="emoji-name">{emoji.name}</span>}
+                  {emoji.count > 1 && <span className="emoji-count">×{emoji.count}</span>}
                 </div>
               ))
             )}
           </div>
+          {s.totalEmojis > 0 && (
+            <p className="overview-muted emoji-total">
+              {s.totalEmojis.toLocaleString()} emoji in total
+            </p>
+          )}
+          {emojiByMonth.length > 1 && (
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height={180}>
+                <LineChart data={emojiByMonth} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                  <XAxis dataKey="date" stroke="var(--text-muted)" tick={{ fontSize: 10 }} />
+                  <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} allowDecimals={false} />
+                  <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 }} />
+                  {emojiSeriesKeys.map((key, i) => (
+                    <Line
+                      key={key}
+                      type="monotone"
+                      dataKey={(row) => row[key]}
+                      name={emojiLabel(topEmojis.find((e) => e.key === key))}
+                      stroke={EMOJI_LINE_COLORS[i]}
+                      strokeWidth={2}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
         </section>
         <section className="panel overview-section overview-preferences">
           <h3 className="panel-title">PREFERENCES &amp; CONNECTIONS</h3>
@@ -172,12 +219,13 @@ export default function Overview({ data }) {
             </ResponsiveContainer>
           </div>
         </section>
-        {byDayWithZeros.length > 0 && (
+        {byPeriod.length > 0 && (
           <section className="panel overview-section overview-by-day">
-            <h3 className="panel-title">Messages over time (daily)</h3>
+            <h3 className="panel-title">Messages over time</h3>
+            <AggregationControl granularity={granularity} rolling={rolling} onChange={setAggregation} />
             <div className="chart-container chart-line">
               <ResponsiveContainer width="100%" height={260}>
-                <BarChart data={byDayWithZeros} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                <ComposedChart data={byPeriod} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
                   <defs>
                     <linearGradient id="overviewDailyBarGrad" x1="0" y1="1" x2="0" y2="0">
                       <stop offset="0%" stopColor="#5865f2" />
@@ -187,9 +235,10 @@ export default function Overview({ data }) {
                   <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
                   <XAxis dataKey="date" stroke="var(--text-muted)" tick={{ fontSize: 10 }} />
                   <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
-                  <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 }} />
+                  <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 }} labelFormatter={bucketLabel} />
                   <Bar dataKey="count" fill="url(#overviewDailyBarGrad)" radius={[4, 4, 0, 0]} name="Messages" />
-                </BarChart>
+                  {rolling > 0 && <Line type="monotone" dataKey="countAvg" stroke="#eb459e" strokeWidth={2} dot={false} name={`${rolling}-${granularity} average`} />}
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
           </section>
@@ -325,6 +374,59 @@ export default function Overview({ data }) {
         </section>
       </div>
 
+      {activity?.totalEvents > 0 && (
+        <div className="overview-row overview-row-lists">
+          <section className="panel overview-section overview-activity-events">
+            <h3 className="panel-title">WHAT YOU DO ON DISCORD</h3>
+            <p className="overview-muted">
+              {activity.totalEvents.toLocaleString()} tracked events
+              {activity.firstEventAt && activity.lastEventAt
+                ? ` from ${formatInTimeZone(activity.firstEventAt, data.timeZone, { dateStyle: 'short' })} to ${formatInTimeZone(activity.lastEventAt, data.timeZone, { dateStyle: 'short' })}`
+                : ''}
+            </p>
+            <ul className="ranked-list">
+              {activity.byCategory.map((c, i) => (
+                <li key={c.category} className="ranked-item">
+                  <span className="rank-num">{i + 1}</span>
+                  <div className="rank-content">
+                    <span className="rank-name">{c.label}</span>
+                    <span className="rank-meta">
+                      <span className="rank-count">{c.count.toLocaleString()} events</span>
+                    </span>
+                  </div>
+                  <div className="rank-count-bar-wrap" title={`${c.count.toLocaleString()} events`}>
+                    <div className="rank-count-bar-track">
+                      <div className="rank-count-bar-fill" style={{ width: `${Math.round((100 * c.count) / maxCategoryCount)}%` }} />
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+          <section className="panel overview-section overview-activity-types">
+            <h3 className="panel-title">TOP TRACKED EVENTS</h3>
+            <ul className="ranked-list">
+              {activity.byType.slice(0, 10).map((t, i) => (
+                <li key={t.type} className="ranked-item">
+                  <span className="rank-num">{i + 1}</span>
+                  <div className="rank-content">
+                    <span className="rank-name">{t.label}</span>
+                    <span className="rank-meta">
+                      <span className="rank-count">{t.count.toLocaleString()} times</span>
+                      {t.firstAt && (
+                        <span className="rank-desc">
+                          {formatInTimeZone(t.firstAt, data.timeZone, { dateStyle: 'short' })} – {formatInTimeZone(t.lastAt, data.timeZone, { dateStyle: 'short' })}
+                        </span>
+                      )}
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </div>
+      )}
+
       <div className="overview-row overview-row-bottom">
         <section className="panel overview-section overview-payments">
           <h3 className="panel-title">YOUR PAYMENTS</h3>
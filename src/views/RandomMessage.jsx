@@ -1,11 +1,31 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { parseLocalDate } from '../utils/dateUtils';
+import React, { useState, useMemo, useEffect, useCallback, useDeferredValue, useRef } from 'react';
+import { getLocalDateKey, formatInTimeZone } from '../utils/dateUtils';
+import { getSearchIndex } from '../utils/searchIndex';
+import { searchMessages, SEARCH_SYNTAX_HINT } from '../utils/searchQuery';
+import { resolveStopwords, tokenize } from '../utils/tokenizer';
+import { loadLlmSettings, saveLlmSettings, streamChat, validateLlmSettings, getProviderPreset, isLocalEndpoint } from '../utils/llmProviders';
+import { DEFAULT_REDACTION, REDACTION_RULES, parseRedactionTerms, redactText } from '../utils/redaction';
+import Highlight from '../components/Highlight';
+import AiProviderSettings from '../components/AiProviderSettings';
 import './RandomMessage.css';
 import './Overview.css';
 
-const OPENAI_KEY_STORAGE = 'discord-analyzer-openai-key';
-
-async function fetchAISummary(apiKey, ch, stats) {
+/** Tone filter options; values match the Insights tone links (m.tone comes from buildSummary). */
+const TONE_FILTERS = [
+  { id: '', label: 'Any tone' },
+  { id: 'positive', label: 'Positive', test: (t) => t.sentiment === 'positive' },
+  { id: 'neutral', label: 'Neutral', test: (t) => t.sentiment === 'neutral' },
+  { id: 'negative', label: 'Negative', test: (t) => t.sentiment === 'negative' },
+  { id: 'profanity', label: 'With swearing', test: (t) => t.profanity > 0 },
+  { id: 'question', label: 'Questions', test: (t) => t.question },
+  { id: 'shouting', label: 'ALL CAPS', test: (t) => t.shouting },
+];
+
+/**
+ * What the AI overview is built from: the channel's most distinctive words and up to 250 excerpts from a random
+ * sample of up to 5000 messages. Random, so each preparation picks different excerpts.
+ */
+function sampleAISummaryInput(ch, stats) {
   const totalMessages = stats?.totalMessages ?? 1;
   const globalWordCounts = new Map((stats?.topWords ?? []).map(([w, c]) => [String(w).toLowerCase(), c]));
   const chWords = (ch.topWords ?? []).slice(0, 30);
@@ -29,15 +49,15 @@ async function fetchAISummary(apiKey, ch, stats) {
   const shuffled = [...allWithContent].sort(() => Math.random() - 0.5);
   const sampled = shuffled.slice(0, sampleSize);
   const excerptCount = Math.min(250, sampled.length);
-  const excerpts = sampled
-    .slice(0, excerptCount)
-    .map((m) => String(m.contents).trim().slice(0, 100))
-    .join('\n');
+  const excerpts = sampled.slice(0, excerptCount).map((m) => String(m.contents).trim().slice(0, 100));
+  return { name: ch.channelName ?? ch.channelId ?? 'Unknown', words: wordsWithScore, sampleSize, excerpts };
+}
 
-  const name = ch.channelName ?? ch.channelId ?? 'Unknown';
+/** The exact prompt sent to the model, from (already redacted) sampleAISummaryInput output. */
+function buildAISummaryPrompt(ch, { name, words, sampleSize, excerpts }) {
   const isFiltered = ch.channelId === 'filtered';
   const typeLabel = isFiltered ? 'Filtered results (user-applied filters: keyword, location, date range, etc.)' : (ch.guildId ? 'Server channel' : 'DM');
-  const prompt = `You are writing an in-depth summary of what the user typically talks about in ${isFiltered ? 'the set of messages matching their current filters (e.g. keyword, location, date range). These are not necessarily from one channel — they are whatever messages match the filters.' : 'one specific Discord channel or DM.'} The message excerpts below are drawn from a random sample of up to 5000 messages — use them as the main evidence for your summary. Use ONLY this data. Write exactly 3 substantial, in-depth paragraphs. No bullet points, no keyword lists. Each paragraph should be several sentences and go into real detail.
+  return `You are writing an in-depth summary of what the user typically talks about in ${isFiltered ? 'the set of messages matching their current filters (e.g. keyword, location, date range). These are not necessarily from one channel — they are whatever messages match the filters.' : 'one specific Discord channel or DM.'} The message excerpts below are drawn from a random sample of up to 5000 messages — use them as the main evidence for your summary. Use ONLY this data. Write exactly 3 substantial, in-depth paragraphs. No bullet points, no keyword lists. Each paragraph should be several sentences and go into real detail.
 
 Paragraph 1: What the conversation is mostly about. Describe the main topics, themes, and subjects in depth. Use the word list and the many message excerpts to infer what the user actually discusses and cares about here.
 
@@ -51,31 +71,10 @@ Channel/DM name: ${name}
 Type: ${typeLabel}
 Total messages from user in this channel: ${ch.count ?? 0}
 Messages sampled for excerpts: ${sampleSize}
-Most frequent or distinctive words (in order): ${wordsWithScore.join(', ')}
-
-Message excerpts (from random sample of up to 5000 messages, ${excerptCount} shown):
-${excerpts || '(no message content)'}`;
-
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey.trim()}`,
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 1500,
-      temperature: 0.5,
-    }),
-  });
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.error?.message || res.statusText || `HTTP ${res.status}`);
-  }
-  const data = await res.json();
-  const text = data.choices?.[0]?.message?.content?.trim() || '';
-  return text;
+Most frequent or distinctive words (in order): ${words.join(', ')}
+
+Message excerpts (from random sample of up to 5000 messages, ${excerpts.length} shown):
+${excerpts.join('\n') || '(no message content)'}`;
 }
 
 function getGlobalWordCounts(stats) {
@@ -110,15 +109,15 @@ function formatWordList(words, max = 6) {
   return list.slice(0, -1).join(', ') + ', and ' + list[list.length - 1];
 }
 
-/** Build a synthetic channel from a list of messages for overview/AI summary (filter-based). */
-function buildFilteredChannel(messages, label = 'Filtered results') {
+/** Build a synthetic channel from a list of messages for overview/AI summary (filter-based), with the export's stopwords. */
+function buildFilteredChannel(messages, stopwords, label = 'Filtered results') {
   if (!messages || messages.length === 0) return null;
+  const skip = resolveStopwords({ languages: stopwords?.resolved, custom: stopwords?.custom }, []).set;
   const wordCounts = new Map();
   for (const m of messages) {
-    const text = m.contents && String(m.contents).trim();
-    if (!text) continue;
-    const words = text.toLowerCase().split(/\s+/).map((w) => w.replace(/[^a-z0-9\u00c0-\u024f]/gi, '').trim()).filter((w) => w.length >= 2);
-    for (const w of words) wordCounts.set(w, (wordCounts.get(w) ?? 0) + 1);
+    for (const w of tokenize(m.contents)) {
+      if (!skip.has(w)) wordCounts.set(w, (wordCounts.get(w) ?? 0) + 1);
+    }
   }
   const topWords = [...wordCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 50).map(([word, count]) => [word, count]);
   return {
@@ -183,27 +182,6 @@ function generateChannelOverview(ch, stats) {
   return { para1, para2, para3 };
 }
 
-function getAllMessages(data) {
-  const byChannel = data?.stats?.byChannel ?? [];
-  const out = [];
-  for (const ch of byChannel) {
-    const messages = ch?.messages ?? [];
-    for (let i = 0; i < messages.length; i++) {
-      const m = messages[i];
-      if (m == null || typeof m !== 'object') continue;
-      out.push({
-        ...m,
-        channelName: m.channelName ?? ch.channelName ?? ch.channelId,
-        guildName: m.guildName ?? ch.guildName,
-        channelId: m.channelId ?? ch.channelId,
-        guildId: m.guildId ?? ch.guildId,
-        avatarUrl: m.avatarUrl ?? ch.avatarUrl ?? null,
-      });
-    }
-  }
-  return out;
-}
-
 function SmallAvatar({ url, name }) {
   const initial = name ? String(name).trim()[0]?.toUpperCase() || '?' : '?';
   if (url) {
@@ -217,10 +195,9 @@ function SmallAvatar({ url, name }) {
   return <span className="random-msg-avatar-fallback random-msg-avatar-fallback-visible">{initial}</span>;
 }
 
-function MessageCard({ message, title }) {
+function MessageCard({ message, title, timeZone, highlighter, onShowInContext }) {
   if (!message) return null;
-  const ts = message.timestamp instanceof Date ? message.timestamp : (message.timestamp != null ? new Date(message.timestamp) : null);
-  const dateStr = ts && !isNaN(ts.getTime()) ? ts.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+  const dateStr = formatInTimeZone(message.timestamp, timeZone);
   const attachments = Array.isArray(message.attachments) ? message.attachments : message.attachments ? [message.attachments] : [];
   const attachmentList = attachments.map((a, i) => {
     const url = typeof a === 'string' ? a : (a.url ?? a.URL ?? a);
@@ -237,7 +214,7 @@ function MessageCard({ message, title }) {
           <span className="random-msg-card-location">{getLocationLabel(message)}</span>
         </div>
       </div>
-      <div className="random-msg-content">{message.contents || '(no text)'}</div>
+      <div className="random-msg-content">{message.contents ? <Highlight text={message.contents} highlighter={highlighter} /> : '(no text)'}</div>
       <dl className="random-msg-meta">
         <dt>Date & time</dt>
         <dd>{dateStr}</dd>
@@ -250,6 +227,11 @@ function MessageCard({ message, title }) {
           </>
         )}
       </dl>
+      {onShowInContext && (
+        <button type="button" className="random-msg-context-btn" onClick={() => onShowInContext(message)}>
+          Show in context →
+        </button>
+      )}
     </div>
   );
 }
@@ -300,48 +282,63 @@ function getChannelAndServerLabel(message) {
   return { channelName: displayChannel, serverName };
 }
 
-const MessageRow = React.memo(function MessageRow({ message, onSelect, isSelected }) {
+const MessageRow = React.memo(function MessageRow({ message, onSelect, isSelected, timeZone, highlighter, onShowInContext }) {
   if (!message) return null;
   const text = message.contents != null ? String(message.contents) : '';
   const len = text.length;
   const preview = text.length <= PREVIEW_LEN ? text : text.slice(0, PREVIEW_LEN) + '…';
   const ts = safeTimestamp(message);
-  const dateStr = ts ? ts.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) : '—';
+  const dateStr = ts ? formatInTimeZone(ts, timeZone, { month: 'short', day: 'numeric', year: 'numeric' }) : '—';
   const { channelName, serverName } = getChannelAndServerLabel(message);
   const channelLabel = serverName === 'DM' ? channelName : `${channelName} (${serverName})`;
   return (
-    <button
-      type="button"
-      className={`random-msg-row ${isSelected ? 'random-msg-row-selected' : ''}`}
-      onClick={() => onSelect(message)}
-    >
-      <span className="random-msg-row-preview">{preview || '(no text)'}</span>
-      <span className="random-msg-row-meta">
-        {len.toLocaleString()} chars · Channel: {channelLabel} · {dateStr}
-      </span>
-    </button>
+    <div className={`random-msg-row-wrap ${isSelected ? 'random-msg-row-selected' : ''}`}>
+      <button type="button" className="random-msg-row" onClick={() => onSelect(message)}>
+        <span className="random-msg-row-preview">{preview ? <Highlight text={preview} highlighter={highlighter} /> : '(no text)'}</span>
+        <span className="random-msg-row-meta">
+          {len.toLocaleString()} chars · Channel: {channelLabel} · {dateStr}
+        </span>
+      </button>
+      {onShowInContext && (
+        <button type="button" className="random-msg-row-context" onClick={() => onShowInContext(message)} title="Show in context">
+          ↗
+        </button>
+      )}
+    </div>
   );
 });
 
+/** YYYY-MM-DD from a date input, or null; compared against message day keys in the selected zone. */
 function toDateOnly(dateStr) {
   if (!dateStr || !dateStr.trim()) return null;
-  const d = parseLocalDate(dateStr.trim());
-  d.setHours(0, 0, 0, 0);
-  return isNaN(d.getTime()) ? null : d;
+  const key = dateStr.trim().slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(key) ? key : null;
 }
 
-export default function RandomMessage({ data }) {
-  const allMessages = useMemo(() => getAllMessages(data), [data]);
+export default function RandomMessage({ data, params, onNavigate }) {
+  const searchIndex = useMemo(() => getSearchIndex(data), [data]);
+  const allMessages = searchIndex.messages;
   const [searchKeyword, setSearchKeyword] = useState('');
+  const deferredKeyword = useDeferredValue(searchKeyword);
+  const search = useMemo(() => searchMessages(searchIndex, deferredKeyword), [searchIndex, deferredKeyword]);
+  const showInContext = useCallback(
+    (m) => onNavigate?.('transcript', { channelId: m.channelId, messageId: m.id }),
+    [onNavigate]
+  );
   const [afterDate, setAfterDate] = useState('');
   const [beforeDate, setBeforeDate] = useState('');
   const [minLength, setMinLength] = useState('');
-  const [locationFilter, setLocationFilter] = useState('');
+  const [locationFilter, setLocationFilter] = useState(() => params?.channelId ?? '');
+  const [toneFilter, setToneFilter] = useState(() => params?.tone ?? '');
   const [selectedMessage, setSelectedMessage] = useState(null);
   const [randomMessage, setRandomMessage] = useState(null);
   const [randomMessageHistory, setRandomMessageHistory] = useState([]);
   const [randomHistoryIndex, setRandomHistoryIndex] = useState(-1);
-  const [apiKeyInput, setApiKeyInput] = useState(() => (typeof localStorage !== 'undefined' ? (localStorage.getItem(OPENAI_KEY_STORAGE) || '') : ''));
+  const [llmSettings, setLlmSettings] = useState(loadLlmSettings);
+  const [aiDraft, setAiDraft] = useState(null);
+  const [redaction, setRedaction] = useState(DEFAULT_REDACTION);
+  const [redactionTermsText, setRedactionTermsText] = useState('');
+  const aiAbortRef = useRef(null);
   const [aiSummary, setAiSummary] = useState(null);
   const [aiLoading, setAiLoading] = useState(false);
   const [aiError, setAiError] = useState(null);
@@ -362,63 +359,101 @@ export default function RandomMessage({ data }) {
   }, [data?.stats?.byChannel]);
 
   const searchResults = useMemo(() => {
-    let filtered = allMessages;
+    let filtered = search.messages;
     if (locationFilter) filtered = filtered.filter((m) => m.channelId === locationFilter);
-    const q = searchKeyword.trim().toLowerCase();
-    if (q) filtered = filtered.filter((m) => m.contents && String(m.contents).toLowerCase().includes(q));
     const after = toDateOnly(afterDate);
-    if (after) filtered = filtered.filter((m) => { const t = safeTimestamp(m); return t && t.getTime() >= after.getTime(); });
+    if (after) filtered = filtered.filter((m) => { const key = getLocalDateKey(m.timestamp, data?.timeZone); return key && key >= after; });
     const before = toDateOnly(beforeDate);
-    if (before) {
-      const endOfDay = new Date(before);
-      endOfDay.setHours(23, 59, 59, 999);
-      filtered = filtered.filter((m) => { const t = safeTimestamp(m); return t && t.getTime() <= endOfDay.getTime(); });
-    }
+    if (before) filtered = filtered.filter((m) => { const key = getLocalDateKey(m.timestamp, data?.timeZone); return key && key <= before; });
     const minLen = minLength.trim() === '' ? null : parseInt(minLength.trim(), 10);
     if (minLen != null && !isNaN(minLen) && minLen > 0) filtered = filtered.filter((m) => (m.contents && String(m.contents).length >= minLen));
+    const tone = TONE_FILTERS.find((t) => t.id === toneFilter)?.test;
+    if (tone) filtered = filtered.filter((m) => m.tone && tone(m.tone));
     filtered = [...filtered].sort((a, b) => {
       const ta = safeTimestamp(a)?.getTime() ?? 0;
       const tb = safeTimestamp(b)?.getTime() ?? 0;
       return tb - ta;
     });
     return filtered;
-  }, [allMessages, searchKeyword, afterDate, beforeDate, minLength, locationFilter]);
+  }, [search, afterDate, beforeDate, minLength, locationFilter, toneFilter, data?.timeZone]);
 
   const filteredSummarySource = useMemo(
-    () => buildFilteredChannel(searchResults, `Filtered results (${searchResults.length} messages)`),
-    [searchResults]
+    () => buildFilteredChannel(searchResults, data?.stopwords, `Filtered results (${searchResults.length} messages)`),
+    [searchResults, data?.stopwords]
   );
   const overviewParagraphs = useMemo(() => generateChannelOverview(filteredSummarySource, s), [filteredSummarySource, s]);
 
   useEffect(() => {
+    aiAbortRef.current?.abort();
+    setAiDraft(null);
     setAiSummary(null);
     setAiError(null);
-  }, [searchKeyword, afterDate, beforeDate, minLength, locationFilter]);
-
-  const handleSaveApiKey = () => {
-    if (typeof localStorage !== 'undefined') localStorage.setItem(OPENAI_KEY_STORAGE, apiKeyInput.trim());
+  }, [searchKeyword, afterDate, beforeDate, minLength, locationFilter, toneFilter]);
+  useEffect(() => () => aiAbortRef.current?.abort(), []);
+
+  /** The request as it will be sent: redaction applied and dropped excerpts left out. */
+  const aiRequest = useMemo(() => {
+    if (!aiDraft) return null;
+    const options = { rules: redaction.rules, terms: parseRedactionTerms(redactionTermsText) };
+    const excerpts = aiDraft.excerpts.map((e) => ({ ...e, redacted: redactText(e.text, options) }));
+    const input = {
+      name: redactText(aiDraft.input.name, options),
+      words: aiDraft.input.words.map((w) => redactText(w, options)),
+      sampleSize: aiDraft.input.sampleSize,
+      excerpts: excerpts.filter((e) => e.included).map((e) => e.redacted),
+    };
+    return { excerpts, prompt: buildAISummaryPrompt(aiDraft.source, input) };
+  }, [aiDraft, redaction, redactionTermsText]);
+
+  const handleSaveLlmSettings = (next) => {
+    saveLlmSettings(next);
+    setLlmSettings(next);
   };
-  const handleGenerateAISummary = async () => {
-    const key = typeof localStorage !== 'undefined' ? localStorage.getItem(OPENAI_KEY_STORAGE) : null;
-    if (!key?.trim()) {
-      setAiError('Add your OpenAI API key below and click Save to enable AI summary.');
-      return;
-    }
+  const handlePrepareAISummary = () => {
     if (!filteredSummarySource || filteredSummarySource.count === 0) {
       setAiError('No messages match the current filters. Adjust filters or clear them to include all messages.');
       return;
     }
+    const input = sampleAISummaryInput(filteredSummarySource, s);
+    setAiError(null);
+    setAiSummary(null);
+    setAiDraft({ source: filteredSummarySource, input, excerpts: input.excerpts.map((text) => ({ text, included: true })) });
+  };
+  const toggleExcerpt = (index) => {
+    setAiDraft((d) => ({ ...d, excerpts: d.excerpts.map((e, i) => (i === index ? { ...e, included: !e.included } : e)) }));
+  };
+  const toggleRedactionRule = (id) => {
+    setRedaction((r) => ({ ...r, rules: r.rules.includes(id) ? r.rules.filter((x) => x !== id) : [...r.rules, id] }));
+  };
+  const handleGenerateAISummary = async () => {
+    const problem = validateLlmSettings(llmSettings);
+    if (problem) {
+      setAiError(problem);
+      return;
+    }
+    if (!aiRequest) return;
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
     setAiError(null);
+    setAiSummary('');
     setAiLoading(true);
     try {
-      const text = await fetchAISummary(key, filteredSummarySource, s);
+      const text = await streamChat(llmSettings, [{ role: 'user', content: aiRequest.prompt }], {
+        signal: controller.signal,
+        onText: setAiSummary,
+      });
       setAiSummary(text);
     } catch (e) {
-      setAiError(e?.message || 'Request failed.');
+      if (e?.name !== 'AbortError') {
+        console.error('[Discord Analyzer] AI summary failed', e);
+        setAiError(e?.message === 'Failed to fetch' ? `Could not reach ${llmSettings.baseUrl}. Is the server running and allowing requests from this page?` : e?.message || 'Request failed.');
+      }
     } finally {
+      if (aiAbortRef.current === controller) aiAbortRef.current = null;
       setAiLoading(false);
     }
   };
+  const handleCancelAISummary = () => aiAbortRef.current?.abort();
   const handleRandomMessage = (fromResults = false) => {
     const pool = fromResults && searchResults.length > 0 ? searchResults : allMessages;
     if (pool.length === 0) return;
@@ -473,14 +508,14 @@ export default function RandomMessage({ data }) {
     if (viewedIndex >= 0 && viewedIndex < displayedResults.length - 1) setSelectedMessage(displayedResults[viewedIndex + 1]);
   };
 
-  const hasFilters = searchKeyword.trim() || afterDate.trim() || beforeDate.trim() || (minLength.trim() !== '' && !isNaN(parseInt(minLength.trim(), 10))) || locationFilter;
+  const hasFilters = searchKeyword.trim() || afterDate.trim() || beforeDate.trim() || (minLength.trim() !== '' && !isNaN(parseInt(minLength.trim(), 10))) || locationFilter || toneFilter;
 
   if (!data?.stats) return <div className="panel">No data loaded.</div>;
 
   return (
     <div className="random-message-view">
       <h2 className="view-heading">Message lookup</h2>
-      <p className="random-message-intro">Search by keyword, filter by location, date range, or minimum message length. Results are newest first.</p>
+      <p className="random-message-intro">Search by keyword, filter by location, date range, minimum message length, or tone. Results are newest first.</p>
 
       <section className="random-message-section random-msg-random">
         <h3 className="panel-title">Random message</h3>
@@ -496,7 +531,7 @@ export default function RandomMessage({ data }) {
         </div>
         {viewedMessage && (
           <>
-            <MessageCard message={viewedMessage} title={randomMessage && !selectedMessage ? 'Random message' : 'Message details'} />
+            <MessageCard message={viewedMessage} title={randomMessage && !selectedMessage ? 'Random message' : 'Message details'} timeZone={data?.timeZone} highlighter={search.highlighter} onShowInContext={onNavigate ? showInContext : undefined} />
             <div className="random-msg-nav">
               <button type="button" className="overview-btn random-msg-nav-btn" onClick={handlePrevMessage} disabled={!canPrev} aria-label="Previous message">
                 ← Previous
@@ -530,27 +565,70 @@ export default function RandomMessage({ data }) {
       <section className="panel overview-section overview-summary-dropdown random-msg-overview-section">
         <h3 className="panel-title">AI overview (based on current filters)</h3>
         <p className="random-msg-overview-desc">
-          The summary is based on the messages that match your current filters (location, keyword, dates, min length). Use the filters below to focus on a different set of messages. {searchResults.length > 0 ? `${searchResults.length.toLocaleString()} message${searchResults.length !== 1 ? 's' : ''} currently match.` : 'No messages match — clear or adjust filters.'}
+          The summary is based on the messages that match your current filters (location, keyword, dates, min length, tone). Nothing is sent until you review the excerpts and click Send. Use the filters below to focus on a different set of messages. {searchResults.length > 0 ? `${searchResults.length.toLocaleString()} message${searchResults.length !== 1 ? 's' : ''} currently match.` : 'No messages match — clear or adjust filters.'}
         </p>
+        <AiProviderSettings settings={llmSettings} onSave={handleSaveLlmSettings} />
         <div className="overview-ai-toolbar">
-          <input
-            type="password"
-            className="overview-api-key-input"
-            placeholder="OpenAI API key (optional)"
-            value={apiKeyInput}
-            onChange={(e) => setApiKeyInput(e.target.value)}
-            aria-label="OpenAI API key"
-          />
-          <button type="button" className="overview-btn overview-btn-save" onClick={handleSaveApiKey}>Save</button>
           <button
             type="button"
-            className="overview-btn overview-btn-ai"
-            onClick={handleGenerateAISummary}
+            className="overview-btn"
+            onClick={handlePrepareAISummary}
             disabled={!filteredSummarySource || filteredSummarySource.count === 0 || aiLoading}
           >
-            {aiLoading ? 'Generating…' : 'Generate AI summary'}
+            {aiDraft ? 'Pick new excerpts' : 'Prepare AI summary'}
           </button>
+          {aiDraft && (
+            <button
+              type="button"
+              className="overview-btn overview-btn-ai"
+              onClick={handleGenerateAISummary}
+              disabled={aiLoading || !aiRequest}
+            >
+              {aiLoading ? 'Generating…' : `Send to ${getProviderPreset(llmSettings.provider).label}${isLocalEndpoint(llmSettings.baseUrl) ? ' (local)' : ''}`}
+            </button>
+          )}
+          {aiLoading && (
+            <button type="button" className="overview-btn" onClick={handleCancelAISummary}>Stop</button>
+          )}
         </div>
+        {aiDraft && aiRequest && (
+          <div className="random-msg-ai-preview">
+            <h4 className="overview-summary-label">Review what will be sent</h4>
+            <div className="random-msg-redaction">
+              {REDACTION_RULES.map((rule) => (
+                <label key={rule.id} className="random-msg-redaction-rule">
+                  <input type="checkbox" checked={redaction.rules.includes(rule.id)} onChange={() => toggleRedactionRule(rule.id)} />
+                  Hide {rule.label.toLowerCase()}
+                </label>
+              ))}
+              <input
+                type="text"
+                className="random-msg-search-input random-msg-redaction-terms"
+                placeholder="Also hide these words (names, places), comma-separated"
+                value={redactionTermsText}
+                onChange={(e) => setRedactionTermsText(e.target.value)}
+                aria-label="Words to hide"
+              />
+            </div>
+            <p className="random-msg-muted">
+              {aiRequest.excerpts.filter((e) => e.included).length} of {aiRequest.excerpts.length} excerpts included. Untick any you don't want to send.
+            </p>
+            <ol className="random-msg-ai-excerpts">
+              {aiRequest.excerpts.map((e, i) => (
+                <li key={i} className={e.included ? '' : 'excluded'}>
+                  <label>
+                    <input type="checkbox" checked={e.included} onChange={() => toggleExcerpt(i)} />
+                    <span>{e.redacted}</span>
+                  </label>
+                </li>
+              ))}
+            </ol>
+            <details className="random-msg-ai-request">
+              <summary>Full request text</summary>
+              <pre>{aiRequest.prompt}</pre>
+            </details>
+          </div>
+        )}
         {aiError && <p className="overview-ai-error">{aiError}</p>}
         {aiSummary && (
           <div className="overview-summary-card overview-summary-ai">
@@ -588,15 +666,17 @@ export default function RandomMessage({ data }) {
             </select>
           </label>
           <label className="random-msg-label">
-            <span className="random-msg-label-text">Keyword</span>
+            <span className="random-msg-label-text">Search</span>
             <input
               type="text"
               className="random-msg-search-input"
-              placeholder="Search message content…"
+              placeholder='e.g. "exact phrase" -word channel:general'
+              title={SEARCH_SYNTAX_HINT}
               value={searchKeyword}
               onChange={(e) => { setSearchKeyword(e.target.value); setSelectedMessage(null); }}
-              aria-label="Search by keyword"
+              aria-label="Search messages"
             />
+            {search.error && <span className="random-msg-search-error">{search.error}</span>}
           </label>
           <label className="random-msg-label">
             <span className="random-msg-label-text">After date</span>
@@ -630,6 +710,20 @@ export default function RandomMessage({ data }) {
               aria-label="Minimum message length in characters"
             />
           </label>
+          <label className="random-msg-label">
+            <span className="random-msg-label-text">Tone</span>
+            <select
+              className="random-msg-select"
+              value={toneFilter}
+              onChange={(e) => { setToneFilter(e.target.value); setSelectedMessage(null); }}
+              aria-label="Filter by tone"
+              title="Scored offline from an English word list, emoji and emoticons"
+            >
+              {TONE_FILTERS.map((t) => (
+                <option key={t.id} value={t.id}>{t.label}</option>
+              ))}
+            </select>
+          </label>
         </div>
       </section>
 
@@ -645,11 +739,14 @@ export default function RandomMessage({ data }) {
             message={m}
             onSelect={setSelectedMessage}
             isSelected={selectedMessage === m}
+            timeZone={data?.timeZone}
+            highlighter={search.highlighter}
+            onShowInContext={onNavigate ? showInContext : undefined}
           />
         ))}
       </div>
       {searchResults.length === 0 && (
-        <p className="random-msg-muted">No messages match the current filters. Try changing keyword, dates, or min length.</p>
+        <p className="random-msg-muted">No messages match the current filters. Try changing keyword, dates, min length, or tone.</p>
       )}
     </div>
   );
@@ -1,20 +1,90 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { formatInTimeZone } from '../utils/dateUtils';
+import { summarizeConversation } from '../utils/channelStats';
 import './Servers.css';
 
+const TOOLTIP_STYLE = { background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 };
+
+function percent(part, total) {
+  if (!total) return '0%';
+  const p = (part / total) * 100;
+  return `${p < 1 && p > 0 ? p.toFixed(1) : Math.round(p)}%`;
+}
+
+/** Monthly activity curve and first/last message of one server; only computed once the card is opened. */
+function ServerActivity({ server, timeZone }) {
+  const summary = useMemo(
+    () => summarizeConversation(server.channels.flatMap((ch) => ch.messages ?? []), timeZone),
+    [server, timeZone]
+  );
+  if (summary.count === 0) return null;
+  return (
+    <>
+      <p className="server-meta">
+        First message {formatInTimeZone(summary.firstAt, timeZone, { dateStyle: 'medium' })} · last{' '}
+        {formatInTimeZone(summary.lastAt, timeZone, { dateStyle: 'medium' })} · active on {summary.activeDays.toLocaleString()} day(s)
+      </p>
+      {summary.byMonth.length > 1 && (
+        <div className="chart-container">
+          <ResponsiveContainer width="100%" height={180}>
+            <AreaChart data={summary.byMonth} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="month" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+              <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} />
+              <Area type="monotone" dataKey="count" name="Messages" stroke="#5865f2" fill="#5865f2" fillOpacity={0.25} />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </>
+  );
+}
+
 export default function Servers({ data }) {
+  const [expanded, setExpanded] = useState(() => new Set());
+
   if (!data?.stats) return <div className="panel">No data loaded.</div>;
 
   const byGuild = data.stats.byGuild ?? [];
   const byChannel = data.stats.byChannel ?? [];
+  const catalogue = data.guilds ?? [];
+
+  // Every guild in the package (servers/ catalogue), plus any only seen through channel metadata.
+  const catalogueIds = new Set(catalogue.map((g) => String(g.id)));
+  const allGuilds = [
+    ...catalogue.map((g) => ({ guildId: g.id, guildName: g.name, joinedAt: g.joinedAt, auditLog: g.auditLog ?? [] })),
+    ...byGuild
+      .filter((g) => !catalogueIds.has(String(g.guildId)))
+      .map((g) => ({ guildId: g.guildId, guildName: g.guildName, joinedAt: null, auditLog: [] })),
+  ];
+
+  const serversWithChannels = allGuilds
+    .map((g) => {
+      const channels = byChannel.filter((ch) => String(ch.guildId) === String(g.guildId));
+      return {
+        ...g,
+        channels: channels.sort((a, b) => (b.count ?? 0) - (a.count ?? 0)),
+        totalMessages: channels.reduce((sum, c) => sum + (c.count ?? 0), 0),
+      };
+    })
+    .sort((a, b) => b.totalMessages - a.totalMessages || String(a.guildName ?? '').localeCompare(String(b.guildName ?? '')));
+  const silentCount = serversWithChannels.filter((g) => g.totalMessages === 0).length;
+  const totalMessages = data.stats.totalMessages ?? 0;
+  const serverMessages = serversWithChannels.reduce((sum, g) => sum + g.totalMessages, 0);
+  const shareData = serversWithChannels
+    .filter((g) => g.totalMessages > 0)
+    .slice(0, 10)
+    .map((g) => ({ name: g.guildName ?? String(g.guildId), share: totalMessages ? Math.round((g.totalMessages / totalMessages) * 1000) / 10 : 0 }));
 
-  const serversWithChannels = byGuild.map((g) => {
-    const channels = byChannel.filter((ch) => ch.guildId === g.guildId);
-    return {
-      ...g,
-      channels: channels.sort((a, b) => (b.count ?? 0) - (a.count ?? 0)),
-      totalMessages: channels.reduce((sum, c) => sum + (c.count ?? 0), 0),
-    };
-  });
+  const toggle = (guildId) =>
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(guildId)) next.delete(guildId);
+      else next.add(guildId);
+      return next;
+    });
 
   return (
     <div className="servers-view">
@@ -22,9 +92,29 @@ export default function Servers({ data }) {
       <div className="panel">
         <h3 className="panel-title">Servers you are/were in</h3>
         <p className="servers-count">
-          <strong>{serversWithChannels.length}</strong> server(s) with message data
+          <strong>{serversWithChannels.length}</strong> server(s) in this export
+          {silentCount > 0 && <> · <strong>{silentCount}</strong> without any of your messages</>}
+        </p>
+        <p className="servers-count">
+          Server messages: <strong>{serverMessages.toLocaleString()}</strong> ({percent(serverMessages, totalMessages)} of everything you sent)
         </p>
       </div>
+      {shareData.length > 1 && (
+        <div className="panel">
+          <h3 className="panel-title">Share of all your messages (top {shareData.length} servers)</h3>
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height={Math.max(160, shareData.length * 30)}>
+              <BarChart data={shareData} layout="vertical" margin={{ top: 8, right: 16, left: 8, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis type="number" unit="%" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                <YAxis type="category" dataKey="name" width={140} stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} formatter={(v) => [`${v}%`, 'Share']} />
+                <Bar dataKey="share" fill="#eb459e" radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
       {serversWithChannels.length === 0 ? (
         <div className="panel">No server data in this export.</div>
       ) : (
@@ -32,28 +122,60 @@ export default function Servers({ data }) {
           <div key={server.guildId} className="panel server-card">
             <h3 className="server-name">{server.guildName ?? server.guildId}</h3>
             <p className="server-meta">
-              {server.channels.length} channel(s) · {server.totalMessages?.toLocaleString() ?? 0} messages
+              {server.totalMessages > 0
+                ? `${server.channels.length} channel(s) · ${server.totalMessages.toLocaleString()} messages · ${percent(server.totalMessages, totalMessages)} of all`
+                : 'No messages from you in this export'}
+              {server.joinedAt && ` · joined ${formatInTimeZone(server.joinedAt, data.timeZone, { dateStyle: 'medium' })}`}
             </p>
-            <div className="table-wrap">
-              <table className="data-table">
-                <thead>
-                  <tr>
-                    <th>Channel</th>
-                    <th>Messages</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {server.channels.slice(0, 30).map((ch, i) => (
-                    <tr key={ch.channelId ?? i}>
-                      <td>{ch.channelName ?? ch.channelId ?? '—'}</td>
-                      <td>{ch.count?.toLocaleString() ?? 0}</td>
-                    </tr>
+            {server.auditLog.length > 0 && (
+              <details className="server-audit">
+                <summary>{server.auditLog.length} audit log entr{server.auditLog.length !== 1 ? 'ies' : 'y'} by you</summary>
+                <ul className="server-audit-list">
+                  {server.auditLog.slice(0, 50).map((e, i) => (
+                    <li key={e.id ?? i}>
+                      <span className="server-audit-action">{e.action}</span>
+                      {e.createdAt && <span className="server-audit-date">{formatInTimeZone(e.createdAt, data.timeZone)}</span>}
+                      {e.reason && <span className="server-audit-reason">“{e.reason}”</span>}
+                    </li>
                   ))}
-                </tbody>
-              </table>
-            </div>
-            {server.channels.length > 30 && (
-              <p className="server-more">+ {server.channels.length - 30} more channels</p>
+                </ul>
+              </details>
+            )}
+            {server.channels.length > 0 && (
+              <button type="button" className="server-toggle" onClick={() => toggle(server.guildId)} aria-expanded={expanded.has(server.guildId)}>
+                {expanded.has(server.guildId) ? '▾ Hide activity & channels' : '▸ Show activity & channels'}
+              </button>
+            )}
+            {expanded.has(server.guildId) && (
+              <>
+                <ServerActivity server={server} timeZone={data.timeZone} />
+                <div className="table-wrap">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Channel</th>
+                        <th>Messages</th>
+                        <th>Share of server</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {server.channels.slice(0, 30).map((ch, i) => (
+                        <tr key={ch.channelId ?? i}>
+                          <td>{ch.channelName ?? ch.channelId ?? '—'}</td>
+                          <td>{ch.count?.toLocaleString() ?? 0}</td>
+                          <td>
+                            <span className="server-share-bar" style={{ ['--share']: `${((ch.count ?? 0) / server.totalMessages) * 100}%` }} />
+                            {percent(ch.count ?? 0, server.totalMessages)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {server.channels.length > 30 && (
+                  <p className="server-more">+ {server.channels.length - 30} more channels</p>
+                )}
+              </>
             )}
           </div>
         ))
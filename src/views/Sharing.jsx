@@ -0,0 +1,202 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, PieChart, Pie, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from 'recharts';
+import { aggregateSeries, suggestGranularity, bucketLabel } from '../utils/timeSeries';
+import { ATTACHMENT_KIND_LABELS } from '../utils/messageEntities';
+import AggregationControl from '../components/AggregationControl';
+import './Sharing.css';
+
+const TOOLTIP_STYLE = { background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 };
+const KIND_COLORS = ['#5865f2', '#eb459e', '#e6c04a', '#23a559', '#00b4d8', '#ed4245', '#99aab5'];
+const MAX_CHANNEL_OPTIONS = 200;
+
+const MENTION_TYPE_LABELS = { user: 'Person', role: 'Role', channel: 'Channel', everyone: 'Everyone' };
+
+function mentionLabel(m) {
+  if (m.name) return m.type === 'channel' ? `#${m.name}` : m.name;
+  if (m.type === 'user') return `User ${m.id}`;
+  if (m.type === 'role') return `Role ${m.id}`;
+  if (m.type === 'channel') return `Channel ${m.id}`;
+  return `@${m.id}`;
+}
+
+function RankTable({ title, rows, columns, empty }) {
+  const max = Math.max(1, ...rows.map((r) => r.count ?? 0));
+  return (
+    <div className="panel">
+      <h3 className="panel-title">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="sharing-empty">{empty}</p>
+      ) : (
+        <div className="table-wrap">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                {columns.map((c) => (
+                  <th key={c.label}>{c.label}</th>
+                ))}
+                <th>Count</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, i) => (
+                <tr key={i}>
+                  <td>{i + 1}</td>
+                  {columns.map((c) => (
+                    <td key={c.label}>{c.render(row)}</td>
+                  ))}
+                  <td>
+                    <span className="sharing-bar" style={{ ['--share']: `${(row.count / max) * 100}%` }} />
+                    {row.count.toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Who you @mention, which sites you link to and what kind of files you send, globally or for one channel. */
+export default function Sharing({ data }) {
+  const [channelId, setChannelId] = useState('');
+  const [aggregation, setAggregation] = useState(null);
+
+  const sharesByDay = data?.stats?.sharesByDay ?? [];
+  const granularity = aggregation?.granularity ?? suggestGranularity(sharesByDay);
+  const rolling = aggregation?.rolling ?? 0;
+  const series = useMemo(
+    () => aggregateSeries(sharesByDay, { granularity, rolling, keys: ['links', 'attachments'] }),
+    [sharesByDay, granularity, rolling]
+  );
+
+  if (!data?.stats) return <div className="panel">No data loaded.</div>;
+
+  const s = data.stats;
+  if (!s.topDomains) {
+    return <div className="panel">This export was summarized by an older version. Load it again to see mentions and links.</div>;
+  }
+  const channels = (s.byChannel ?? []).slice(0, MAX_CHANNEL_OPTIONS);
+  const channel = channelId ? channels.find((ch) => String(ch.channelId) === channelId) : null;
+  const scope = channel
+    ? {
+        mentions: channel.topMentions ?? [],
+        domains: channel.topDomains ?? [],
+        kinds: channel.attachmentKinds ?? [],
+        links: channel.linkCount ?? 0,
+        attachments: channel.attachmentCount ?? 0,
+        mentionCount: (channel.topMentions ?? []).reduce((sum, m) => sum + m.count, 0),
+      }
+    : {
+        mentions: s.topMentions ?? [],
+        domains: s.topDomains ?? [],
+        kinds: s.attachmentKinds ?? [],
+        links: s.totalLinks ?? 0,
+        attachments: s.attachmentCount ?? 0,
+        mentionCount: s.totalMentions ?? 0,
+      };
+  const kindData = scope.kinds.map((k) => ({ name: ATTACHMENT_KIND_LABELS[k.kind] ?? k.kind, value: k.count }));
+
+  return (
+    <div className="sharing-view">
+      <h2 className="view-heading">Mentions & links</h2>
+      <div className="panel">
+        <label className="sharing-scope">
+          <span>Show</span>
+          <select value={channelId} onChange={(e) => setChannelId(e.target.value)}>
+            <option value="">All messages</option>
+            {channels.map((ch) => (
+              <option key={ch.channelId} value={String(ch.channelId)}>
+                {ch.channelName ?? ch.channelId}
+                {ch.guildName ? ` (${ch.guildName})` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <ul className="sharing-summary">
+          <li>
+            Mentions: <strong>{scope.mentionCount.toLocaleString()}</strong>
+            {channel && scope.mentions.length === 10 && ' (top 10 shown)'}
+          </li>
+          <li>Links: <strong>{scope.links.toLocaleString()}</strong></li>
+          <li>Attachments: <strong>{scope.attachments.toLocaleString()}</strong></li>
+        </ul>
+      </div>
+
+      {!channel && series.length > 1 && (
+        <div className="panel">
+          <h3 className="panel-title">Links and attachments shared over time</h3>
+          <AggregationControl granularity={granularity} rolling={rolling} onChange={setAggregation} />
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={series} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis dataKey="date" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} allowDecimals={false} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={bucketLabel} />
+                <Legend />
+                <Line type="monotone" dataKey={rolling > 0 ? 'linksAvg' : 'links'} name="Links" stroke="#5865f2" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey={rolling > 0 ? 'attachmentsAvg' : 'attachments'} name="Attachments" stroke="#e6c04a" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      <RankTable
+        title="Who and what you mention"
+        rows={scope.mentions.slice(0, 50)}
+        columns={[
+          { label: 'Mention', render: mentionLabel },
+          { label: 'Type', render: (m) => MENTION_TYPE_LABELS[m.type] ?? m.type },
+        ]}
+        empty="No @mentions in these messages."
+      />
+      <p className="sharing-note">
+        People are named when you also have a one-to-one DM with them in the export; otherwise only their ID is known.
+      </p>
+
+      <RankTable
+        title="Sites you link to"
+        rows={scope.domains.slice(0, 50)}
+        columns={[{ label: 'Domain', render: (d) => d.domain }]}
+        empty="No links in these messages."
+      />
+
+      <div className="panel">
+        <h3 className="panel-title">Files you send</h3>
+        {kindData.length === 0 ? (
+          <p className="sharing-empty">No attachments in these messages.</p>
+        ) : (
+          <div className="sharing-files">
+            <div className="chart-container sharing-pie">
+              <ResponsiveContainer width="100%" height={220}>
+                <PieChart>
+                  <Pie data={kindData} dataKey="value" nameKey="name" innerRadius={50} outerRadius={85} paddingAngle={2}>
+                    {kindData.map((_, i) => (
+                      <Cell key={i} fill={KIND_COLORS[i % KIND_COLORS.length]} />
+                    ))}
+                  </Pie>
+                  <Tooltip contentStyle={TOOLTIP_STYLE} />
+                  <Legend />
+                </PieChart>
+              </ResponsiveContainer>
+            </div>
+            {!channel && (
+              <ul className="sharing-extensions">
+                {(s.attachmentTypes ?? []).slice(0, 20).map((t) => (
+                  <li key={t.ext || t.kind}>
+                    <span className="sharing-ext">{t.ext ? `.${t.ext}` : 'no extension'}</span>
+                    <span className="sharing-ext-count">{t.count.toLocaleString()}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,33 +1,11 @@
 import React, { useMemo, useState } from 'react';
 import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
-import { getLocalDateKey, parseLocalDate, addLocalDay } from '../utils/dateUtils';
+import { getLocalDateKey, parseLocalDate } from '../utils/dateUtils';
+import { aggregateSeries, suggestGranularity, bucketLabel } from '../utils/timeSeries';
+import AggregationControl from '../components/AggregationControl';
 import './Overview.css';
 import './Timeline.css';
 
-function fillMissingDays(dayEntries) {
-  if (!Array.isArray(dayEntries) || dayEntries.length === 0) return [];
-  const byDate = new Map();
-  for (const e of dayEntries) {
-    const date = e?.date;
-    if (date != null && String(date).length >= 8) byDate.set(String(date).slice(0, 10), Number(e.count) || 0);
-  }
-  const sorted = [...byDate.keys()].sort();
-  if (sorted.length === 0) return [];
-  const min = sorted[0];
-  const max = sorted[sorted.length - 1];
-  const start = parseLocalDate(min);
-  const end = parseLocalDate(max);
-  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) return [];
-  const out = [];
-  const d = new Date(start);
-  while (d <= end) {
-    const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-    out.push({ date: key, count: byDate.get(key) ?? 0 });
-    addLocalDay(d);
-  }
-  return out;
-}
-
 function formatDate(dateStr) {
   if (dateStr == null || String(dateStr).length < 8) return '—';
   try {
@@ -40,24 +18,24 @@ function formatDate(dateStr) {
 
 export default function Timeline({ data }) {
   const [channelFilter, setChannelFilter] = useState('');
+  const [aggregation, setAggregation] = useState(null);
 
-  const { chartData, events } = useMemo(() => {
+  const byDay = Array.isArray(data?.stats?.byDay) ? data.stats.byDay : [];
+  const granularity = aggregation?.granularity ?? suggestGranularity(byDay);
+  const rolling = aggregation?.rolling ?? 0;
+  const chartData = useMemo(() => aggregateSeries(byDay, { granularity, rolling }), [byDay, granularity, rolling]);
+  const chartWidth = Math.max(600, chartData.length * (granularity === 'day' ? 2.5 : 14));
+
+  const events = useMemo(() => {
     try {
-      if (!data?.stats) return { chartData: [], events: [] };
+      if (!data?.stats) return [];
       const s = data.stats;
       const byChannel = Array.isArray(s.byChannel) ? s.byChannel : [];
-      const byDay = Array.isArray(s.byDay) ? s.byDay : [];
-
-      const rawChartData = fillMissingDays(byDay);
-      const chartData = rawChartData.map((row) => ({
-        date: row.date,
-        count: Number(row.count) || 0,
-      }));
 
       const eventList = [];
       const firstGlobalTs = s.firstMessageAt;
       if (firstGlobalTs) {
-        const key = getLocalDateKey(firstGlobalTs);
+        const key = getLocalDateKey(firstGlobalTs, data.timeZone);
         if (key) {
           eventList.push({
             date: key,
@@ -73,7 +51,7 @@ export default function Timeline({ data }) {
       for (let i = 0; i < byChannel.length && eventList.length < MAX_CHANNEL_EVENTS + 20; i++) {
         const ch = byChannel[i];
         if (!ch?.firstMessageAt) continue;
-        const key = getLocalDateKey(ch.firstMessageAt);
+        const key = getLocalDateKey(ch.firstMessageAt, data.timeZone);
         if (!key) continue;
         eventList.push({
           date: key,
@@ -106,12 +84,12 @@ export default function Timeline({ data }) {
 
       eventList.sort((a, b) => String(a.sortKey).localeCompare(String(b.sortKey)));
 
-      return { chartData, events: eventList };
+      return eventList;
     } catch (err) {
       console.error('[Timeline]', err);
-      return { chartData: [], events: [] };
+      return [];
     }
-  }, [data]);
+  }, [data, byDay]);
 
   const filteredEvents = useMemo(() => {
     if (!Array.isArray(events)) return [];
@@ -136,14 +114,15 @@ export default function Timeline({ data }) {
 
       <div className="panel">
         <h3 className="panel-title">Message frequency over time</h3>
-        <p className="timeline-muted">Daily message count across all channels</p>
+        <p className="timeline-muted">Message count per {granularity} across all channels</p>
+        <AggregationControl granularity={granularity} rolling={rolling} onChange={setAggregation} />
         {chartData.length > 0 ? (
           <div className="timeline-chart-wrap">
-            <p className="timeline-muted timeline-chart-hint">Scroll horizontally to see the entire timeline.</p>
+            {chartWidth > 600 && <p className="timeline-muted timeline-chart-hint">Scroll horizontally to see the entire timeline.</p>}
             <div className="timeline-chart-scroll">
-              <div className="timeline-chart-inner" style={{ width: Math.max(600, chartData.length * 2.5) }}>
+              <div className="timeline-chart-inner" style={{ width: chartWidth }}>
                 <LineChart
-                  width={Math.max(600, chartData.length * 2.5)}
+                  width={chartWidth}
                   height={260}
                   data={chartData}
                   margin={{ top: 8, right: 8, left: 0, bottom: 8 }}
@@ -164,8 +143,8 @@ export default function Timeline({ data }) {
                       border: '1px solid var(--border)',
                       borderRadius: 8,
                     }}
-                    formatter={(value) => [value != null ? value : 0, 'messages']}
-                    labelFormatter={(label) => formatDate(label)}
+                    formatter={(value, name) => [value != null ? value : 0, name]}
+                    labelFormatter={(label, payload) => (granularity === 'day' ? formatDate(label) : bucketLabel(label, payload))}
                   />
                   <Line
                     type="monotone"
@@ -175,6 +154,9 @@ export default function Timeline({ data }) {
                     dot={false}
                     name="Messages"
                   />
+                  {rolling > 0 && (
+                    <Line type="monotone" dataKey="countAvg" stroke="#eb459e" strokeWidth={2} strokeDasharray="5 3" dot={false} name={`${rolling}-${granularity} average`} />
+                  )}
                 </LineChart>
               </div>
             </div>
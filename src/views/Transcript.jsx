@@ -0,0 +1,185 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import VirtualList from '../components/VirtualList';
+import { formatInTimeZone, getLocalDateKey, parseLocalDate } from '../utils/dateUtils';
+import { describeAttachment } from '../utils/messageEntities';
+import './Transcript.css';
+
+function channelOptionLabel(ch) {
+  const name = ch.channelName ?? ch.channelId;
+  return ch.guildId ? `${ch.guildName ?? 'Server'} › ${name}` : `DM · ${name}`;
+}
+
+function AttachmentPreview({ attachment }) {
+  const [failed, setFailed] = useState(false);
+  const { url, name, kind } = describeAttachment(attachment);
+  if (!url) return null;
+  if (!failed && kind === 'image') {
+    return (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="transcript-attachment-image">
+        <img src={url} alt={name} loading="lazy" onError={() => setFailed(true)} />
+      </a>
+    );
+  }
+  if (!failed && kind === 'video') {
+    return <video className="transcript-attachment-video" src={url} controls preload="none" onError={() => setFailed(true)} />;
+  }
+  return (
+    <a href={url} target="_blank" rel="noopener noreferrer" className="transcript-attachment-link">
+      📎 {name}
+    </a>
+  );
+}
+
+function MessageItem({ message, timeZone, focused }) {
+  const attachments = Array.isArray(message.attachments) ? message.attachments : message.attachments ? [message.attachments] : [];
+  return (
+    <div className={`transcript-message ${focused ? 'transcript-message-focused' : ''}`}>
+      <span className="transcript-time" title={formatInTimeZone(message.timestamp, timeZone, { dateStyle: 'full', timeStyle: 'long' })}>
+        {formatInTimeZone(message.timestamp, timeZone, { timeStyle: 'short' })}
+      </span>
+      <div className="transcript-body">
+        {message.contents ? <div className="transcript-text">{message.contents}</div> : null}
+        {attachments.length > 0 && (
+          <div className="transcript-attachments">
+            {attachments.map((a, i) => (
+              <AttachmentPreview key={i} attachment={a} />
+            ))}
+          </div>
+        )}
+        {!message.contents && attachments.length === 0 && <div className="transcript-text transcript-muted">(no text)</div>}
+      </div>
+    </div>
+  );
+}
+
+/** Messages of one channel, oldest first, with a separator row before each new day (in the data's time zone). */
+function buildItems(channel, timeZone) {
+  const messages = [...(channel?.messages ?? [])].sort(
+    (a, b) => (a.timestamp?.getTime?.() ?? 0) - (b.timestamp?.getTime?.() ?? 0)
+  );
+  const items = [];
+  let lastDay = null;
+  messages.forEach((m, i) => {
+    const day = getLocalDateKey(m.timestamp, timeZone);
+    if (day && day !== lastDay) {
+      items.push({ type: 'date', date: day, key: `d:${day}` });
+      lastDay = day;
+    }
+    items.push({ type: 'message', message: m, key: `m:${m.id ?? ''}:${i}` });
+  });
+  return items;
+}
+
+const estimateSize = (item) => (item.type === 'date' ? 40 : 44);
+const getKey = (item) => item.key;
+
+export default function Transcript({ data, params }) {
+  const byChannel = data?.stats?.byChannel ?? [];
+  const [channelId, setChannelId] = useState(() => params?.channelId ?? byChannel[0]?.channelId ?? null);
+  const [focusId, setFocusId] = useState(() => params?.messageId ?? null);
+  const [jumpDate, setJumpDate] = useState('');
+  const listRef = useRef(null);
+
+  // "Show in context" from another view: switch channel and focus the message.
+  useEffect(() => {
+    if (params?.channelId != null) setChannelId(params.channelId);
+    setFocusId(params?.messageId ?? null);
+  }, [params]);
+
+  const channel = useMemo(
+    () => byChannel.find((c) => String(c.channelId) === String(channelId)) ?? byChannel[0] ?? null,
+    [byChannel, channelId]
+  );
+  const items = useMemo(() => buildItems(channel, data?.timeZone), [channel, data?.timeZone]);
+
+  useEffect(() => {
+    if (focusId == null) {
+      listRef.current?.scrollToIndex(0);
+      return;
+    }
+    const index = items.findIndex((it) => it.type === 'message' && String(it.message.id) === String(focusId));
+    if (index !== -1) listRef.current?.scrollToIndex(index, 'center');
+  }, [items, focusId]);
+
+  const onJump = useCallback(
+    (e) => {
+      e.preventDefault();
+      if (!jumpDate) return;
+      let index = items.findIndex((it) => it.type === 'date' && it.date >= jumpDate);
+      if (index === -1) index = items.length - 1;
+      if (index >= 0) listRef.current?.scrollToIndex(index);
+    },
+    [items, jumpDate]
+  );
+
+  const renderItem = useCallback(
+    (item) =>
+      item.type === 'date' ? (
+        <div className="transcript-date">
+          <span>{parseLocalDate(item.date).toLocaleDateString(undefined, { dateStyle: 'full' })}</span>
+        </div>
+      ) : (
+        <MessageItem
+          message={item.message}
+          timeZone={data?.timeZone}
+          focused={focusId != null && String(item.message.id) === String(focusId)}
+        />
+      ),
+    [data?.timeZone, focusId]
+  );
+
+  if (!data?.stats) return <div className="panel">No data loaded.</div>;
+
+  const messageCount = channel?.messages?.length ?? 0;
+
+  return (
+    <div className="transcript-view">
+      <h2 className="view-heading">Conversations</h2>
+      <div className="panel">
+        <div className="transcript-controls">
+          <label className="transcript-label">
+            <span className="transcript-label-text">Channel / DM</span>
+            <select
+              className="transcript-select"
+              value={channel?.channelId ?? ''}
+              onChange={(e) => {
+                setChannelId(e.target.value);
+                setFocusId(null);
+              }}
+            >
+              {byChannel.map((ch) => (
+                <option key={ch.channelId} value={ch.channelId}>
+                  {channelOptionLabel(ch)} ({(ch.count ?? 0).toLocaleString()})
+                </option>
+              ))}
+            </select>
+          </label>
+          <form className="transcript-jump" onSubmit={onJump}>
+            <label className="transcript-label">
+              <span className="transcript-label-text">Jump to date</span>
+              <input type="date" className="transcript-date-input" value={jumpDate} onChange={(e) => setJumpDate(e.target.value)} />
+            </label>
+            <button type="submit" className="btn-primary transcript-jump-btn" disabled={!jumpDate}>
+              Go
+            </button>
+          </form>
+        </div>
+        <p className="transcript-muted">
+          {messageCount.toLocaleString()} message{messageCount !== 1 ? 's' : ''}, oldest first. Only your own messages are in the export.
+        </p>
+        {items.length === 0 ? (
+          <p className="transcript-muted">No messages in this channel.</p>
+        ) : (
+          <VirtualList
+            ref={listRef}
+            items={items}
+            estimateSize={estimateSize}
+            getKey={getKey}
+            renderItem={renderItem}
+            className="transcript-list"
+          />
+        )}
+      </div>
+    </div>
+  );
+}
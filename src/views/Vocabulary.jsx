@@ -1,8 +1,53 @@
 import React, { useMemo, useState } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { STOPWORD_LANGUAGES } from '../utils/stopwords';
 import './Overview.css';
 import './Messages.css';
 import './Vocabulary.css';
 
+function describeStopwords(stopwords) {
+  if (!stopwords) return 'Common English words are left out.';
+  const names = (stopwords.resolved ?? []).map((id) => STOPWORD_LANGUAGES.find((l) => l.id === id)?.label ?? id);
+  const langs = names.length ? names.join(', ') : 'no';
+  const how = Array.isArray(stopwords.languages) ? 'chosen in settings' : 'detected';
+  const custom = stopwords.custom?.length ? ` plus ${stopwords.custom.length} word${stopwords.custom.length !== 1 ? 's' : ''} of your own` : '';
+  return `Left out: common ${langs} words (${how})${custom}. Change this under ⚙ Settings.`;
+}
+
+const PHRASE_SIZE_OPTIONS = [
+  { id: 'all', label: 'All phrases' },
+  { id: '2', label: 'Two words' },
+  { id: '3', label: 'Three words' },
+];
+const TREND_WINDOWS = [3, 6, 12];
+
+const GROWTH_METRICS = [
+  { id: 'ttr', label: 'Type-token ratio', description: 'Distinct words divided by all words written that month. Busy months score lower, since long texts repeat words more.' },
+  { id: 'newWords', label: 'New words', description: 'Words you wrote that month for the first time in this export. The first months count almost everything as new.' },
+  { id: 'distinctWords', label: 'Distinct words', description: 'How many different words you wrote that month.' },
+  { id: 'avgWordsPerMessage', label: 'Message length', description: 'Average number of words per message.' },
+];
+
+/** YYYY-MM-DD a number of months before a YYYY-MM-DD date. */
+function monthsBefore(dateKey, months) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() - months);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Phrases first used within the last `months` of the export, and phrases not used at all in that time. */
+function getPhraseTrends(topPhrases, lastDay, months) {
+  if (!lastDay || !topPhrases?.length) return { newPhrases: [], fadedPhrases: [], cutoff: null };
+  const cutoff = monthsBefore(lastDay, months);
+  const earliest = topPhrases.reduce((min, p) => (p.firstUsed && p.firstUsed < min ? p.firstUsed : min), lastDay);
+  if (earliest >= cutoff) return { newPhrases: [], fadedPhrases: [], cutoff };
+  return {
+    newPhrases: topPhrases.filter((p) => p.firstUsed && p.firstUsed >= cutoff).slice(0, 20),
+    fadedPhrases: topPhrases.filter((p) => p.lastUsed && p.lastUsed < cutoff).slice(0, 20),
+    cutoff,
+  };
+}
+
 /** For each channel, words that appear more often there than globally (signature words). */
 function getSignatureWords(byChannel, globalTopWords) {
   const globalCount = (globalTopWords ?? []).reduce((sum, [, c]) => sum + c, 0) || 1;
@@ -28,12 +73,17 @@ function getSignatureWords(byChannel, globalTopWords) {
       channelName: ch.channelName ?? ch.channelId ?? 'Unknown',
       guildName: ch.guildName,
       signatureWords: withScore,
+      catchphrases: ch.catchphrases ?? [],
     };
-  }).filter((c) => c.signatureWords.length > 0);
+  }).filter((c) => c.signatureWords.length > 0 || c.catchphrases.length > 0);
 }
 
 export default function Vocabulary({ data }) {
   const [channelFilter, setChannelFilter] = useState('');
+  const [phraseSize, setPhraseSize] = useState('all');
+  const [trendMonths, setTrendMonths] = useState(6);
+  const [growthMetric, setGrowthMetric] = useState('ttr');
+  const [newWordsYear, setNewWordsYear] = useState(null);
 
   const vocab = useMemo(() => {
     if (!data?.stats) return null;
@@ -45,9 +95,25 @@ export default function Vocabulary({ data }) {
       topWords: topWords.slice(0, 60),
       signatureByChannel,
       byChannel,
+      topPhrases: s.topPhrases ?? null,
+      collocations: (s.collocations ?? []).slice(0, 30),
+      phraseCountsApproximate: s.phraseCountsApproximate ?? false,
+      lastDay: s.byDay?.length ? s.byDay[s.byDay.length - 1].date : null,
+      vocabularyByMonth: s.vocabularyByMonth ?? null,
+      newWordsByYear: s.newWordsByYear ?? {},
     };
   }, [data]);
 
+  const shownPhrases = useMemo(() => {
+    const list = vocab?.topPhrases ?? [];
+    return (phraseSize === 'all' ? list : list.filter((p) => String(p.n) === phraseSize)).slice(0, 40);
+  }, [vocab, phraseSize]);
+
+  const trends = useMemo(
+    () => getPhraseTrends(vocab?.topPhrases, vocab?.lastDay, trendMonths),
+    [vocab, trendMonths]
+  );
+
   const filteredChannels = useMemo(() => {
     if (!vocab?.signatureByChannel) return [];
     const q = channelFilter.trim().toLowerCase();
@@ -64,13 +130,19 @@ export default function Vocabulary({ data }) {
   if (!data?.stats) return <div className="panel">No data loaded.</div>;
   if (!vocab) return null;
 
+  const metric = GROWTH_METRICS.find((m) => m.id === growthMetric) ?? GROWTH_METRICS[0];
+  const years = Object.keys(vocab.newWordsByYear);
+  // The first year of an export lists nearly every word, so default to the latest one.
+  const selectedYear = newWordsYear && years.includes(newWordsYear) ? newWordsYear : years[years.length - 1] ?? null;
+  const newWords = selectedYear ? vocab.newWordsByYear[selectedYear] : [];
+
   return (
     <div className="overview-view vocab-view">
       <h2 className="view-heading">Vocabulary</h2>
 
       <div className="panel">
         <h3 className="panel-title">Most-used words (all messages)</h3>
-        <p className="vocab-muted">Stopwords filtered. Click a word to see count.</p>
+        <p className="vocab-muted">{describeStopwords(data.stopwords)} Hover a word to see its count.</p>
         <div className="top-words vocab-top-words">
           {vocab.topWords.map(([word, count], i) => (
             <span key={i} className="top-word-tag" title={`${count} uses`}>
@@ -80,10 +152,205 @@ export default function Vocabulary({ data }) {
         </div>
       </div>
 
+      {vocab.vocabularyByMonth && vocab.vocabularyByMonth.length > 0 && (
+        <div className="panel">
+          <h3 className="panel-title">How your writing changed</h3>
+          <div className="vocab-phrase-controls">
+            <div className="vocab-metric-tabs" role="tablist">
+              {GROWTH_METRICS.map((m) => (
+                <button
+                  key={m.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={m.id === metric.id}
+                  className={`vocab-metric-tab${m.id === metric.id ? ' active' : ''}`}
+                  onClick={() => setGrowthMetric(m.id)}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p className="vocab-muted">{metric.description}</p>
+          <div className="chart-container">
+            <ResponsiveContainer width="100%" height={240}>
+              <ComposedChart data={vocab.vocabularyByMonth} margin={{ top: 8, right: 8, left: 0, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis dataKey="month" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} allowDecimals={metric.id === 'ttr' || metric.id === 'avgWordsPerMessage'} />
+                <Tooltip
+                  contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border)', borderRadius: 8 }}
+                  formatter={(value, name, item) => [
+                    metric.id === 'ttr' ? value.toFixed(3) : value.toLocaleString(),
+                    `${metric.label} (${item.payload.words.toLocaleString()} words in ${item.payload.messages.toLocaleString()} messages)`,
+                  ]}
+                />
+                {metric.id === 'newWords' || metric.id === 'distinctWords' ? (
+                  <Bar dataKey={metric.id} fill="var(--accent)" radius={[2, 2, 0, 0]} />
+                ) : (
+                  <Line type="monotone" dataKey={metric.id} stroke="var(--accent)" strokeWidth={2} dot={false} />
+                )}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          {years.length > 0 && (
+            <>
+              <div className="vocab-phrase-controls vocab-new-words-heading">
+                <h4 className="vocab-trend-title">Words you started using in</h4>
+                <select
+                  className="vocab-select"
+                  value={selectedYear ?? ''}
+                  onChange={(e) => setNewWordsYear(e.target.value)}
+                  aria-label="Year"
+                >
+                  {years.map((y) => (
+                    <option key={y} value={y}>{y}</option>
+                  ))}
+                </select>
+              </div>
+              <p className="vocab-muted">
+                First used that year and at least three times overall, most used first.
+                {selectedYear === years[0] && ' This is the first year of your messages, so most words are new in it.'}
+              </p>
+              {newWords.length === 0 ? (
+                <p className="vocab-empty">No new words stuck that year.</p>
+              ) : (
+                <div className="top-words vocab-top-words">
+                  {newWords.map(({ word, count, firstUsed }) => (
+                    <span key={word} className="top-word-tag" title={`${count} uses, first on ${firstUsed}`}>
+                      {word} <span className="top-word-count">{count}</span>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {vocab.topPhrases ? (
+        <>
+          <div className="panel">
+            <h3 className="panel-title">Phrases you use most</h3>
+            <div className="vocab-phrase-controls">
+              <p className="vocab-muted">Two- and three-word phrases within a sentence; phrases made only of left-out words are skipped.</p>
+              <select
+                className="vocab-select"
+                value={phraseSize}
+                onChange={(e) => setPhraseSize(e.target.value)}
+                aria-label="Phrase length"
+              >
+                {PHRASE_SIZE_OPTIONS.map((o) => (
+                  <option key={o.id} value={o.id}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+            {vocab.phraseCountsApproximate && (
+              <p className="vocab-muted">
+                Phrase counts, scores and catchphrases are approximate: there are too many different phrases to keep
+                them all, so the rarest were dropped while reading and some phrases are counted low.
+              </p>
+            )}
+            {shownPhrases.length === 0 ? (
+              <p className="vocab-empty">No phrase is used more than once yet.</p>
+            ) : (
+              <div className="top-words vocab-top-words">
+                {shownPhrases.map((p) => (
+                  <span key={p.phrase} className="top-word-tag" title={`${p.count} uses`}>
+                    {p.phrase} <span className="top-word-count">{p.count}</span>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="panel">
+            <h3 className="panel-title">Phrases that go together</h3>
+            <p className="vocab-muted">
+              Ranked by how much more often the words appear together than they would by chance (normalized PMI),
+              among phrases used at least a few times.
+            </p>
+            {vocab.collocations.length === 0 ? (
+              <p className="vocab-empty">Not enough repeated phrases to score.</p>
+            ) : (
+              <ol className="vocab-collocations">
+                {vocab.collocations.map((p) => (
+                  <li key={p.phrase} title={`${p.count} uses, PMI ${p.pmi} bits`}>
+                    <span className="vocab-collocation-phrase">{p.phrase}</span>
+                    <span className="vocab-collocation-score" style={{ ['--score']: `${Math.max(0, p.score) * 100}%` }} />
+                    <span className="vocab-collocation-count">{p.count}×</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+
+          <div className="panel">
+            <h3 className="panel-title">Phrases over time</h3>
+            <div className="vocab-phrase-controls">
+              <p className="vocab-muted">
+                Among your most-used phrases: those you only started using, and those you stopped using, in the last
+              </p>
+              <select
+                className="vocab-select"
+                value={trendMonths}
+                onChange={(e) => setTrendMonths(Number(e.target.value))}
+                aria-label="Time window"
+              >
+                {TREND_WINDOWS.map((m) => (
+                  <option key={m} value={m}>{m} months</option>
+                ))}
+              </select>
+            </div>
+            {!trends.cutoff || (trends.newPhrases.length === 0 && trends.fadedPhrases.length === 0) ? (
+              <p className="vocab-empty">Your messages don't cover enough time for this window.</p>
+            ) : (
+              <div className="vocab-trends">
+                <div>
+                  <h4 className="vocab-trend-title">New since {trends.cutoff}</h4>
+                  {trends.newPhrases.length === 0 ? (
+                    <p className="vocab-empty">None.</p>
+                  ) : (
+                    <ul className="vocab-trend-list">
+                      {trends.newPhrases.map((p) => (
+                        <li key={p.phrase}>
+                          <span>{p.phrase}</span>
+                          <span className="vocab-trend-meta">{p.count}× · first {p.firstUsed}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+                <div>
+                  <h4 className="vocab-trend-title">Not used since {trends.cutoff}</h4>
+                  {trends.fadedPhrases.length === 0 ? (
+                    <p className="vocab-empty">None.</p>
+                  ) : (
+                    <ul className="vocab-trend-list">
+                      {trends.fadedPhrases.map((p) => (
+                        <li key={p.phrase}>
+                          <span>{p.phrase}</span>
+                          <span className="vocab-trend-meta">{p.count}× · last {p.lastUsed}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </>
+      ) : (
+        <div className="panel">
+          <p className="vocab-muted">This export was summarized by an older version. Load it again to see phrases.</p>
+        </div>
+      )}
+
       <div className="panel">
-        <h3 className="panel-title">Signature words by channel</h3>
+        <h3 className="panel-title">Signature words and catchphrases by channel</h3>
         <p className="vocab-muted">
-          Words that show up more in this channel than in your messages overall.
+          Words and phrases that show up more in this channel than in your messages overall.
         </p>
         <label className="vocab-filter-label">
           <span className="vocab-filter-text">Filter channels</span>
@@ -101,7 +368,7 @@ export default function Vocabulary({ data }) {
             <p className="vocab-empty">
               {channelFilter.trim()
                 ? 'No channels match the filter.'
-                : 'No signature words computed (need per-channel word counts).'}
+                : 'No signature words or catchphrases computed (need per-channel word counts).'}
             </p>
           ) : (
             filteredChannels.map((c) => (
@@ -123,6 +390,19 @@ export default function Vocabulary({ data }) {
                     </span>
                   ))}
                 </div>
+                {c.catchphrases.length > 0 && (
+                  <div className="vocab-signature-words vocab-catchphrases">
+                    {c.catchphrases.map(({ phrase, count, ratio }) => (
+                      <span
+                        key={phrase}
+                        className="vocab-sig-tag vocab-catchphrase-tag"
+                        title={`${count} uses here, ${(ratio * 100).toFixed(0)}% vs global`}
+                      >
+                        “{phrase}”
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
             ))
           )}
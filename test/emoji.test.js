@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { extractEmojis } from '../src/utils/emoji.js';
+
+const keys = (text) => extractEmojis(text).map((e) => e.key);
+
+describe('extractEmojis', () => {
+  it('reads custom emoji, shortcodes and Unicode emoji', () => {
+    expect(keys('<:pepe:123> hi :wave: 👋🏽 🇩🇪')).toEqual(['custom:123', ':wave:', '👋🏽', '🇩🇪']);
+  });
+
+  it('reads shortcodes at line ends and runs of them', () => {
+    expect(keys(':smile:\nok :wave::heart:')).toEqual([':smile:', ':wave:', ':heart:']);
+  });
+
+  it.each([
+    ['C++ scopes', 'use std::vector::push_back here'],
+    ['words joined by colons', 'Note:important:yes'],
+    ['URLs', 'see https://en.wikipedia.org/wiki/Help:Contents:x'],
+    ['inline code', 'type `:wave:` to wave'],
+    ['code blocks', '```\nconst a = :wave: ;\n```'],
+    ['times', 'at 12:30:45 sharp'],
+  ])('ignores colons in %s', (_, text) => {
+    expect(keys(text)).toEqual([]);
+  });
+
+  it('keeps custom emoji next to text', () => {
+    expect(keys('nice<:pepe:123>!')).toEqual(['custom:123']);
+  });
+});
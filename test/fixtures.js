@@ -0,0 +1,224 @@
+import { once } from 'node:events';
+import { crc32, createDeflateRaw, deflateRawSync } from 'node:zlib';
+
+/**
+ * Synthetic Discord packages for the parser tests. A package is a { path: content } map (objects are written as
+ * JSON) served through memorySource, an ExportSource that hands out each file in small chunks, so transcripts are
+ * split across reads the way large ZIP entries are.
+ */
+
+export const ACCOUNT_ID = '100000000000000001';
+export const FRIEND_ID = '600000000000000001';
+export const OTHER_FRIEND_ID = '600000000000000002';
+export const GUILD = { id: '500000000000000001', name: 'Cool Server' };
+export const CHANNEL_IDS = {
+  general: '200000000000000001',
+  dm: '300000000000000001',
+  group: '400000000000000001',
+  orphan: '700000000000000001',
+};
+
+/**
+ * @param {Record<string, string|object>} tree
+ * @param {number} [chunkSize]  characters per chunk
+ * @returns {import('../src/parser/exportSource.js').ExportSource}
+ */
+export function memorySource(tree, chunkSize = 16) {
+  const texts = new Map(Object.entries(tree).map(([path, content]) => [path, typeof content === 'string' ? content : JSON.stringify(content)]));
+  return {
+    files: [...texts].map(([path, text]) => ({ path, size: new TextEncoder().encode(text).length })),
+    openText: (path) => {
+      const text = texts.get(path);
+      let offset = 0;
+      return new ReadableStream({
+        pull(controller) {
+          if (offset >= text.length) controller.close();
+          else controller.enqueue(text.slice(offset, (offset += chunkSize)));
+        },
+      });
+    },
+  };
+}
+
+/** The same package as { file, path }[], for fileListSource / parseFileList. */
+export function fileList(tree) {
+  return Object.entries(tree).map(([path, content]) => ({
+    path,
+    file: new Blob([typeof content === 'string' ? content : JSON.stringify(content)]),
+  }));
+}
+
+function message(id, timestamp, contents, attachments = '') {
+  return { ID: id, Timestamp: timestamp, Contents: contents, Attachments: attachments };
+}
+
+/** Transcripts of the package, per channel: a guild channel, a 1:1 DM, a group DM and a channel without channel.json. */
+export const TRANSCRIPTS = {
+  general: [
+    message('1001', '2023-05-06 10:00:00.123000+00:00', 'hello world'),
+    message('1002', '2023-05-06 23:30:00+00:00', 'late night post', 'https://cdn.discordapp.com/attachments/1/2/cat.png'),
+    message('1003', '2023-05-08 09:15:00+00:00', 'a, "quoted"\nmulti-line reply'),
+  ],
+  dm: [
+    message('2001', '2023-05-07 12:00:00+00:00', 'hey there'),
+    message('2002', '2023-05-07 12:01:00+00:00', 'how are you'),
+  ],
+  group: [message('3001', '2023-05-07 18:00:00+00:00', 'group plans')],
+  orphan: [message('4001', '2023-05-09 08:00:00+00:00', 'lost message')],
+};
+
+export const CHANNEL_META = {
+  general: { id: CHANNEL_IDS.general, type: 0, name: 'general', guild: GUILD },
+  dm: { id: CHANNEL_IDS.dm, type: 1, recipients: [ACCOUNT_ID, FRIEND_ID] },
+  group: { id: CHANNEL_IDS.group, type: 3, name: 'Squad', recipients: [ACCOUNT_ID, FRIEND_ID, OTHER_FRIEND_ID] },
+};
+
+/** messages/index.json as current packages ship it: channel id → display name, null for unnamed group DMs. */
+export const PACKAGE_INDEX = {
+  [CHANNEL_IDS.general]: 'general in Cool Server',
+  [CHANNEL_IDS.dm]: 'Direct Message with pal#0001',
+  [CHANNEL_IDS.group]: null,
+};
+
+function toCsv(messages) {
+  const quote = (v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const rows = messages.map((m) => [m.ID, m.Timestamp, m.Contents, m.Attachments].map(quote).join(','));
+  return ['ID,Timestamp,Contents,Attachments', ...rows].join('\n') + '\n';
+}
+
+/**
+ * A package of one generation.
+ * @param {{ transcripts?: 'json'|'csv', folders?: 'prefixed'|'numeric', index?: any }} [options]
+ *   index: the messages/index.json content, or null to leave the file out
+ */
+export function discordPackage({ transcripts = 'json', folders = 'prefixed', index = PACKAGE_INDEX } = {}) {
+  const tree = { 'account/user.json': { id: ACCOUNT_ID, username: 'me' } };
+  if (index !== null) tree['messages/index.json'] = index;
+  for (const [key, messages] of Object.entries(TRANSCRIPTS)) {
+    const folder = `messages/${folders === 'prefixed' ? 'c' : ''}${CHANNEL_IDS[key]}`;
+    if (CHANNEL_META[key]) tree[`${folder}/channel.json`] = CHANNEL_META[key];
+    if (transcripts === 'json') tree[`${folder}/messages.json`] = messages;
+    else tree[`${folder}/messages.csv`] = toCsv(messages);
+  }
+  return tree;
+}
+
+/**
+ * A hand-made export the package adapters do not recognise: "Channel ID" style metadata, lower-case message
+ * fields and folders named after the channel.
+ * @param {any} index  messages/index.json content
+ */
+export function genericExport(index) {
+  return {
+    'messages/index.json': index,
+    'messages/general/channel.json': { 'Channel ID': CHANNEL_IDS.general, 'Guild ID': GUILD.id, 'Channel Name': 'general', 'Guild Name': GUILD.name },
+    'messages/general/messages.json': [
+      { id: '1', timestamp: '2023-05-06T10:00:00Z', content: 'hello' },
+      { id: '2', timestamp: '2023-05-06T11:00:00Z', content: 'again' },
+    ],
+    'messages/dm/channel.json': { 'Channel ID': CHANNEL_IDS.dm, 'User IDs': [ACCOUNT_ID, FRIEND_ID] },
+    'messages/dm/messages.json': [{ id: '3', timestamp: '2023-05-07T12:00:00Z', content: 'hi' }],
+  };
+}
+
+const U32_MAX = 0xffffffff;
+const DEFLATED = Symbol('deflated');
+
+/**
+ * A ZIP entry deflated chunk by chunk, for entries too large to hold as one string: only the compressed bytes
+ * are kept. Pass it as a file's content to zipArchive.
+ * @param {Iterable<string>} chunks
+ */
+export async function deflatedEntry(chunks) {
+  const deflate = createDeflateRaw();
+  const parts = [];
+  const collected = (async () => {
+    for await (const part of deflate) parts.push(part);
+  })();
+  let crc = 0;
+  let size = 0;
+  for (const chunk of chunks) {
+    const bytes = Buffer.from(chunk);
+    crc = crc32(bytes, crc);
+    size += bytes.length;
+    if (!deflate.write(bytes)) await once(deflate, 'drain');
+  }
+  deflate.end();
+  await collected;
+  return { [DEFLATED]: true, body: new Uint8Array(Buffer.concat(parts)), crc, size };
+}
+
+const u16 = (n) => [n & 0xff, (n >>> 8) & 0xff];
+const u32 = (n) => [...u16(n & 0xffff), ...u16(n >>> 16)];
+const u64 = (n) => [...u32(n % 2 ** 32), ...u32(Math.floor(n / 2 ** 32))];
+
+/**
+ * The package as a ZIP, written by hand so the entry layouts the reader has to cope with can be chosen:
+ * per entry deflated or stored, sizes in the local header or in a data descriptor after the data, and the
+ * whole archive with Zip64 extra fields and end records. Each option is a flag or a test of the entry's path.
+ * Contents made by deflatedEntry are written as they are.
+ * @param {Record<string, string|object>} tree
+ * @param {{ deflate?: boolean|((path: string) => boolean), dataDescriptor?: boolean|((path: string) => boolean), zip64?: boolean }} [options]
+ * @returns {Blob}
+ */
+export function zipArchive(tree, { deflate = true, dataDescriptor = false, zip64 = false } = {}) {
+  const pick = (option, path) => (typeof option === 'function' ? option(path) : option);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  const write = (bytes) => {
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+
+  for (const [path, content] of Object.entries(tree)) {
+    const name = new TextEncoder().encode(path);
+    const pre = content?.[DEFLATED] ? content : null;
+    const data = pre ? null : new TextEncoder().encode(typeof content === 'string' ? content : JSON.stringify(content));
+    const deflated = pre ? true : pick(deflate, path);
+    const described = pick(dataDescriptor, path);
+    const body = pre ? pre.body : deflated ? new Uint8Array(deflateRawSync(data)) : data;
+    const crc = pre ? pre.crc : crc32(data);
+    const size = pre ? pre.size : data.length;
+    const flags = described ? 0x8 : 0;
+    const method = deflated ? 8 : 0;
+    const headerOffset = offset;
+
+    // With a data descriptor the local header leaves crc and sizes zero; they follow the data.
+    const localSizes = described ? [0, 0, 0] : [crc, zip64 ? U32_MAX : body.length, zip64 ? U32_MAX : size];
+    const localExtra = zip64 && !described ? [...u16(0x0001), ...u16(16), ...u64(size), ...u64(body.length)] : [];
+    write(new Uint8Array([...u32(0x04034b50), ...u16(zip64 ? 45 : 20), ...u16(flags), ...u16(method), ...u32(0), ...localSizes.flatMap(u32), ...u16(name.length), ...u16(localExtra.length)]));
+    write(name);
+    write(new Uint8Array(localExtra));
+    write(body);
+    if (described) {
+      const sizes = zip64 ? [...u64(body.length), ...u64(size)] : [...u32(body.length), ...u32(size)];
+      write(new Uint8Array([...u32(0x08074b50), ...u32(crc), ...sizes]));
+    }
+
+    const extra = zip64 ? [...u16(0x0001), ...u16(24), ...u64(size), ...u64(body.length), ...u64(headerOffset)] : [];
+    const sizes = zip64 ? [U32_MAX, U32_MAX] : [body.length, size];
+    central.push(
+      new Uint8Array([
+        ...u32(0x02014b50), ...u16(zip64 ? 45 : 20), ...u16(zip64 ? 45 : 20), ...u16(flags), ...u16(method), ...u32(0), ...u32(crc),
+        ...sizes.flatMap(u32), ...u16(name.length), ...u16(extra.length), ...u16(0), ...u16(0), ...u16(0), ...u32(0),
+        ...u32(zip64 ? U32_MAX : headerOffset),
+      ]),
+      name,
+      new Uint8Array(extra)
+    );
+  }
+
+  const directoryOffset = offset;
+  for (const bytes of central) write(bytes);
+  const directorySize = offset - directoryOffset;
+  const count = Object.keys(tree).length;
+  if (zip64) {
+    const eocd64Offset = offset;
+    write(new Uint8Array([...u32(0x06064b50), ...u64(44), ...u16(45), ...u16(45), ...u32(0), ...u32(0), ...u64(count), ...u64(count), ...u64(directorySize), ...u64(directoryOffset)]));
+    write(new Uint8Array([...u32(0x07064b50), ...u32(0), ...u64(eocd64Offset), ...u32(1)]));
+  }
+  const [eocdCount, eocdSize, eocdOffset] = zip64 ? [0xffff, U32_MAX, U32_MAX] : [count, directorySize, directoryOffset];
+  write(new Uint8Array([...u32(0x06054b50), ...u16(0), ...u16(0), ...u16(eocdCount), ...u16(eocdCount), ...u32(eocdSize), ...u32(eocdOffset), ...u16(0)]));
+  return new Blob(parts);
+}
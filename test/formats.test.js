@@ -0,0 +1,139 @@
+import { describe, expect, it } from 'vitest';
+import { describeLayout, detectExportFormat, getExportFormat } from '../src/parser/formats/index.js';
+import { folderNaming, parsePackageTimestamp } from '../src/parser/formats/discordPackage.js';
+import jsonPackage from '../src/parser/formats/jsonPackage.js';
+import csvPackage from '../src/parser/formats/csvPackage.js';
+import legacyCsvPackage from '../src/parser/formats/legacyCsvPackage.js';
+import generic from '../src/parser/formats/generic.js';
+import { CHANNEL_IDS, CHANNEL_META, PACKAGE_INDEX, TRANSCRIPTS, discordPackage, genericExport } from './fixtures.js';
+
+/** The layout readExport builds: paths plus the index and the first channel.json and message. */
+function layoutOf(tree) {
+  const paths = Object.keys(tree);
+  const layout = describeLayout(paths);
+  layout.index = tree['messages/index.json'] ?? null;
+  layout.sampleChannel = tree[paths.find((p) => p.endsWith('/channel.json'))] ?? null;
+  layout.sampleMessage = tree[paths.find((p) => p.endsWith('/messages.json'))]?.[0] ?? null;
+  return layout;
+}
+
+describe('describeLayout', () => {
+  it('lists channel folders and counts transcripts by type', () => {
+    const layout = describeLayout([
+      'messages/index.json',
+      'messages/c1/channel.json',
+      'messages/c1/messages.json',
+      'Messages/c2/messages.csv',
+      'account/user.json',
+    ]);
+    expect(layout.channelFolders.sort()).toEqual(['c1', 'c2']);
+    expect(layout.transcripts).toEqual({ json: 1, csv: 1 });
+  });
+});
+
+describe('detectExportFormat', () => {
+  it.each([
+    ['package-json', discordPackage()],
+    ['package-csv', discordPackage({ transcripts: 'csv' })],
+    ['package-legacy-csv', discordPackage({ transcripts: 'csv', folders: 'numeric' })],
+    ['generic', genericExport({ [CHANNEL_IDS.dm]: 'pal' })],
+  ])('picks %s', (id, tree) => {
+    expect(detectExportFormat(layoutOf(tree)).id).toBe(id);
+  });
+
+  it('falls back to generic when the samples do not have the package shape', () => {
+    const tree = discordPackage();
+    tree[`messages/c${CHANNEL_IDS.general}/channel.json`] = { 'Channel ID': CHANNEL_IDS.general };
+    expect(detectExportFormat(layoutOf(tree)).id).toBe('generic');
+  });
+
+  it('falls back to generic for mixed folder naming', () => {
+    expect(folderNaming(['c1', '2'])).toBeNull();
+    expect(detectExportFormat(describeLayout(['messages/c1/messages.csv', 'messages/2/messages.csv'])).id).toBe('generic');
+  });
+
+  it('looks adapters up by id, generic for unknown ids', () => {
+    expect(getExportFormat('package-csv')).toBe(csvPackage);
+    expect(getExportFormat('nope')).toBe(generic);
+  });
+});
+
+describe('package adapters', () => {
+  it('normalizes current timestamps with microseconds and offsets', () => {
+    expect(parsePackageTimestamp('2021-03-04 05:06:07.123456+00:00').toISOString()).toBe('2021-03-04T05:06:07.123Z');
+    expect(parsePackageTimestamp('2021-03-04 05:06:07+02:00').toISOString()).toBe('2021-03-04T03:06:07.000Z');
+    expect(parsePackageTimestamp('not a date')).toBeNull();
+  });
+
+  it('reads timestamps without an offset as UTC, not local time', () => {
+    // vitest.config.js runs the tests in America/New_York.
+    expect(new Date(2023, 4, 6, 10).getTimezoneOffset()).toBe(240);
+    expect(parsePackageTimestamp('2023-05-06 10:00:00').toISOString()).toBe('2023-05-06T10:00:00.000Z');
+    expect(parsePackageTimestamp('2023-05-06 10:00:00.123456').toISOString()).toBe('2023-05-06T10:00:00.123Z');
+    expect(parsePackageTimestamp('2023-05-06 10:00:00-04:00').toISOString()).toBe('2023-05-06T14:00:00.000Z');
+  });
+
+  it('reads guild channel, DM and group DM metadata', () => {
+    expect(jsonPackage.isChannelMeta(CHANNEL_META.general)).toBe(true);
+    expect(jsonPackage.normalizeChannelMeta(CHANNEL_META.general)).toMatchObject({
+      channelId: CHANNEL_IDS.general,
+      channelName: 'general',
+      guildId: CHANNEL_META.general.guild.id,
+      guildName: CHANNEL_META.general.guild.name,
+    });
+    expect(jsonPackage.normalizeChannelMeta(CHANNEL_META.dm)).toMatchObject({
+      guildId: null,
+      channelName: 'Unknown',
+      userIds: CHANNEL_META.dm.recipients,
+    });
+    expect(jsonPackage.normalizeChannelMeta(CHANNEL_META.group).userIds).toHaveLength(3);
+  });
+
+  it('reads messages and splits attachments', () => {
+    const record = TRANSCRIPTS.general[1];
+    expect(jsonPackage.isMessage(record)).toBe(true);
+    expect(jsonPackage.normalizeMessage(record)).toMatchObject({
+      id: '1002',
+      contents: 'late night post',
+      attachments: ['https://cdn.discordapp.com/attachments/1/2/cat.png'],
+    });
+    expect(jsonPackage.isMessage({ id: '1', content: 'x' })).toBe(false);
+  });
+
+  it('drops unnamed channels from the index', () => {
+    expect(jsonPackage.channelNamesFromIndex(PACKAGE_INDEX)).toEqual({
+      [CHANNEL_IDS.general]: 'general in Cool Server',
+      [CHANNEL_IDS.dm]: 'Direct Message with pal#0001',
+    });
+  });
+
+  it('derives channel ids from folder names by generation', () => {
+    expect(jsonPackage.channelIdFromFolder('c123')).toBe('123');
+    expect(csvPackage.channelIdFromFolder('c123')).toBe('123');
+    expect(legacyCsvPackage.channelIdFromFolder('123')).toBe('123');
+  });
+});
+
+describe('generic adapter', () => {
+  it('guesses metadata and message field names', () => {
+    const tree = genericExport({});
+    expect(generic.isChannelMeta(tree['messages/general/channel.json'])).toBe(true);
+    expect(generic.normalizeChannelMeta(tree['messages/general/channel.json'])).toMatchObject({
+      channelId: CHANNEL_IDS.general,
+      channelName: 'general',
+      guildName: 'Cool Server',
+    });
+    const message = generic.normalizeMessage(tree['messages/general/messages.json'][0]);
+    expect(message).toMatchObject({ id: '1', contents: 'hello', attachments: [] });
+    expect(message.timestamp.toISOString()).toBe('2023-05-06T10:00:00.000Z');
+  });
+
+  it.each([
+    ['an id → name map', { 1: 'one' }],
+    ['an id → object map', { 1: { name: 'one' } }],
+    ['a list of channels', [{ id: 1, name: 'one' }]],
+    ['{ channels: [...] }', { channels: [{ channelId: 1, channelName: 'one' }] }],
+  ])('reads index names from %s', (_, index) => {
+    expect(generic.channelNamesFromIndex(index)).toEqual({ 1: 'one' });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { createJsonArraySplitter, parseJsonStream, readJsonStream } from '../src/parser/jsonStream.js';
+
+function textStream(text, chunkSize) {
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= text.length) controller.close();
+      else controller.enqueue(text.slice(offset, (offset += chunkSize)));
+    },
+  });
+}
+
+const items = [
+  { ID: '1', Contents: 'a, "quoted" [bracket] {brace}' },
+  { ID: '2', Contents: 'escaped \\" quote and \\\\ backslash' },
+  [1, [2, { three: 3 }]],
+  'plain string',
+  42,
+  null,
+];
+// A byte order mark, then whitespace inside and between the elements.
+const json = `\uFEFF [ ${items.map((i) => JSON.stringify(i)).join(' ,\n ')} ]`;
+
+describe('readJsonStream', () => {
+  it.each([1, 3, 7, json.length])('splits a top-level array read %i characters at a time', async (chunkSize) => {
+    expect(await readJsonStream(textStream(json, chunkSize))).toEqual(items);
+  });
+
+  it('returns a value that is not an array whole', async () => {
+    const value = { a: [1, 2], b: 'c' };
+    expect(await readJsonStream(textStream(JSON.stringify(value), 4))).toEqual(value);
+  });
+
+  it('reads an empty array', async () => {
+    expect(await readJsonStream(textStream(' [ ] ', 2))).toEqual([]);
+  });
+
+  it('rejects an unterminated array after handing out the complete elements', async () => {
+    const seen = [];
+    await expect(parseJsonStream(textStream('[{"a":1},{"b":2},{"c"', 5), (item) => void seen.push(item))).rejects.toThrow(SyntaxError);
+    expect(seen).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+});
+
+describe('createJsonArraySplitter', () => {
+  it('stops when onItem returns false', async () => {
+    const seen = [];
+    await parseJsonStream(textStream('[1,2,3,4]', 1), (item) => {
+      seen.push(item);
+      return item < 2;
+    });
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it('throws on empty input', () => {
+    const splitter = createJsonArraySplitter(() => {});
+    splitter.push('   ');
+    expect(() => splitter.end()).toThrow('Unexpected end of JSON input');
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { openZip } from '../src/parser/zipReader.js';
+import { parseJsonStream } from '../src/parser/jsonStream.js';
+import { parseMessagesCsvStream } from '../src/parser/messagesCsv.js';
+import { deflatedEntry, zipArchive } from './fixtures.js';
+
+/** Uncompressed size of the generated transcripts: large enough that holding one whole would show. */
+const ENTRY_BYTES = 64 * 1024 * 1024;
+
+function* jsonTranscript() {
+  yield '[';
+  for (let i = 0, size = 0; size < ENTRY_BYTES; i++) {
+    const record = `${i ? ',' : ''}{"ID":"${i}","Timestamp":"2023-05-06 10:00:00+00:00","Contents":"message ${i} with a few words to pad it out","Attachments":""}`;
+    size += record.length;
+    yield record;
+  }
+  yield ']';
+}
+
+function* csvTranscript() {
+  yield 'ID,Timestamp,Contents,Attachments\n';
+  for (let i = 0, size = 0; size < ENTRY_BYTES; i++) {
+    const record = `${i},2023-05-06 10:00:00+00:00,"message ${i}, with ""quoted"" words to pad it out",\n`;
+    size += record.length;
+    yield record;
+  }
+}
+
+/**
+ * Stream one large deflated entry out of a ZIP through a transcript reader and return how far the heap grew
+ * above where it started, sampled while reading. Only the compressed entry is held (a few MB).
+ */
+async function heapGrowth(transcript, read) {
+  const zip = await openZip(zipArchive({ 'messages/c1/messages': await deflatedEntry(transcript()) }));
+  globalThis.gc?.();
+  const base = process.memoryUsage().heapUsed;
+  let peak = base;
+  let messages = 0;
+  await read(zip.get('messages/c1/messages').textStream(), () => {
+    if (++messages % 1000 === 0) peak = Math.max(peak, process.memoryUsage().heapUsed);
+  });
+  return { growth: peak - base, messages };
+}
+
+describe('peak memory while streaming a large entry', () => {
+  it('stays far below the size of a JSON transcript', async () => {
+    const { growth, messages } = await heapGrowth(jsonTranscript, parseJsonStream);
+    expect(messages).toBeGreaterThan(500000);
+    expect(growth).toBeLessThan(ENTRY_BYTES / 2);
+  }, 120000);
+
+  it('stays far below the size of a CSV transcript', async () => {
+    const { growth, messages } = await heapGrowth(csvTranscript, parseMessagesCsvStream);
+    expect(messages).toBeGreaterThan(500000);
+    expect(growth).toBeLessThan(ENTRY_BYTES / 2);
+  }, 120000);
+});
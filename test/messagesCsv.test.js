@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { createCsvRecordSplitter, parseMessagesCsv } from '../src/parser/messagesCsv.js';
+
+const csv = '\uFEFFID,Timestamp,Contents,Attachments\r\n1,2023-05-06 10:00:00,"a, ""quoted""\r\nreply",\r\n2,2023-05-06 11:00:00,plain,https://x/y.png\n';
+
+function splitInChunks(text, chunkSize) {
+  const records = [];
+  const splitter = createCsvRecordSplitter((r) => {
+    records.push(r);
+  });
+  for (let i = 0; i < text.length; i += chunkSize) splitter.push(text.slice(i, i + chunkSize));
+  splitter.end();
+  return records;
+}
+
+describe('messages.csv', () => {
+  it.each([1, 2, 5, csv.length])('splits records the same when read %i characters at a time', (chunkSize) => {
+    expect(splitInChunks(csv, chunkSize)).toEqual([
+      ['ID', 'Timestamp', 'Contents', 'Attachments'],
+      ['1', '2023-05-06 10:00:00', 'a, "quoted"\r\nreply', ''],
+      ['2', '2023-05-06 11:00:00', 'plain', 'https://x/y.png'],
+    ]);
+  });
+
+  it('maps columns by the header row', () => {
+    expect(parseMessagesCsv('Contents,ID\nhi,7')).toEqual([{ ID: '7', Timestamp: undefined, Contents: 'hi', Attachments: '' }]);
+  });
+
+  it('yields nothing for a CSV without message columns', () => {
+    expect(parseMessagesCsv('name,value\na,1\n')).toEqual([]);
+  });
+});
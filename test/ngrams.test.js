@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import { createPhraseAccumulator } from '../src/utils/ngrams.js';
+
+describe('createPhraseAccumulator', () => {
+  it('reports exact counts while every phrase fits', () => {
+    const phrases = createPhraseAccumulator(new Set());
+    for (let i = 0; i < 3; i++) phrases.add([['good', 'night', 'everyone']], 'c1', '2023-05-06');
+    const { stats } = phrases.finish();
+    expect(stats.phraseCountsApproximate).toBe(false);
+    expect(stats.topPhrases.find((p) => p.phrase === 'good night everyone').count).toBe(3);
+  });
+
+  it('reports approximate counts once rare phrases were dropped', () => {
+    const phrases = createPhraseAccumulator(new Set());
+    for (let i = 0; i < 6000; i++) phrases.add([[`word${i}`, 'again']], 'c1', '2023-05-06');
+    expect(phrases.finish().stats.phraseCountsApproximate).toBe(true);
+  });
+});
@@ -0,0 +1,220 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { parseExport, parseFileList, silentLogger } from '../src/parser/discordExportParser.js';
+import {
+  ACCOUNT_ID,
+  CHANNEL_IDS,
+  FRIEND_ID,
+  GUILD,
+  PACKAGE_INDEX,
+  discordPackage,
+  fileList,
+  genericExport,
+  memorySource,
+} from './fixtures.js';
+
+// The parser logs every step; keep the test output readable.
+const quiet = { logger: silentLogger };
+const parse = (tree, options) => parseExport(memorySource(tree), { ...quiet, ...options });
+
+function channel(data, id) {
+  return data.stats.byChannel.find((c) => c.channelId === id);
+}
+
+function issuesOf(data, kind) {
+  return data.diagnostics.issues.filter((i) => i.kind === kind);
+}
+
+describe('current JSON package', () => {
+  let data;
+  beforeAll(async () => {
+    data = await parse(discordPackage());
+  });
+
+  it('detects the package generation', () => {
+    expect(data.format.id).toBe('package-json');
+  });
+
+  it('counts messages, words and attachments', () => {
+    expect(data.stats.totalMessages).toBe(7);
+    expect(data.stats.totalWords).toBe(18);
+    expect(data.stats.attachmentCount).toBe(1);
+    expect(data.stats.firstMessageAt.toISOString()).toBe('2023-05-06T10:00:00.123Z');
+    expect(data.stats.lastMessageAt.toISOString()).toBe('2023-05-09T08:00:00.000Z');
+  });
+
+  it('names a guild channel from index.json and attributes it to its guild', () => {
+    expect(channel(data, CHANNEL_IDS.general)).toMatchObject({
+      count: 3,
+      channelName: 'general in Cool Server',
+      guildId: GUILD.id,
+      guildName: GUILD.name,
+    });
+    expect(data.stats.byGuild).toEqual([expect.objectContaining({ guildId: GUILD.id, guildName: GUILD.name, count: 3 })]);
+  });
+
+  it('names a 1:1 DM from index.json', () => {
+    expect(channel(data, CHANNEL_IDS.dm)).toMatchObject({ count: 2, channelName: 'Direct Message with pal#0001', guildId: null });
+  });
+
+  it('keeps the channel.json name of a group DM the index leaves unnamed', () => {
+    expect(channel(data, CHANNEL_IDS.group)).toMatchObject({ count: 1, channelName: 'Squad', guildId: null });
+    expect(data.channels.find((c) => c.channelId === CHANNEL_IDS.group).userIds).toHaveLength(3);
+  });
+
+  it('keeps messages of a channel without channel.json and reports it', () => {
+    expect(channel(data, CHANNEL_IDS.orphan)).toMatchObject({ count: 1, channelName: null });
+    expect(issuesOf(data, 'missing-metadata')).toEqual([
+      expect.objectContaining({ path: `messages/c${CHANNEL_IDS.orphan}`, messages: 1 }),
+    ]);
+    expect(data.diagnostics.issues).toHaveLength(1);
+  });
+
+  it('reads the account', () => {
+    expect(data.account).toMatchObject({ id: ACCOUNT_ID, username: 'me' });
+  });
+
+  it('buckets days in UTC by default', () => {
+    expect(data.stats.byDay).toEqual([
+      { date: '2023-05-06', count: 2 },
+      { date: '2023-05-07', count: 3 },
+      { date: '2023-05-08', count: 1 },
+      { date: '2023-05-09', count: 1 },
+    ]);
+  });
+});
+
+describe('summary options', () => {
+  it('buckets days in the requested time zone', async () => {
+    const data = await parse(discordPackage(), { timeZone: 'Europe/Berlin' });
+    expect(data.stats.byDay.slice(0, 2)).toEqual([
+      { date: '2023-05-06', count: 1 },
+      { date: '2023-05-07', count: 4 },
+    ]);
+  });
+
+  it('keeps only messages between since and until', async () => {
+    const data = await parse(discordPackage(), {
+      since: new Date('2023-05-07T00:00:00Z'),
+      until: new Date('2023-05-08T00:00:00Z'),
+    });
+    expect(data.stats.totalMessages).toBe(3);
+    expect(data.stats.byChannel.map((c) => c.channelId).sort()).toEqual([CHANNEL_IDS.dm, CHANNEL_IDS.group]);
+  });
+});
+
+describe('older package generations', () => {
+  let reference;
+  beforeAll(async () => {
+    reference = await parse(discordPackage());
+  });
+
+  const counts = (data) => data.stats.byChannel.map((c) => [c.channelId, c.channelName, c.count]);
+
+  it('reads CSV transcripts into the same stats', async () => {
+    const data = await parse(discordPackage({ transcripts: 'csv' }));
+    expect(data.format.id).toBe('package-csv');
+    expect(counts(data)).toEqual(counts(reference));
+    expect(data.stats.totalWords).toBe(reference.stats.totalWords);
+    expect(data.stats.byDay).toEqual(reference.stats.byDay);
+  });
+
+  it('reads early packages with bare channel id folders', async () => {
+    const data = await parse(discordPackage({ transcripts: 'csv', folders: 'numeric' }));
+    expect(data.format.id).toBe('package-legacy-csv');
+    expect(counts(data)).toEqual(counts(reference));
+    expect(issuesOf(data, 'missing-metadata')[0].path).toBe(`messages/${CHANNEL_IDS.orphan}`);
+  });
+});
+
+describe('index.json variants', () => {
+  it('falls back to channel.json names without an index', async () => {
+    const data = await parse(discordPackage({ index: null }));
+    expect(data.format.id).toBe('package-json');
+    expect(channel(data, CHANNEL_IDS.general).channelName).toBe('general');
+    expect(channel(data, CHANNEL_IDS.group).channelName).toBe('Squad');
+  });
+
+  it('reports an unreadable index and still reads the messages', async () => {
+    const data = await parse(discordPackage({ index: '{"200000000000000001": "gen' }));
+    expect(data.stats.totalMessages).toBe(7);
+    expect(issuesOf(data, 'malformed-json')).toEqual([expect.objectContaining({ path: 'messages/index.json', stage: 'index' })]);
+  });
+
+  it.each([
+    ['an id → name map', { [CHANNEL_IDS.dm]: 'pal' }],
+    ['an id → object map', { [CHANNEL_IDS.dm]: { name: 'pal' } }],
+    ['a list of channels', [{ id: CHANNEL_IDS.dm, name: 'pal' }]],
+    ['{ channels: [...] }', { channels: [{ channel_id: CHANNEL_IDS.dm, channel_name: 'pal' }] }],
+  ])('names DMs of a hand-made export from %s', async (_, index) => {
+    const data = await parse(genericExport(index));
+    expect(data.format.id).toBe('generic');
+    expect(channel(data, CHANNEL_IDS.dm)).toMatchObject({ count: 1, channelName: 'pal' });
+    expect(channel(data, CHANNEL_IDS.general)).toMatchObject({ count: 2, channelName: 'general', guildName: GUILD.name });
+  });
+
+  it('treats the package index as a names map, not a channel list', async () => {
+    const data = await parse(discordPackage({ index: { ...PACKAGE_INDEX, [CHANNEL_IDS.orphan]: 'Lost channel' } }));
+    expect(channel(data, CHANNEL_IDS.orphan).channelName).toBe('Lost channel');
+  });
+});
+
+describe('damaged transcripts', () => {
+  it('keeps the messages before a JSON error and reports the file', async () => {
+    const tree = discordPackage();
+    tree[`messages/c${CHANNEL_IDS.general}/messages.json`] =
+      '[{"ID":"1","Timestamp":"2023-05-06 10:00:00","Contents":"kept","Attachments":""},{"ID":"2","Time';
+    const data = await parse(tree);
+    expect(channel(data, CHANNEL_IDS.general).count).toBe(1);
+    expect(issuesOf(data, 'malformed-json')).toEqual([
+      expect.objectContaining({ path: `messages/c${CHANNEL_IDS.general}/messages.json`, stage: 'messages', messages: 1 }),
+    ]);
+  });
+
+  it('logs the errors it recovers from to the logger it is given', async () => {
+    const tree = discordPackage();
+    tree[`messages/c${CHANNEL_IDS.general}/channel.json`] = '{"id": ';
+    const logger = { debug: vi.fn(), error: vi.fn() };
+    await parseExport(memorySource(tree), { logger });
+    expect(logger.debug).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith('readExport: meta parse failed', `messages/c${CHANNEL_IDS.general}`, expect.any(String));
+  });
+
+  it('leaves out messages with invalid timestamps and counts them', async () => {
+    const tree = discordPackage();
+    tree[`messages/c${CHANNEL_IDS.dm}/messages.json`] = [
+      { ID: '1', Timestamp: 'yesterday', Contents: 'lost', Attachments: '' },
+      { ID: '2', Timestamp: '2023-05-07 12:00:00+00:00', Contents: 'kept', Attachments: '' },
+    ];
+    const data = await parse(tree);
+    expect(channel(data, CHANNEL_IDS.dm).count).toBe(1);
+    expect(issuesOf(data, 'invalid-timestamp')).toEqual([expect.objectContaining({ messages: 1, error: expect.stringContaining('yesterday') })]);
+  });
+});
+
+describe('loaders', () => {
+  it('gives the same summary for a file list as for the source it wraps', async () => {
+    const tree = discordPackage();
+    const fromSource = await parse(tree);
+    const fromFiles = await parseFileList(fileList(tree), quiet);
+    expect(fromFiles.stats).toEqual(fromSource.stats);
+    expect(fromFiles.diagnostics).toEqual(fromSource.diagnostics);
+  });
+
+  it('finds the package inside the folder that was picked', async () => {
+    const tree = Object.fromEntries(Object.entries(discordPackage()).map(([path, content]) => [`package/${path}`, content]));
+    const data = await parseFileList(fileList(tree), quiet);
+    expect(data.stats.totalMessages).toBe(7);
+    expect(channel(data, CHANNEL_IDS.general).guildName).toBe(GUILD.name);
+  });
+
+  it('reads a single channel folder', async () => {
+    const data = await parseFileList(
+      fileList({
+        [`c${CHANNEL_IDS.dm}/channel.json`]: { id: CHANNEL_IDS.dm, type: 1, recipients: [ACCOUNT_ID, FRIEND_ID] },
+        [`c${CHANNEL_IDS.dm}/messages.json`]: [{ ID: '1', Timestamp: '2023-05-07 12:00:00', Contents: 'hi', Attachments: '' }],
+      }),
+      quiet
+    );
+    expect(data.stats.totalMessages).toBe(1);
+  });
+});
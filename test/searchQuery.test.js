@@ -0,0 +1,158 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { parseExport, silentLogger } from '../src/parser/discordExportParser.js';
+import { getSearchIndex } from '../src/utils/searchIndex.js';
+import { parseSearchQuery, searchMessages, splitHighlights } from '../src/utils/searchQuery.js';
+import { CHANNEL_IDS, discordPackage, memorySource } from './fixtures.js';
+
+// The fixture package, by message id:
+//   general (Cool Server)  1001 "hello world" 05-06, 1002 "late night post" 05-06 (attachment), 1003 05-08
+//   dm                     2001 "hey there", 2002 "how are you" 05-07
+//   group "Squad"          3001 "group plans" 05-07
+//   no channel.json        4001 "lost message" 05-09
+let index;
+beforeAll(async () => {
+  index = getSearchIndex(await parseExport(memorySource(discordPackage()), { logger: silentLogger }));
+});
+
+function ids(query) {
+  const result = searchMessages(index, query);
+  expect(result.error).toBeNull();
+  return result.messages.map((m) => m.id).sort();
+}
+
+const ALL = ['1001', '1002', '1003', '2001', '2002', '3001', '4001'];
+
+describe('parseSearchQuery', () => {
+  it('binds NOT tighter than AND, and AND tighter than OR', () => {
+    expect(parseSearchQuery('a b OR NOT c d')).toEqual({
+      type: 'or',
+      children: [
+        { type: 'and', children: [{ type: 'term', value: 'a' }, { type: 'term', value: 'b' }] },
+        { type: 'and', children: [{ type: 'not', child: { type: 'term', value: 'c' } }, { type: 'term', value: 'd' }] },
+      ],
+    });
+  });
+
+  it('reads -word, quoted phrases and quoted operator values', () => {
+    expect(parseSearchQuery('-x "two words" server:"cool server"')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'not', child: { type: 'term', value: 'x' } },
+        { type: 'phrase', value: 'two words' },
+        { type: 'op', name: 'server', value: 'cool server' },
+      ],
+    });
+  });
+
+  it('keeps reading after a stray closing parenthesis', () => {
+    expect(parseSearchQuery('a ) b')).toEqual({ type: 'and', children: [{ type: 'term', value: 'a' }, { type: 'term', value: 'b' }] });
+  });
+
+  it('returns null for an empty query', () => {
+    expect(parseSearchQuery('  ')).toBeNull();
+  });
+});
+
+describe('searchMessages', () => {
+  it('matches every word, each as a prefix', () => {
+    expect(ids('late post')).toEqual(['1002']);
+    expect(ids('he')).toEqual(['1001', '2001']);
+    expect(ids('h')).toEqual(['1001', '2001', '2002']);
+  });
+
+  it('matches quoted phrases only with the words in order', () => {
+    expect(ids('"night post"')).toEqual(['1002']);
+    expect(ids('"post night"')).toEqual([]);
+    expect(ids('"multi-line reply"')).toEqual(['1003']);
+  });
+
+  it('combines OR, NOT and groups by precedence', () => {
+    expect(ids('hello OR group')).toEqual(['1001', '3001']);
+    expect(ids('hey OR hello world')).toEqual(['1001', '2001']);
+    expect(ids('hello OR hey -there')).toEqual(['1001']);
+    expect(ids('NOT hello world')).toEqual([]);
+    expect(ids('(hey OR hello) there')).toEqual(['2001']);
+  });
+
+  it('excludes with NOT and -', () => {
+    expect(ids('-hello')).toEqual(ALL.filter((id) => id !== '1001'));
+    expect(ids('NOT hello')).toEqual(ids('-hello'));
+  });
+
+  it('treats lowercase and/or as words', () => {
+    expect(ids('hello or world')).toEqual([]);
+  });
+
+  it('matches regular expressions over the message text', () => {
+    expect(ids('/^h\\w+ (world|there)$/')).toEqual(['1001', '2001']);
+    expect(ids('/HELLO/i')).toEqual(['1001']);
+    expect(ids('/HELLO/')).toEqual([]);
+  });
+
+  it('reports an invalid regular expression', () => {
+    const result = searchMessages(index, 'hello /(/');
+    expect(result.messages).toEqual([]);
+    expect(result.error).toMatch(/Invalid regular expression/);
+  });
+
+  it('filters by channel and server', () => {
+    expect(ids('channel:general')).toEqual(['1001', '1002', '1003']);
+    expect(ids('channel:squad')).toEqual(['3001']);
+    expect(ids(`channel:${CHANNEL_IDS.dm}`)).toEqual(['2001', '2002']);
+    expect(ids('server:"cool server"')).toEqual(['1001', '1002', '1003']);
+    expect(ids('server:dm')).toEqual(['2001', '2002', '3001', '4001']);
+  });
+
+  it('treats before: and after: as exclusive days', () => {
+    expect(ids('before:2023-05-07')).toEqual(['1001', '1002']);
+    expect(ids('after:2023-05-08')).toEqual(['4001']);
+    expect(ids('after:2023-05-06 before:2023-05-08')).toEqual(['2001', '2002', '3001']);
+  });
+
+  it('compares by month and year at the precision given', () => {
+    expect(ids('during:2023-05-07')).toEqual(['2001', '2002', '3001']);
+    expect(ids('during:2023-05')).toEqual(ALL);
+    expect(ids('before:2023-05')).toEqual([]);
+    expect(ids('after:2022')).toEqual(ALL);
+  });
+
+  it('filters messages with attachments', () => {
+    expect(ids('has:attachment')).toEqual(['1002']);
+  });
+
+  it.each([
+    ['has:video', 'has:video is not supported'],
+    ['before:yesterday', 'before: expects a date'],
+    ['channel:', 'channel: needs a value'],
+  ])('rejects %s', (query, message) => {
+    expect(searchMessages(index, query).error).toContain(message);
+  });
+
+  it('returns every message for an empty query', () => {
+    const result = searchMessages(index, '');
+    expect(result.active).toBe(false);
+    expect(result.messages).toHaveLength(ALL.length);
+  });
+});
+
+describe('splitHighlights', () => {
+  const highlight = (query, text) =>
+    splitHighlights(text, searchMessages(index, query).highlighter).map((s) => (s.hit ? `[${s.text}]` : s.text)).join('');
+
+  it('marks word prefixes at the start of a word only', () => {
+    expect(highlight('wor', 'hello world, sword')).toBe('hello [wor]ld, sword');
+  });
+
+  it('marks phrases and regex matches but not excluded words', () => {
+    expect(highlight('"late night" -post', 'late night post')).toBe('[late night] post');
+    expect(highlight('/n.ght/', 'late night post')).toBe('late [night] post');
+  });
+
+  it('clips overlapping matches so no text repeats', () => {
+    expect(highlight('hello OR /llo wor/', 'hello world')).toBe('[hello][ wor]ld');
+  });
+
+  it('leaves text without a query as one plain segment', () => {
+    expect(splitHighlights('hello', null)).toEqual([{ text: 'hello', hit: false }]);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { createGuildCatalogue } from '../src/parser/serversParser.js';
+import { ACCOUNT_ID, FRIEND_ID, GUILD } from './fixtures.js';
+
+function catalogueWithAuditLog() {
+  const catalogue = createGuildCatalogue();
+  catalogue.addGuild(GUILD.id, { id: GUILD.id, name: GUILD.name });
+  catalogue.addAuditLog(GUILD.id, [
+    { id: '900000000000000001', user_id: ACCOUNT_ID, action_type: 22, reason: 'spam' },
+    { id: '900000000000000002', user_id: FRIEND_ID, action_type: 20 },
+    { id: '900000000000000003', action_type: 24 },
+  ]);
+  return catalogue;
+}
+
+describe('guild catalogue audit log', () => {
+  it('keeps only the entries the account authored', () => {
+    const [guild] = catalogueWithAuditLog().build({ userId: ACCOUNT_ID });
+    expect(guild.auditLog.map((e) => e.id)).toEqual(['900000000000000001']);
+  });
+
+  it('keeps no entries when the account is unknown', () => {
+    const [guild] = catalogueWithAuditLog().build();
+    expect(guild.auditLog).toEqual([]);
+  });
+});
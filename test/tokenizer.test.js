@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { resolveStopwords, sameStopwordSettings } from '../src/utils/tokenizer.js';
+
+describe('stopword settings', () => {
+  it('falls back to detection when no known language is left', () => {
+    const stopwords = resolveStopwords({ languages: ['xx'] }, [{ contents: 'the cat and the dog' }]);
+    expect(stopwords.languages).toBe('auto');
+    expect(stopwords.resolved).toEqual(['en']);
+    expect(stopwords.set.has('the')).toBe(true);
+  });
+
+  it('treats settings with unknown languages as the settings they resolve to', () => {
+    const resolved = (settings) => {
+      const { languages, custom } = resolveStopwords(settings, []);
+      return { languages, custom };
+    };
+    expect(sameStopwordSettings(resolved({ languages: ['xx'] }), { languages: ['xx'] })).toBe(true);
+    expect(sameStopwordSettings(resolved({ languages: ['en', 'xx'] }), { languages: ['en', 'xx'] })).toBe(true);
+    expect(sameStopwordSettings({ languages: ['en'] }, { languages: 'auto' })).toBe(false);
+  });
+
+  it('ignores the order of languages and custom words', () => {
+    expect(sameStopwordSettings({ languages: ['en', 'de'], custom: ['b', 'A'] }, { languages: ['de', 'en'], custom: ['a', 'b'] })).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { openZip } from '../src/parser/zipReader.js';
+import { zipSource } from '../src/parser/exportSource.js';
+import { parseExport, silentLogger } from '../src/parser/discordExportParser.js';
+import { CHANNEL_IDS, TRANSCRIPTS, discordPackage, memorySource, zipArchive } from './fixtures.js';
+
+const transcriptPath = `messages/c${CHANNEL_IDS.general}/messages.json`;
+const transcript = JSON.stringify(TRANSCRIPTS.general);
+
+describe('openZip', () => {
+  it.each([
+    ['deflated entries', {}],
+    ['stored entries', { deflate: false }],
+    ['stored and deflated entries side by side', { deflate: (path) => path.endsWith('.json') && path.includes('/c') }],
+    ['entries with a data descriptor', { dataDescriptor: true }],
+    ['Zip64 extra fields and end records', { zip64: true }],
+    ['Zip64 entries with a data descriptor', { zip64: true, dataDescriptor: true }],
+  ])('reads %s', async (_, options) => {
+    const tree = discordPackage();
+    const zip = await openZip(zipArchive(tree, options));
+    expect(zip.entries.map((e) => e.path)).toEqual(Object.keys(tree));
+    const entry = zip.get(transcriptPath);
+    expect(entry.size).toBe(new TextEncoder().encode(transcript).length);
+    expect(await entry.text()).toBe(transcript);
+    expect(JSON.parse(await zip.get('account/user.json').text())).toEqual(tree['account/user.json']);
+  });
+
+  it('keeps multi-byte characters split across inflated chunks', async () => {
+    const text = 'grüße 👋 '.repeat(20000);
+    const zip = await openZip(zipArchive({ 'messages/c1/messages.csv': text }));
+    expect(await zip.get('messages/c1/messages.csv').text()).toBe(text);
+  });
+
+  it('rejects a file that is not a ZIP', async () => {
+    await expect(openZip(new Blob(['not a zip']))).rejects.toThrow('Not a ZIP file');
+  });
+
+  it('rejects a ZIP cut off before its central directory', async () => {
+    const blob = zipArchive(discordPackage());
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const truncated = new Blob([bytes.slice(0, 100), bytes.slice(bytes.length - 22)]);
+    await expect(openZip(truncated)).rejects.toThrow('truncated');
+  });
+});
+
+describe('zipSource', () => {
+  it.each([
+    ['deflated', {}],
+    ['stored, with data descriptors', { deflate: false, dataDescriptor: true }],
+    ['Zip64', { zip64: true }],
+  ])('gives the same summary for a %s ZIP as for the package it holds', async (_, options) => {
+    const tree = discordPackage();
+    const fromMemory = await parseExport(memorySource(tree), { logger: silentLogger });
+    const fromZip = await parseExport(await zipSource(zipArchive(tree, options)), { logger: silentLogger });
+    expect(fromZip.stats).toEqual(fromMemory.stats);
+    expect(fromZip.diagnostics).toEqual(fromMemory.diagnostics);
+  });
+
+  it('leaves out files outside the package sections', async () => {
+    const source = await zipSource(zipArchive({ ...discordPackage(), 'README.txt': 'hi', 'programs/x.json': {} }));
+    expect(source.files.map((f) => f.path)).not.toContain('README.txt');
+    expect(source.files.map((f) => f.path)).not.toContain('programs/x.json');
+  });
+});
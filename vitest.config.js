@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config';
+
+// Tests run outside UTC, so nothing may depend on the machine's zone matching the export's (UTC). Set before the
+// test processes are forked, which is when Node picks the zone up.
+process.env.TZ = 'America/New_York';
+
+export default defineConfig({
+  test: {
+    pool: 'forks',
+    // test/memory.test.js collects garbage before it takes its baseline.
+    poolOptions: { forks: { execArgv: ['--expose-gc'] } },
+  },
+});